@@ -0,0 +1,174 @@
+/**
+ * A/B tests - several template variants in one campaign
+ *
+ * A random test slice of the recipients (`testPercent` of them, split evenly) gets one variant each.
+ * When the slice is sent the campaign waits `windowHours` (status 'ab_waiting'); then the scheduler
+ * picks the variant with the best open, click or reply rate and the campaign sends it to the rest.
+ *
+ * state.abTest: { variants: [{ id: 'A', templateId, templateName }], testPercent, metric, windowHours,
+ *   phase: 'testing'|'waiting'|'winner', assignments?: { email: variantId }, testEndsAt?, results?, winner? }
+ */
+
+const { TEMPLATES_FILE, loadData } = require('./storage');
+const { listCampaigns, getCampaign, saveCampaign } = require('./campaigns');
+const { loadContacts } = require('./contacts');
+const { getEngagement } = require('./segments');
+
+const AB_METRICS = ['opens', 'clicks', 'replies'];
+const VARIANT_IDS = ['A', 'B', 'C', 'D', 'E'];
+const HOUR_MS = 60 * 60 * 1000;
+
+let choosing = false; // reading opens/clicks from the sheet may outlast a scheduler interval
+
+/**
+ * Validate A/B test settings from a request
+ * @param {Object} input - { templateIds, testPercent, metric, windowHours }
+ * @returns {{error: string}|{abTest: Object}}
+ */
+function normalizeAbTest(input) {
+  const templateIds = Array.isArray(input.templateIds) ? input.templateIds.filter(Boolean) : [];
+  if (templateIds.length < 2) return { error: 'An A/B test needs at least two templates' };
+  if (templateIds.length > VARIANT_IDS.length) return { error: `An A/B test can have at most ${VARIANT_IDS.length} variants` };
+  if (new Set(templateIds).size !== templateIds.length) return { error: 'Each A/B variant needs a different template' };
+
+  const templates = loadData(TEMPLATES_FILE);
+  const variants = [];
+  for (const [i, templateId] of templateIds.entries()) {
+    const template = templates.find(t => t.id === templateId);
+    if (!template) return { error: `Template of variant ${VARIANT_IDS[i]} not found` };
+    variants.push({ id: VARIANT_IDS[i], templateId, templateName: template.name });
+  }
+
+  const testPercent = Number(input.testPercent ?? 20);
+  if (!Number.isInteger(testPercent) || testPercent < 1 || testPercent > 100) {
+    return { error: 'A/B test slice must be 1-100 percent of the recipients' };
+  }
+  const metric = input.metric || 'opens';
+  if (!AB_METRICS.includes(metric)) return { error: `Unknown A/B metric "${metric}" (use ${AB_METRICS.join(', ')})` };
+  const windowHours = Number(input.windowHours ?? 4);
+  if (!Number.isInteger(windowHours) || windowHours < 1) return { error: 'A/B measuring window must be at least one hour' };
+
+  return { abTest: { variants, testPercent, metric, windowHours, phase: 'testing' } };
+}
+
+/**
+ * Recipients for the current phase, each with its `variant`
+ * The first call assigns a random test slice (stored on the state - the caller saves it).
+ * @param {Object} state - Campaign state with abTest
+ * @param {Array} recipients - Who the campaign still has to send to
+ */
+function selectPhaseRecipients(state, recipients) {
+  const { abTest } = state;
+  if (!abTest.assignments) {
+    const shuffled = recipients.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const size = Math.min(shuffled.length,
+      Math.max(abTest.variants.length, Math.round(shuffled.length * abTest.testPercent / 100)));
+    abTest.assignments = {};
+    shuffled.slice(0, size).forEach((recipient, i) => {
+      abTest.assignments[recipient.email] = abTest.variants[i % abTest.variants.length].id;
+    });
+  }
+
+  if (abTest.phase === 'testing') {
+    return recipients
+      .filter(r => abTest.assignments[r.email])
+      .map(r => ({ ...r, variant: abTest.assignments[r.email] }));
+  }
+  return recipients.map(r => ({ ...r, variant: abTest.assignments[r.email] || abTest.winner }));
+}
+
+/**
+ * Templates of a campaign's variants: variant ID -> stored template
+ * @returns {Object|null} - null for campaigns without an A/B test
+ */
+function getVariantTemplates(state) {
+  if (!state.abTest) return null;
+  const templates = loadData(TEMPLATES_FILE);
+  return Object.fromEntries(state.abTest.variants.map(v => [v.id, templates.find(t => t.id === v.templateId)]));
+}
+
+/**
+ * Start the measuring window once the test slice is sent
+ */
+function finishTestPhase(state) {
+  state.status = 'ab_waiting';
+  state.abTest.phase = 'waiting';
+  state.abTest.testEndsAt = new Date(Date.now() + state.abTest.windowHours * HOUR_MS).toISOString();
+}
+
+/**
+ * Opens, clicks and replies per variant among the test recipients that were sent
+ * @returns {Promise<Object>} - variant ID -> { sent, opens, clicks, replies, rate }
+ */
+async function measureVariants(state) {
+  const { abTest } = state;
+  const contacts = loadContacts();
+  const { opened, clicked } = await getEngagement(state, contacts);
+  const replied = new Set(contacts
+    .filter(c => (c.history || []).some(h => h.type === 'replied' && h.at >= state.startedAt))
+    .map(c => c.email.toLowerCase()));
+
+  const sent = new Set(state.sentEmails || []);
+  const results = {};
+  abTest.variants.forEach(variant => {
+    const emails = Object.keys(abTest.assignments)
+      .filter(email => abTest.assignments[email] === variant.id && sent.has(email))
+      .map(email => email.toLowerCase());
+    const result = {
+      sent: emails.length,
+      opens: emails.filter(e => opened.has(e)).length,
+      clicks: emails.filter(e => clicked.has(e)).length,
+      replies: emails.filter(e => replied.has(e)).length,
+    };
+    result.rate = result.sent ? result[abTest.metric] / result.sent : 0;
+    results[variant.id] = result;
+  });
+  return results;
+}
+
+/**
+ * Pick the winner of every A/B test whose measuring window is over
+ * Ties go to the variant with more opens, then to the earlier variant.
+ * @returns {Promise<Array<string>>} - IDs of campaigns that can now send the winner to the rest
+ */
+async function chooseWinners() {
+  if (choosing) return [];
+  choosing = true;
+  try {
+    const now = new Date().toISOString();
+    const due = listCampaigns().filter(c => c.status === 'ab_waiting' && c.abTest.testEndsAt <= now);
+    const ready = [];
+    for (const { campaignId } of due) {
+      const results = await measureVariants(getCampaign(campaignId));
+
+      // Reload - the campaign may have been cancelled while the sheet was read
+      const state = getCampaign(campaignId);
+      if (state.status !== 'ab_waiting') continue;
+      const winner = state.abTest.variants
+        .map(v => ({ id: v.id, ...results[v.id] }))
+        .reduce((best, v) => (v.rate > best.rate || (v.rate === best.rate && v.opens > best.opens) ? v : best));
+
+      Object.assign(state.abTest, { phase: 'winner', results, winner: winner.id, winnerChosenAt: now });
+      saveCampaign(state);
+      console.log(`A/B test of campaign ${campaignId}: variant ${winner.id} wins (${state.abTest.metric} rate ${(winner.rate * 100).toFixed(1)}%)`);
+      ready.push(campaignId);
+    }
+    return ready;
+  } finally {
+    choosing = false;
+  }
+}
+
+module.exports = {
+  AB_METRICS,
+  normalizeAbTest,
+  selectPhaseRecipients,
+  getVariantTemplates,
+  finishTestPhase,
+  measureVariants,
+  chooseWinners,
+};
@@ -0,0 +1,259 @@
+/**
+ * Campaign queue - runs registered campaigns one after another
+ * (or several in parallel, sharing the runner's global rate budget)
+ */
+
+const config = require('./config');
+const { runCampaign } = require('./campaign-runner');
+const { getCampaign, saveCampaign, summarizeCampaign } = require('./campaigns');
+const { sendSSE } = require('./events');
+const { TEMPLATES_FILE, loadData } = require('./storage');
+const { getList, loadContacts, withListSheetNames } = require('./contacts');
+const { listSuppressions, findSuppression } = require('./suppressions');
+const { getSegment, evaluateSegment } = require('./segments');
+const { selectPhaseRecipients, getVariantTemplates } = require('./ab-test');
+const { isPaused } = require('./preferences');
+
+const waiting = []; // campaign IDs waiting for a free slot
+const active = new Set(); // campaign IDs currently sending
+const controllers = new Map(); // campaign ID -> AbortController of the running campaign
+
+/**
+ * Persist campaign state and broadcast it to the UI
+ */
+function saveAndBroadcast(state) {
+  saveCampaign(state);
+  sendSSE('campaign', summarizeCampaign(state));
+}
+
+/**
+ * Work out who a campaign still has to send to - the list's contacts, the segment's members right now,
+ * or the fixed `recipientEmails` of a sequence step
+ * Skips suppressed and unsubscribed contacts, invalid addresses and anyone this campaign already processed
+ * @returns {{recipients: Array, skipped: Array, skippedUnsubscribed: number, skippedSuppressed: number,
+ *   skippedInvalid: number, error?: string}}
+ *   skipped is an array of { email, reason }
+ */
+async function resolveRecipients(state) {
+  const sent = new Set(state.sentEmails || []);
+  const failed = new Set(state.failedEmails || []);
+  const suppressions = listSuppressions();
+  const skipReason = contact => {
+    const suppression = findSuppression(contact.email, suppressions);
+    if (suppression) return `suppressed (${suppression.reason})`;
+    if (contact.unsubscribed) return 'unsubscribed';
+    if (isPaused(contact)) return `paused until ${contact.pausedUntil.slice(0, 10)}`;
+    if (contact.validation?.status === 'invalid') return 'invalid address';
+    if (sent.has(contact.email)) return 'already sent';
+    if (failed.has(contact.email)) return 'already failed';
+    return null;
+  };
+
+  if (state.testEmail) {
+    const reason = skipReason({ email: state.testEmail });
+    return {
+      recipients: reason ? [] : [{ email: state.testEmail }],
+      skipped: reason ? [{ email: state.testEmail, reason }] : [],
+      skippedUnsubscribed: 0,
+      skippedSuppressed: reason && reason.startsWith('suppressed') ? 1 : 0,
+      skippedInvalid: 0,
+    };
+  }
+
+  let contacts;
+  if (state.recipientEmails) {
+    const byEmail = new Map(loadContacts().map(c => [c.email.toLowerCase(), c]));
+    contacts = withListSheetNames(state.recipientEmails.map(email => byEmail.get(email.toLowerCase()) || { email }));
+  } else if (state.segmentId) {
+    const segment = getSegment(state.segmentId);
+    if (!segment) {
+      return { recipients: [], skipped: [], skippedUnsubscribed: 0, skippedSuppressed: 0, skippedInvalid: 0, error: 'Segment not found' };
+    }
+    contacts = await evaluateSegment(segment, { excludeCampaignId: state.campaignId });
+  } else {
+    const list = getList(state.listId);
+    if (!list) {
+      return { recipients: [], skipped: [], skippedUnsubscribed: 0, skippedSuppressed: 0, skippedInvalid: 0, error: 'Email list not found' };
+    }
+    contacts = list.emails;
+  }
+
+  const recipients = [];
+  const skipped = [];
+  contacts.forEach(contact => {
+    const reason = skipReason(contact);
+    if (reason) {
+      skipped.push({ email: contact.email, reason });
+    } else {
+      recipients.push(contact);
+    }
+  });
+
+  return {
+    recipients,
+    skipped,
+    skippedUnsubscribed: skipped.filter(s => s.reason === 'unsubscribed').length,
+    skippedSuppressed: skipped.filter(s => s.reason.startsWith('suppressed')).length,
+    skippedInvalid: skipped.filter(s => s.reason === 'invalid address').length,
+  };
+}
+
+/**
+ * Load template and recipients for a campaign and run it to completion
+ */
+async function startCampaign(campaignId) {
+  const state = getCampaign(campaignId);
+  if (!state) return;
+
+  // Registered before resolving recipients (segments can take a while), so a pause or
+  // cancel in the meantime is not lost
+  const controller = new AbortController();
+  controllers.set(campaignId, controller);
+  try {
+    const template = loadData(TEMPLATES_FILE).find(t => t.id === state.templateId);
+    const resolved = await resolveRecipients(state);
+    if (controller.signal.aborted) {
+      markStopped(state, controller.signal.reason);
+      return;
+    }
+    const variants = getVariantTemplates(state);
+    const missingVariant = variants && Object.keys(variants).find(id => !variants[id]);
+
+    if (!template || resolved.error || missingVariant) {
+      state.status = 'failed';
+      state.error = resolved.error || (missingVariant ? `Template of variant ${missingVariant} not found` : 'Template not found');
+      saveAndBroadcast(state);
+      return;
+    }
+
+    // A/B tests send the test slice first and the winning variant to the rest later
+    const recipients = state.abTest ? selectPhaseRecipients(state, resolved.recipients) : resolved.recipients;
+
+    // The list may have changed since the campaign was created or scheduled
+    state.totalRecipients = (state.sentEmails || []).length + (state.failedEmails || []).length + recipients.length;
+    state.startedAt = state.startedAt || new Date().toISOString();
+    if (state.sentEmails?.length) {
+      state.resumedAt = new Date().toISOString();
+    }
+
+    await runCampaign({
+      state,
+      template,
+      variants,
+      recipients,
+      emit: sendSSE,
+      saveState: saveAndBroadcast,
+      signal: controller.signal,
+    });
+  } finally {
+    controllers.delete(campaignId);
+  }
+}
+
+/**
+ * Start waiting campaigns while there are free slots
+ */
+function processQueue() {
+  while (active.size < config.campaignConcurrency && waiting.length > 0) {
+    const campaignId = waiting.shift();
+    active.add(campaignId);
+
+    startCampaign(campaignId)
+      .catch(err => {
+        console.error(`Campaign ${campaignId} failed:`, err);
+        const state = getCampaign(campaignId);
+        if (state) {
+          state.status = 'failed';
+          state.error = err.message;
+          saveAndBroadcast(state);
+        }
+      })
+      .finally(() => {
+        active.delete(campaignId);
+        processQueue();
+      });
+  }
+}
+
+/**
+ * Add a registered campaign to the queue
+ * @returns {number} - Position in the queue (0 = starts now)
+ */
+function enqueueCampaign(campaignId) {
+  if (active.has(campaignId) || waiting.includes(campaignId)) return 0;
+
+  const state = getCampaign(campaignId);
+  state.status = 'queued';
+  state.queuedAt = new Date().toISOString();
+  saveAndBroadcast(state);
+
+  waiting.push(campaignId);
+  const position = active.size < config.campaignConcurrency ? 0 : waiting.length;
+  processQueue();
+  return position;
+}
+
+function isActive(campaignId) {
+  return active.has(campaignId);
+}
+
+/**
+ * Set a campaign that is not sending to 'paused' or 'cancelled' and tell the UI
+ */
+function markStopped(state, status) {
+  state.status = status;
+  state[status === 'cancelled' ? 'cancelledAt' : 'pausedAt'] = new Date().toISOString();
+  saveAndBroadcast(state);
+  sendSSE(status, {
+    campaignId: state.campaignId,
+    reason: 'manual',
+    sentSoFar: (state.sentEmails || []).length,
+    total: state.totalRecipients
+  });
+}
+
+/**
+ * Stop a campaign with the given status ('paused' or 'cancelled')
+ * A running campaign stops before its next recipient (waits are interrupted);
+ * a queued or idle one is updated right away.
+ * @returns {{success: boolean, message: string}}
+ */
+function stopCampaign(campaignId, status) {
+  const state = getCampaign(campaignId);
+  if (!state) return { success: false, message: 'Campaign not found' };
+
+  const controller = controllers.get(campaignId);
+  if (controller) {
+    controller.abort(status);
+    return { success: true, message: `Campaign will be ${status} before the next email` };
+  }
+
+  const stoppable = status === 'cancelled'
+    ? ['scheduled', 'queued', 'paused', 'interrupted', 'ab_waiting']
+    : ['queued'];
+  if (!stoppable.includes(state.status)) {
+    return { success: false, message: `Cannot ${status === 'cancelled' ? 'cancel' : 'pause'} a ${state.status} campaign` };
+  }
+
+  const index = waiting.indexOf(campaignId);
+  if (index !== -1) waiting.splice(index, 1);
+
+  markStopped(state, status);
+  return { success: true, message: `Campaign ${status}` };
+}
+
+function pauseCampaign(campaignId) {
+  return stopCampaign(campaignId, 'paused');
+}
+
+function cancelCampaign(campaignId) {
+  return stopCampaign(campaignId, 'cancelled');
+}
+
+module.exports = {
+  resolveRecipients,
+  enqueueCampaign,
+  isActive,
+  pauseCampaign,
+  cancelCampaign,
+};
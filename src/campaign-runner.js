@@ -0,0 +1,587 @@
+/**
+ * Campaign runner - the single send engine behind the web UI and the CLI
+ *
+ * Owns rendering (incl. merge tags), opt-out footers, click/open tracking, sending windows,
+ * rate limiting (global, per recipient domain and warm-up caps), retries, Google Sheet updates, send logs and progress events,
+ * so a fresh and a resumed campaign send exactly the same mail.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { sendEmail } = require('./mailer');
+const config = require('./config');
+const sheets = require('./sheets');
+const { saveCampaign } = require('./campaigns');
+const { renderMergeTags } = require('./merge-tags');
+const { LOGS_FILE, loadData, saveData } = require('./storage');
+const {
+  DEFAULT_SENDING_WINDOW,
+  getNextWindowStart,
+  getRecipientWindow,
+  formatTimeRemaining,
+  describeNextWindowStart,
+} = require('./sending-window');
+const { getRecipientDomain, getDomainReadyAt, recordDomainSend, answeredByServer } = require('./domain-throttle');
+const { getWarmUpStatus, getNextWarmUpDay } = require('./warm-up');
+const { findSuppression, addSuppression, isHardBounce } = require('./suppressions');
+const { findContactByEmail, recordContactEvent } = require('./contacts');
+const { createToken } = require('./tokens');
+const { getRecipientRef } = require('./recipients');
+const { finishTestPhase } = require('./ab-test');
+
+// Opt-out footers by language (subtle text)
+// {{PREFERENCES_URL}} is replaced with the recipient's signed preference page link when sending
+const OPT_OUT_FOOTERS = {
+  de: `
+<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;">
+  <p style="margin:0;">
+    Falls Sie diese E-Mails nicht mehr oder seltener erhalten möchten, <a href="{{PREFERENCES_URL}}?lang=de" style="color:#9ca3af;">klicken Sie hier</a>.
+  </p>
+</div>`,
+  en: `
+<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;">
+  <p style="margin:0;">
+    If you no longer wish to receive these emails, or want fewer of them, <a href="{{PREFERENCES_URL}}?lang=en" style="color:#9ca3af;">click here</a>.
+  </p>
+</div>`
+};
+
+/**
+ * Public URL of a tracking/unsubscribe endpoint for a signed token
+ */
+function buildTokenUrl(endpoint, token) {
+  return `${config.publicBaseUrl}${endpoint}?t=${token}`;
+}
+
+/**
+ * Wrap all links in HTML with click tracking
+ * Extracts link text as the link name for tracking; each link gets its own signed token
+ * @param {string} html - The HTML content
+ * @param {Object} tokenFields - { contactId, recipientRef, campaignId, listId } of the recipient
+ * @returns {string} - HTML with wrapped links
+ */
+function wrapLinksWithTracking(html, tokenFields) {
+  // Match <a href="...">link text</a> patterns
+  // Captures: href URL and link text (handles nested tags like <b>)
+  const linkRegex = /<a\s+([^>]*href=["']([^"']+)["'][^>]*)>([\s\S]*?)<\/a>/gi;
+
+  const clickUrl = `${config.publicBaseUrl}/api/click`;
+  let linkId = 0;
+
+  return html.replace(linkRegex, (match, attrs, url, linkText) => {
+    // Skip if already a tracking link, or not a web link (mailto:, tel:, anchors)
+    if (url.startsWith(clickUrl) || !/^https?:\/\//i.test(url)) {
+      return match;
+    }
+
+    // Extract clean text from link (remove HTML tags for the name)
+    const cleanText = linkText.replace(/<[^>]*>/g, '').trim();
+
+    // Create a short, clean link name (max 30 chars)
+    let linkName = cleanText.substring(0, 30);
+    if (!linkName) {
+      // If no text, use domain from URL
+      try {
+        linkName = new URL(url).hostname.replace('www.', '');
+      } catch {
+        linkName = 'link';
+      }
+    }
+
+    // Build tracking URL - target and link name are signed with the recipient
+    linkId++;
+    const token = createToken('click', { ...tokenFields, linkId, url: url.replace(/&amp;/g, '&'), linkName });
+    const trackingUrl = buildTokenUrl('/api/click', token);
+
+    // Replace href in original attributes
+    const newAttrs = attrs.replace(/href=["'][^"']+["']/, `href="${trackingUrl}"`);
+
+    return `<a ${newAttrs}>${linkText}</a>`;
+  });
+}
+
+/**
+ * Render template content to an HTML body
+ * Plain text is converted to HTML, but <img>, <a>, <b>, <i> tags are preserved
+ */
+function renderBody(template) {
+  if (template.contentType !== 'text') {
+    return template.content;
+  }
+
+  const preservedTags = [];
+  let processed = template.content.replace(/<(img[^>]*|a[^>]*>.*?<\/a|b>.*?<\/b|i>.*?<\/i)>/gi, (match) => {
+    preservedTags.push(match);
+    return '{{TAG_' + (preservedTags.length - 1) + '}}';
+  });
+  // Convert newlines to <br>
+  processed = processed.replace(/\n/g, '<br>');
+  // Restore preserved tags
+  preservedTags.forEach((tag, idx) => {
+    processed = processed.replace('{{TAG_' + idx + '}}', tag);
+  });
+  return '<div style="font-family: sans-serif;">' + processed + '</div>';
+}
+
+/**
+ * Signed opt-out links of a recipient: one-click unsubscribe (List-Unsubscribe header) and preference page (footer)
+ * @param {Object} tokenFields - { contactId, recipientRef, campaignId, listId }
+ * @returns {{unsubscribeUrl: string, preferencesUrl: string}}
+ */
+function buildOptOutUrls(tokenFields) {
+  const token = createToken('unsubscribe', tokenFields);
+  return {
+    unsubscribeUrl: `${config.publicBaseUrl}/api/unsubscribe/${token}`,
+    preferencesUrl: `${config.publicBaseUrl}/api/preferences/${token}`,
+  };
+}
+
+/**
+ * Build the opt-out footer for a recipient ('' if no language is selected)
+ * @param {string} optOutLang - Footer language (de/en)
+ * @param {string} preferencesUrl - The recipient's preference page link
+ */
+function buildOptOutFooter(optOutLang, preferencesUrl) {
+  if (!optOutLang || !OPT_OUT_FOOTERS[optOutLang]) return '';
+
+  return OPT_OUT_FOOTERS[optOutLang].replace('{{PREFERENCES_URL}}', preferencesUrl);
+}
+
+/**
+ * Render the final message for one recipient
+ * @param {Object} template - Stored template
+ * @param {Object} options - { email, optOutLang, contact?, campaignId?, listId? }
+ *   contact holds the fields for merge tags (defaults to just the email); its `id` goes into the link tokens,
+ *   recipients without one get a reference from recipients.js
+ * @returns {{subject: string, html: string, unsubscribeUrl: string}}
+ */
+function renderEmail(template, { email, optOutLang, contact, campaignId, listId }) {
+  const fields = contact || { email };
+  const tokenFields = { contactId: contact?.id, recipientRef: contact?.id ? undefined : getRecipientRef(email), campaignId, listId };
+  const { unsubscribeUrl, preferencesUrl } = buildOptOutUrls(tokenFields);
+  let html = renderBody({
+    ...template,
+    content: renderMergeTags(template.content, fields, { escape: true }),
+  });
+
+  // Wrap all links with click tracking
+  html = wrapLinksWithTracking(html, tokenFields);
+
+  // Add opt-out footer if language selected in template (after wrapping - unsubscribing is not a click),
+  // in the language the contact chose on the preference page
+  const footerLang = optOutLang && OPT_OUT_FOOTERS[fields.language] ? fields.language : optOutLang;
+  html += buildOptOutFooter(footerLang, preferencesUrl);
+
+  // Add tracking pixel for open tracking
+  const trackingPixel = `<img src="${buildTokenUrl('/api/track', createToken('open', tokenFields))}" width="1" height="1" style="display:none;width:1px;height:1px;" alt="">`;
+  html += trackingPixel;
+
+  return { subject: renderMergeTags(template.subject, fields), html, unsubscribeUrl };
+}
+
+/**
+ * Sleep helper - wakes up early when the abort signal fires
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Pause/cancel signal of the running campaign
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+// Global rate budget shared by all campaigns running in this process
+let nextSendAt = 0;
+
+/**
+ * Reserve the next send slot under the global rate limit
+ * @returns {number} - Milliseconds to wait before the reserved slot
+ */
+function reserveSendSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSendAt);
+  nextSendAt = slot + config.rateLimitSeconds * 1000;
+  return slot - now;
+}
+
+/**
+ * Write a send status to the recipient's row in the campaign sheet
+ * Uses the known row index (resume) or looks the email up (fresh send)
+ */
+async function updateSheetStatus(sheetName, recipient, status) {
+  try {
+    const rowIndex = recipient.rowIndex || await sheets.findRowByEmailInSheet(sheetName, recipient.email);
+    if (rowIndex) await sheets.updateRowInSheet(sheetName, rowIndex, status);
+  } catch (sheetErr) {
+    console.error('Failed to update Google Sheet:', sheetErr.message);
+  }
+}
+
+function appendLog(entry) {
+  const logs = loadData(LOGS_FILE);
+  logs.push(entry);
+  saveData(LOGS_FILE, logs);
+}
+
+/**
+ * Find the first pending recipient that can be sent to now
+ * A recipient is ready when its sending window is open, any retry backoff has passed
+ * and its domain is below its hourly limit - so other domains keep sending in between.
+ * Windows of one campaign only differ by timezone, so each timezone is evaluated once.
+ * @param {Array} pending - Array of { recipient, window, retryAt? }
+ * @returns {{index: number, window?: Object, resumeAtDate?: Date, reason?: string, recipient?: Object}}
+ *   index -1 means nobody can be sent to yet; resumeAtDate is when the earliest recipient
+ *   becomes ready, reason is 'retry' (backoff), 'domain_limit' or 'window' (outside the sending window)
+ */
+function pickNextRecipient(pending, now = new Date()) {
+  const starts = new Map(); // timezone -> next window start
+  const domainsReady = new Map(); // domain -> when it may receive again
+  let earliest = null;
+
+  for (let index = 0; index < pending.length; index++) {
+    const { recipient, window, retryAt } = pending[index];
+    const domain = getRecipientDomain(recipient.email);
+    if (!domainsReady.has(domain)) {
+      domainsReady.set(domain, getDomainReadyAt(domain, now));
+    }
+    const domainReadyAt = domainsReady.get(domain);
+
+    // Not before the backoff or domain limit has passed, whichever is later
+    let notBefore = retryAt && retryAt > now ? retryAt : null;
+    if (domainReadyAt > now && (!notBefore || domainReadyAt > notBefore)) notBefore = domainReadyAt;
+
+    let readyAt;
+    if (notBefore) {
+      readyAt = getNextWindowStart(window, notBefore);
+    } else {
+      if (!starts.has(window.timezone)) {
+        starts.set(window.timezone, getNextWindowStart(window, now));
+      }
+      readyAt = starts.get(window.timezone);
+    }
+
+    if (readyAt.getTime() <= now.getTime()) return { index };
+    if (!earliest || readyAt < earliest.resumeAtDate) {
+      let reason = 'window';
+      if (notBefore && readyAt.getTime() === notBefore.getTime()) {
+        reason = notBefore === domainReadyAt ? 'domain_limit' : 'retry';
+      }
+      earliest = { index: -1, window, resumeAtDate: readyAt, reason, recipient };
+    }
+  }
+
+  return earliest;
+}
+
+/**
+ * Backoff before the next attempt: base delay, doubled after every failed attempt
+ */
+function getRetryDelayMs(failedAttempts) {
+  return config.retry.baseDelaySeconds * 1000 * 2 ** (failedAttempts - 1);
+}
+
+/**
+ * Send a campaign to a list of recipients
+ * @param {Object} options
+ * @param {Object} options.state - Campaign state ({ campaignId, sheetName, optOutLang, sendingWindow, ... })
+ * @param {Object} options.template - Stored template to send
+ * @param {Object} [options.variants] - A/B test templates by variant ID, used for recipients with a `variant`
+ * @param {Array} options.recipients - Array of { email, timezone?, rowIndex?, variant? }
+ * @param {Function} [options.emit] - Progress event callback (event, data)
+ * @param {Function} [options.saveState] - Persists the campaign state (defaults to the campaign registry)
+ * @param {AbortSignal} [options.signal] - Aborted with reason 'paused' or 'cancelled' to stop between recipients
+ * @returns {Promise<{sent: number, failed: number, stopped?: string}>}
+ */
+async function runCampaign({ state, template, variants, recipients, emit = () => {}, saveState = saveCampaign, signal }) {
+  const { campaignId } = state;
+  const sheetName = state.sheetName || 'email_list_test';
+  const optOutLang = state.optOutLang || '';
+  const sendingWindow = state.sendingWindow || DEFAULT_SENDING_WINDOW;
+
+  /**
+   * Persist a pause/cancel request if one came in
+   * @returns {string|null} - The new status, or null to keep sending
+   */
+  function stopIfRequested(sentSoFar) {
+    if (!signal?.aborted) return null;
+
+    const status = signal.reason === 'cancelled' ? 'cancelled' : 'paused';
+    state.status = status;
+    state[status === 'cancelled' ? 'cancelledAt' : 'pausedAt'] = new Date().toISOString();
+    state.currentIndex = sentSoFar;
+    saveState(state);
+
+    console.log(`Campaign ${campaignId} ${status}.`);
+    emit(status, { campaignId, reason: 'manual', sentSoFar, total: recipients.length });
+    return status;
+  }
+
+  const stopResult = stopped => ({ sent: state.sentEmails.length, failed: state.failedEmails.length, stopped });
+
+  /**
+   * Pause the campaign until a given time (outside the sending window or warm-up cap reached)
+   * @param {Date} resumeAtDate - When sending can continue
+   * @param {Object} window - Window used to describe the resume time
+   * @param {string} reason - 'quiet_hours' or 'warm_up'
+   * @returns {Promise<string|null>} - Status if paused/cancelled meanwhile, null when resumed
+   */
+  async function pauseUntil(resumeAtDate, window, reason, sentSoFar) {
+    const msUntilResume = resumeAtDate.getTime() - Date.now();
+    const timeStr = formatTimeRemaining(msUntilResume);
+    const resumeAt = describeNextWindowStart(window, resumeAtDate);
+    console.log(`Will resume ${resumeAt} (in ${timeStr})`);
+
+    emit('paused', {
+      campaignId,
+      reason,
+      resumeAt,
+      resumeAtIso: resumeAtDate.toISOString(),
+      timeRemaining: timeStr,
+      sentSoFar,
+      total: recipients.length
+    });
+
+    state.status = reason === 'warm_up' ? 'paused_warm_up' : 'paused_quiet_hours';
+    state.pausedAt = new Date().toISOString();
+    state.resumeAt = resumeAtDate.toISOString();
+    state.currentIndex = sentSoFar;
+    saveState(state);
+
+    await sleep(msUntilResume, signal);
+    const stopped = stopIfRequested(sentSoFar);
+    if (stopped) return stopped;
+
+    emit('resumed', {
+      campaignId,
+      sentSoFar,
+      total: recipients.length
+    });
+
+    state.status = 'running';
+    state.resumeAt = null;
+    saveState(state);
+    return null;
+  }
+
+  state.sentEmails = state.sentEmails || [];
+  state.failedEmails = state.failedEmails || [];
+  state.retries = state.retries || {}; // email -> { attempts, retryAt } for transient failures
+  state.status = 'running';
+  saveState(state);
+
+  // Recipients still to send, each with the sending window that applies to them
+  // and any retry backoff carried over from before a pause or restart
+  const pending = recipients.map(recipient => {
+    const retry = state.retries[recipient.email];
+    return {
+      recipient,
+      window: getRecipientWindow(sendingWindow, recipient, state.deliveryMode),
+      attempts: retry ? retry.attempts : [],
+      retryAt: retry ? new Date(retry.retryAt) : null,
+    };
+  });
+  let processed = 0;
+
+  while (pending.length > 0) {
+    let stopped = stopIfRequested(processed);
+    if (stopped) return stopResult(stopped);
+
+    // Warm-up: once today's cap is used up, pause until the next day a recipient can be sent to
+    const warmUp = getWarmUpStatus();
+    if (warmUp.enabled && warmUp.remaining === 0) {
+      const nextDay = getNextWarmUpDay();
+      const tomorrow = pickNextRecipient(pending, nextDay);
+      console.log(`Warm-up cap of ${warmUp.cap} emails reached for today. Pausing campaign.`);
+      stopped = await pauseUntil(
+        tomorrow.index === -1 ? tomorrow.resumeAtDate : nextDay,
+        tomorrow.index === -1 ? tomorrow.window : sendingWindow,
+        'warm_up',
+        processed
+      );
+      if (stopped) return stopResult(stopped);
+      console.log('New warm-up day. Resuming campaign.');
+      continue;
+    }
+
+    // Pick the first recipient whose window is open, so nobody waits behind a sleeping timezone
+    const next = pickNextRecipient(pending);
+    if (next.index === -1 && next.reason !== 'window') {
+      // Only retries in backoff or throttled domains are left for now - keep running and wait
+      const waitMs = next.resumeAtDate.getTime() - Date.now();
+      emit('waiting', {
+        campaignId,
+        reason: next.reason,
+        seconds: Math.ceil(waitMs / 1000),
+        nextEmail: next.recipient.email
+      });
+      await sleep(waitMs, signal);
+      continue;
+    }
+    if (next.index === -1) {
+      console.log('Outside sending window. Pausing campaign.');
+      stopped = await pauseUntil(next.resumeAtDate, next.window, 'quiet_hours', processed);
+      if (stopped) return stopResult(stopped);
+      console.log('Sending window open. Resuming campaign.');
+      continue;
+    }
+
+    const [item] = pending.splice(next.index, 1);
+    const { recipient } = item;
+
+    // Someone may have unsubscribed or been blocked since the campaign started
+    const suppression = findSuppression(recipient.email);
+    if (suppression) {
+      console.log(`Skipping ${recipient.email}: suppressed (${suppression.reason})`);
+      delete state.retries[recipient.email];
+      state.totalRecipients = Math.max(0, (state.totalRecipients || 0) - 1);
+      saveState(state);
+      emit('skipped', { campaignId, email: recipient.email, reason: `suppressed (${suppression.reason})` });
+      continue;
+    }
+
+    const index = processed + 1;
+
+    // Wait for this campaign's turn under the shared rate limit
+    const waitMs = reserveSendSlot();
+    if (waitMs > 0) {
+      emit('waiting', {
+        campaignId,
+        seconds: Math.ceil(waitMs / 1000),
+        nextEmail: recipient.email
+      });
+      await sleep(waitMs, signal);
+      stopped = stopIfRequested(processed);
+      if (stopped) return stopResult(stopped);
+    }
+
+    emit('sending', {
+      campaignId,
+      index,
+      total: recipients.length,
+      email: recipient.email,
+      status: 'sending'
+    });
+
+    const recipientTemplate = (variants && variants[recipient.variant]) || template;
+    const logEntry = {
+      id: uuidv4(),
+      campaignId,
+      templateName: recipientTemplate.name,
+      ...(recipient.variant ? { variant: recipient.variant } : {}),
+      ...(state.testEmail ? { test: true } : {}),
+      email: recipient.email,
+      subject: recipientTemplate.subject,
+      timestamp: new Date().toISOString(),
+      status: 'pending'
+    };
+
+    // Segment members carry the sheet tab of their list
+    const recipientSheet = recipient.sheetName || sheetName;
+    const variantNote = recipient.variant ? ` (variant ${recipient.variant})` : '';
+    let result;
+    try {
+      const { subject, html, unsubscribeUrl } = renderEmail(recipientTemplate, {
+        email: recipient.email,
+        optOutLang,
+        contact: recipient.id ? recipient : { ...recipient, id: findContactByEmail(recipient.email)?.id },
+        campaignId,
+        listId: recipient.listId || state.listId,
+      });
+      result = await sendEmail({ to: recipient.email, subject, html, unsubscribeUrl });
+    } catch (err) {
+      result = { success: false, error: err.message };
+    }
+    if (answeredByServer(result)) recordDomainSend(getRecipientDomain(recipient.email));
+
+    item.attempts.push(result.success
+      ? { at: logEntry.timestamp, status: 'sent' }
+      : { at: logEntry.timestamp, status: 'failed', error: result.error, responseCode: result.responseCode });
+    logEntry.attempts = item.attempts;
+
+    if (!result.success && result.transient && item.attempts.length < config.retry.maxAttempts) {
+      // Temporary failure (greylisting, too many connections...) - try this recipient again later
+      item.retryAt = new Date(Date.now() + getRetryDelayMs(item.attempts.length));
+      pending.push(item);
+      state.retries[recipient.email] = { attempts: item.attempts, retryAt: item.retryAt.toISOString() };
+      saveState(state);
+
+      console.log(`Temporary failure for ${recipient.email} (attempt ${item.attempts.length}/${config.retry.maxAttempts}), retrying at ${item.retryAt.toISOString()}`);
+      emit('retrying', {
+        ...logEntry,
+        error: result.error,
+        attempt: item.attempts.length,
+        maxAttempts: config.retry.maxAttempts,
+        retryAt: item.retryAt.toISOString()
+      });
+      continue;
+    }
+
+    delete state.retries[recipient.email];
+    if (result.success) {
+      logEntry.status = 'sent';
+      logEntry.messageId = result.messageId;
+      emit('sent', { ...logEntry, index, total: recipients.length });
+
+      // Track sent email in campaign state
+      state.sentEmails.push(recipient.email);
+      state.currentIndex = index;
+      saveState(state);
+
+      await updateSheetStatus(recipientSheet, recipient, 'SENT' + variantNote);
+      if (!state.testEmail) recordContactEvent(recipient.email, { type: 'sent', campaignId });
+    } else {
+      logEntry.status = 'failed';
+      logEntry.error = result.error;
+      emit('failed', { ...logEntry, index, total: recipients.length });
+      state.failedEmails.push(recipient.email);
+      saveState(state);
+      await updateSheetStatus(recipientSheet, recipient, `FAILED${variantNote}: ${result.error}`);
+      if (!state.testEmail) recordContactEvent(recipient.email, { type: 'failed', campaignId, error: result.error });
+
+      if (isHardBounce(result)) {
+        addSuppression(recipient.email, 'hard_bounce', { note: result.error, source: `campaign ${campaignId}` });
+      }
+    }
+
+    appendLog(logEntry);
+    processed++;
+  }
+
+  if (state.abTest?.phase === 'testing') {
+    // Test slice sent - the scheduler picks the winner when the measuring window is over
+    finishTestPhase(state);
+    saveState(state);
+    console.log(`Campaign ${campaignId}: A/B test slice sent, choosing a winner at ${state.abTest.testEndsAt}`);
+    return stopResult('ab_waiting');
+  }
+
+  state.status = 'complete';
+  state.completedAt = new Date().toISOString();
+  saveState(state);
+
+  // Count sent/failed from logs for this campaign (includes earlier runs when resumed)
+  const campaignLogs = loadData(LOGS_FILE).filter(l => l.campaignId === campaignId);
+  const sent = campaignLogs.filter(l => l.status === 'sent').length;
+  const failed = campaignLogs.filter(l => l.status === 'failed').length;
+
+  emit('complete', { campaignId, total: recipients.length, sent, failed });
+
+  return { sent, failed };
+}
+
+module.exports = {
+  wrapLinksWithTracking,
+  renderBody,
+  buildOptOutFooter,
+  buildOptOutUrls,
+  renderEmail,
+  reserveSendSlot,
+  runCampaign,
+};
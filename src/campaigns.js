@@ -0,0 +1,84 @@
+/**
+ * Campaign registry - every campaign has its own persisted state
+ * Stored in data/campaigns.json (replaces the single campaign-state.json)
+ */
+
+const fs = require('fs');
+const {
+  CAMPAIGN_STATE_FILE,
+  CAMPAIGNS_FILE,
+  initDataFile,
+  loadData,
+  saveData,
+} = require('./storage');
+
+// Statuses of campaigns that have not finished sending
+const INCOMPLETE_STATUSES = ['queued', 'running', 'paused_quiet_hours', 'paused_warm_up', 'paused', 'interrupted'];
+
+/**
+ * Create campaigns.json, seeding it with the legacy campaign-state.json if present
+ */
+function initCampaignsFile() {
+  if (fs.existsSync(CAMPAIGNS_FILE)) return;
+
+  const legacy = fs.existsSync(CAMPAIGN_STATE_FILE) ? loadData(CAMPAIGN_STATE_FILE) : null;
+  const seed = legacy && legacy.campaignId ? [legacy] : [];
+  initDataFile(CAMPAIGNS_FILE, seed);
+}
+
+/**
+ * Get all campaigns, most recent first
+ */
+function listCampaigns() {
+  return loadData(CAMPAIGNS_FILE)
+    .slice()
+    .sort((a, b) => (b.createdAt || b.startedAt || '').localeCompare(a.createdAt || a.startedAt || ''));
+}
+
+function getCampaign(campaignId) {
+  return loadData(CAMPAIGNS_FILE).find(c => c.campaignId === campaignId) || null;
+}
+
+/**
+ * Insert or update a campaign by its campaignId
+ */
+function saveCampaign(state) {
+  const campaigns = loadData(CAMPAIGNS_FILE);
+  const index = campaigns.findIndex(c => c.campaignId === state.campaignId);
+  if (index === -1) {
+    campaigns.push(state);
+  } else {
+    campaigns[index] = state;
+  }
+  saveData(CAMPAIGNS_FILE, campaigns);
+  return state;
+}
+
+/**
+ * Campaign state without the per-recipient arrays, retries and A/B assignments (for API responses and SSE)
+ */
+function summarizeCampaign(state) {
+  const { sentEmails, failedEmails, retries, recipientEmails, abTest, ...summary } = state;
+  const { assignments, ...abSummary } = abTest || {};
+  return {
+    ...summary,
+    ...(abTest ? { abTest: abSummary } : {}),
+    sentCount: (sentEmails || []).length,
+    failedCount: (failedEmails || []).length,
+    retryingCount: Object.keys(retries || {}).length,
+  };
+}
+
+function isIncomplete(state) {
+  return INCOMPLETE_STATUSES.includes(state.status);
+}
+
+module.exports = {
+  INCOMPLETE_STATUSES,
+  initCampaignsFile,
+  listCampaigns,
+  getCampaign,
+  saveCampaign,
+  summarizeCampaign,
+  isIncomplete,
+};
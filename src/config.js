@@ -1,5 +1,19 @@
 require('dotenv').config();
 
+/**
+ * Parse "gmail.com=20,web.de=10" into { 'gmail.com': 20, 'web.de': 10 }
+ */
+function parseDomainLimits(value) {
+  const limits = {};
+  (value || '').split(',').forEach(pair => {
+    const [domain, limit] = pair.split('=').map(part => part && part.trim());
+    if (domain && limit && !isNaN(parseInt(limit, 10))) {
+      limits[domain.toLowerCase()] = parseInt(limit, 10);
+    }
+  });
+  return limits;
+}
+
 module.exports = {
   smtp: {
     host: process.env.SMTP_HOST,
@@ -14,6 +28,8 @@ module.exports = {
   email: {
     fromName: process.env.FROM_NAME || 'ClickLocal',
     fromEmail: process.env.FROM_EMAIL,
+    // Mailbox for List-Unsubscribe mailto requests (handled by hand)
+    unsubscribeEmail: process.env.UNSUBSCRIBE_EMAIL || process.env.FROM_EMAIL,
   },
 
   googleSheets: {
@@ -22,5 +38,47 @@ module.exports = {
     privateKey: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
   },
 
+  // Public address of this server - tracking pixels, click, unsubscribe and preference links in emails point here
+  // (the server listens on localhost, so a reverse proxy must forward /api/track, /api/click, /api/unsubscribe
+  // and /api/preferences)
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || 'https://www.clicklocal.me').replace(/\/+$/, ''),
+
+  // Key for signing tracking and unsubscribe links (generated into data/ when empty)
+  tokenSecret: process.env.TOKEN_SECRET || '',
+
   rateLimitSeconds: parseInt(process.env.RATE_LIMIT_SECONDS, 10) || 120,
+
+  // How many campaigns may send at the same time (they share the rate limit)
+  campaignConcurrency: parseInt(process.env.CAMPAIGN_CONCURRENCY, 10) || 1,
+
+  // Transient SMTP failures (4xx, connection errors) are retried with exponential backoff:
+  // base delay, then 2x, 4x, ... until maxAttempts sends have been tried
+  retry: {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 4,
+    baseDelaySeconds: parseInt(process.env.RETRY_BASE_DELAY_SECONDS, 10) || 300,
+  },
+
+  // Max sends per hour to one recipient domain (0 = unlimited), shared by all campaigns;
+  // DOMAIN_LIMITS overrides it for single providers, e.g. "gmail.com=20,web.de=10"
+  domainLimits: {
+    perHour: parseInt(process.env.DOMAIN_LIMIT_PER_HOUR, 10) || 0,
+    overrides: parseDomainLimits(process.env.DOMAIN_LIMITS),
+  },
+
+  // Warm-up for a fresh mailbox: daily send caps along a curve, one value per sending day
+  // (after the last value no cap applies). Days are counted from WARMUP_START_DATE (YYYY-MM-DD),
+  // or from the day warm-up was first switched on (recorded in data/warm-up.json)
+  warmUp: {
+    enabled: process.env.WARMUP_ENABLED === 'true',
+    startDate: process.env.WARMUP_START_DATE || '',
+    curve: (process.env.WARMUP_CURVE || '20,40,80,150,300,500')
+      .split(',').map(v => parseInt(v, 10)).filter(v => v > 0),
+    timezone: process.env.WARMUP_TIMEZONE || 'Europe/Berlin',
+  },
+
+  // Address checks when lists are saved or imported; switch MX lookups off when working offline
+  emailValidation: {
+    mxLookup: process.env.EMAIL_MX_LOOKUP !== 'false',
+    mxTimeoutMs: parseInt(process.env.EMAIL_MX_TIMEOUT_MS, 10) || 5000,
+  },
 };
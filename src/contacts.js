@@ -0,0 +1,228 @@
+/**
+ * Contacts database - one record per address, shared by all lists
+ *
+ * Lists store memberships (`contactIds`); unsubscribe state, custom fields, validation,
+ * notes and the engagement history live on the contact, so every list sees the same data.
+ *
+ * Contact: { id, email, timezone?, unsubscribed?, unsubscribedAt?, pausedUntil?, leftLists?, validation?, notes?,
+ *            ...custom fields, history: [{ at, type, campaignId? }], createdAt, updatedAt }
+ * (pausedUntil and leftLists are set from the preference page, see preferences.js)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { CONTACTS_FILE, LISTS_FILE, initDataFile, loadData, saveData } = require('./storage');
+
+// Kept by the server - not taken from list forms or imports
+const PROTECTED_CONTACT_FIELDS = ['id', 'history', 'createdAt', 'updatedAt', 'unsubscribed', 'unsubscribedAt', 'pausedUntil', 'leftLists'];
+const MAX_HISTORY = 200; // engagement events kept per contact
+
+function loadContacts() {
+  return loadData(CONTACTS_FILE);
+}
+
+function saveContacts(contacts) {
+  saveData(CONTACTS_FILE, contacts);
+}
+
+function byEmail(contacts) {
+  return new Map(contacts.map(c => [c.email.toLowerCase(), c]));
+}
+
+function findContactByEmail(email, contacts = loadContacts()) {
+  const key = String(email || '').trim().toLowerCase();
+  return contacts.find(c => c.email.toLowerCase() === key) || null;
+}
+
+/**
+ * Insert or update contacts by address (ignoring case)
+ * @param {Array} inputs - [{ email, timezone?, notes?, validation?, ...fields }]
+ * @param {Object} [options]
+ * @param {Array<string>} [options.clearFields] - Fields removed from a contact when the input leaves them out
+ *   (the columns of the form the inputs come from, so emptied cells are cleared)
+ * @param {Array} [options.contacts] - Loaded contacts to change (saved by the caller); saves itself if omitted
+ * @returns {Array} - The stored contacts, in input order
+ */
+function upsertContacts(inputs, { clearFields = [], contacts } = {}) {
+  const store = contacts || loadContacts();
+  const index = byEmail(store);
+  const now = new Date().toISOString();
+
+  const result = inputs.map(input => {
+    const changes = { ...input };
+    PROTECTED_CONTACT_FIELDS.forEach(field => delete changes[field]);
+
+    const existing = index.get(input.email.toLowerCase());
+    if (existing) {
+      clearFields.forEach(field => {
+        if (changes[field] === undefined) delete existing[field];
+      });
+      Object.assign(existing, changes, { email: existing.email, updatedAt: now });
+      return existing;
+    }
+
+    const contact = { id: uuidv4(), ...changes, history: [], createdAt: now, updatedAt: now };
+    store.push(contact);
+    index.set(contact.email.toLowerCase(), contact);
+    return contact;
+  });
+
+  if (!contacts) saveContacts(store);
+  return result;
+}
+
+/**
+ * Change one contact by ID
+ * @returns {Object|null} - The updated contact
+ */
+function updateContact(id, changes) {
+  const contacts = loadContacts();
+  const contact = contacts.find(c => c.id === id);
+  if (!contact) return null;
+
+  Object.assign(contact, changes, { updatedAt: new Date().toISOString() });
+  saveContacts(contacts);
+  return contact;
+}
+
+/**
+ * Add an engagement event (sent, failed, unsubscribed, opened, clicked ...) to a contact's history
+ * Addresses that are not in the database (test sends, CLI sheets) are ignored.
+ */
+function recordContactEvent(email, event) {
+  const contacts = loadContacts();
+  const contact = findContactByEmail(email, contacts);
+  if (!contact) return;
+
+  contact.history = [...(contact.history || []), { at: new Date().toISOString(), ...event }].slice(-MAX_HISTORY);
+  saveContacts(contacts);
+}
+
+/**
+ * Lists with their contacts resolved into `emails` (in membership order)
+ */
+function loadLists() {
+  const contacts = new Map(loadContacts().map(c => [c.id, c]));
+  return loadData(LISTS_FILE).map(list => ({
+    ...list,
+    emails: (list.contactIds || []).map(id => contacts.get(id)).filter(Boolean),
+  }));
+}
+
+function getList(id) {
+  return loadLists().find(l => l.id === id) || null;
+}
+
+/**
+ * Store a list; `emails` (resolved contacts) is saved as `contactIds`
+ */
+function saveList(list) {
+  const { emails, ...stored } = list;
+  if (emails) stored.contactIds = [...new Set(emails.map(c => c.id))];
+
+  const lists = loadData(LISTS_FILE);
+  const index = lists.findIndex(l => l.id === list.id);
+  if (index === -1) {
+    lists.push(stored);
+  } else {
+    lists[index] = stored;
+  }
+  saveData(LISTS_FILE, lists);
+}
+
+function deleteList(id) {
+  saveData(LISTS_FILE, loadData(LISTS_FILE).filter(l => l.id !== id));
+}
+
+/**
+ * Lists every contact belongs to: contact ID -> [list names]
+ */
+function getMemberships() {
+  const memberships = new Map();
+  loadData(LISTS_FILE).forEach(list => (list.contactIds || []).forEach(id => {
+    memberships.set(id, [...(memberships.get(id) || []), list.name]);
+  }));
+  return memberships;
+}
+
+/**
+ * Give each contact the `listId` and `sheetName` of the first list with a sheet tab it is on
+ * (for recipients that do not come from one list, e.g. segment members)
+ */
+function withListSheetNames(contacts) {
+  const lists = loadData(LISTS_FILE).filter(l => l.sheetName);
+  return contacts.map(contact => {
+    const list = lists.find(l => (l.contactIds || []).includes(contact.id));
+    return list ? { ...contact, listId: list.id, sheetName: list.sheetName } : contact;
+  });
+}
+
+/**
+ * Move contacts out of lists that still carry their own `emails` copies (email-lists.json
+ * before the contacts database). An address on several lists becomes one contact:
+ * unsubscribed if any copy was, with the first value found for every other field.
+ */
+function migrateLists() {
+  const lists = loadData(LISTS_FILE);
+  if (!lists.some(list => Array.isArray(list.emails))) return;
+
+  const contacts = loadContacts();
+  const index = byEmail(contacts);
+  const now = new Date().toISOString();
+
+  lists.forEach(list => {
+    if (!Array.isArray(list.emails)) return;
+
+    const ids = list.emails.filter(copy => copy && copy.email).map(copy => {
+      const key = copy.email.trim().toLowerCase();
+      let contact = index.get(key);
+      if (!contact) {
+        contact = { id: uuidv4(), email: copy.email.trim(), history: [], createdAt: list.createdAt || now, updatedAt: now };
+        contacts.push(contact);
+        index.set(key, contact);
+      }
+      Object.entries(copy).forEach(([field, value]) => {
+        if (field === 'unsubscribed' || field === 'unsubscribedAt') {
+          if (field === 'unsubscribed' && value) {
+            contact.unsubscribed = true;
+            contact.unsubscribedAt = copy.unsubscribedAt || contact.unsubscribedAt;
+          }
+        } else if (contact[field] === undefined && value !== undefined && value !== '') {
+          contact[field] = value;
+        }
+      });
+      return contact.id;
+    });
+
+    list.contactIds = [...new Set([...(list.contactIds || []), ...ids])];
+    delete list.emails;
+  });
+
+  saveContacts(contacts);
+  saveData(LISTS_FILE, lists);
+  console.log(`Migrated email lists to the contacts database (${contacts.length} contacts)`);
+}
+
+/**
+ * Create the contacts file and migrate old-style lists into it
+ */
+function initContacts() {
+  initDataFile(CONTACTS_FILE, []);
+  initDataFile(LISTS_FILE, []);
+  migrateLists();
+}
+
+module.exports = {
+  PROTECTED_CONTACT_FIELDS,
+  initContacts,
+  loadContacts,
+  findContactByEmail,
+  upsertContacts,
+  updateContact,
+  recordContactEvent,
+  loadLists,
+  getList,
+  saveList,
+  deleteList,
+  getMemberships,
+  withListSheetNames,
+};
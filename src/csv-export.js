@@ -0,0 +1,143 @@
+/**
+ * CSV exports - email lists, send logs and campaign reports
+ *
+ * Files start with a UTF-8 byte order mark so Excel shows umlauts correctly.
+ */
+
+const { formatFieldValue } = require('./field-values');
+
+/**
+ * Quote a cell when needed; cells that Excel would run as a formula get a leading '
+ */
+function formatCell(value) {
+  let text = formatFieldValue(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ * @param {Array<string>} headers
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+function toCsv(headers, rows) {
+  return '\uFEFF' + [headers, ...rows].map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * One row per contact with unsubscribe state, custom fields and notes
+ */
+function exportListCsv(list) {
+  const fields = list.fields || [];
+  const headers = ['email', 'timezone', 'unsubscribed', 'unsubscribed_at', ...fields, 'notes'];
+  const rows = list.emails.map(contact => [
+    contact.email,
+    contact.timezone,
+    contact.unsubscribed ? 'yes' : 'no',
+    contact.unsubscribedAt,
+    ...fields.map(f => contact[f]),
+    contact.notes,
+  ]);
+  return toCsv(headers, rows);
+}
+
+/**
+ * Filter send logs
+ * @param {Array} logs - Entries of send-logs.json
+ * @param {Object} filters - { campaignId?, status?, from?, to? } (dates as YYYY-MM-DD, inclusive, UTC)
+ */
+function filterLogs(logs, { campaignId, status, from, to } = {}) {
+  return logs.filter(log => {
+    const date = (log.timestamp || '').slice(0, 10);
+    if (campaignId && log.campaignId !== campaignId) return false;
+    if (status && log.status !== status) return false;
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    return true;
+  });
+}
+
+function exportLogsCsv(logs) {
+  const headers = ['timestamp', 'type', 'campaign_id', 'template', 'variant', 'email', 'subject', 'status', 'attempts', 'error', 'message_id'];
+  const rows = logs.map(log => [
+    log.timestamp,
+    log.type || 'send',
+    log.campaignId,
+    log.templateName,
+    log.variant,
+    log.email,
+    log.subject,
+    log.status,
+    log.attempts ? log.attempts.length : '',
+    log.error,
+    log.messageId,
+  ]);
+  return toCsv(headers, rows);
+}
+
+/**
+ * First open and clicked link names per recipient from tracking events
+ * A click counts as an open too (images may be blocked), like in the sheet tabs.
+ * @returns {Map<string, {openedAt: string, clickedLinks: Array<string>}>} - keyed by lowercased email
+ */
+function summarizeTracking(events) {
+  const byEmail = new Map();
+  events.slice().sort((a, b) => a.at.localeCompare(b.at)).forEach(event => {
+    const email = event.email.toLowerCase();
+    if (!byEmail.has(email)) byEmail.set(email, { openedAt: event.at, clickedLinks: [] });
+    const links = byEmail.get(email).clickedLinks;
+    if (event.type === 'click' && !links.includes(event.link)) links.push(event.link);
+  });
+  return byEmail;
+}
+
+/**
+ * Opens and clicks from a sheet tab (E = opened_at, F = clicked_links), in the shape of summarizeTracking
+ * Rows opened before `since` belong to an earlier campaign and are left out.
+ */
+function summarizeSheetRows(sheetRows, since) {
+  const byEmail = new Map();
+  sheetRows.forEach(row => {
+    if (!row.openedAt || (since && new Date(row.openedAt) < new Date(since))) return;
+    byEmail.set(row.email.toLowerCase(), {
+      openedAt: row.openedAt,
+      clickedLinks: String(row.clickedLinks || '').split(',').map(l => l.trim()).filter(Boolean),
+    });
+  });
+  return byEmail;
+}
+
+/**
+ * One row per recipient a campaign has processed so far
+ * Opens and clicks come from the tracking store. Campaigns without tracking events (sent
+ * before it existed) fall back to the sheet tab, which all campaigns to a list share - so
+ * only rows opened since this campaign started are used.
+ * @param {Object} state - Campaign state
+ * @param {Array} logs - Send log entries of the campaign
+ * @param {Object} [engagement] - { events: tracking events of the campaign, sheetRows: rows of the list's sheet tab (getRowsFromSheet) }
+ */
+function exportCampaignReportCsv(state, logs, { events = [], sheetRows = [] } = {}) {
+  const tracked = events.length ? summarizeTracking(events) : summarizeSheetRows(sheetRows, state.startedAt);
+  const latest = new Map(); // email -> last log entry (a resumed campaign may have logged twice)
+  logs.filter(log => log.type !== 'unsubscribe').forEach(log => latest.set(log.email, log));
+
+  const rows = [...latest.values()].map(log => {
+    const tracking = tracked.get(log.email.toLowerCase()) || { clickedLinks: [] };
+    return [log.email, log.variant, log.status, log.status === 'sent' ? log.timestamp : '', tracking.openedAt, tracking.clickedLinks.join(', '), log.error];
+  });
+  Object.entries(state.retries || {}).forEach(([email, retry]) => {
+    if (!latest.has(email)) rows.push([email, state.abTest?.assignments?.[email] || state.abTest?.winner, 'retrying', '', '', '', retry.attempts.at(-1)?.error]);
+  });
+
+  const headers = ['email', 'variant', 'status', 'sent_at', 'opened_at', 'clicked_links', 'error'];
+  return toCsv(headers, rows);
+}
+
+module.exports = {
+  toCsv,
+  exportListCsv,
+  filterLogs,
+  exportLogsCsv,
+  exportCampaignReportCsv,
+};
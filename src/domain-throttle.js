@@ -0,0 +1,103 @@
+/**
+ * Per-recipient-domain throttling - max N sends per hour to one domain
+ * (gmail.com, web.de, t-online.de...) on top of the global rate limit.
+ * Shared by all campaigns running in this process, like the global rate budget.
+ */
+
+const config = require('./config');
+const { LOGS_FILE, loadData } = require('./storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let sendsByDomain = null; // domain -> timestamps (ms) of sends in the last hour
+
+function getRecipientDomain(email) {
+  return String(email).split('@').pop().trim().toLowerCase();
+}
+
+/**
+ * Hourly limit for a domain (0 = unlimited)
+ */
+function getDomainLimit(domain) {
+  const { perHour, overrides } = config.domainLimits;
+  return overrides[domain] !== undefined ? overrides[domain] : perHour;
+}
+
+/**
+ * Whether a send attempt counts against its domain: every attempt the mail server
+ * answered, delivered or rejected - including 4xx replies that are retried later, since
+ * each retry is another delivery the domain sees. Connection errors and emails that
+ * failed to render never reached a server and don't count.
+ * @param {Object} attempt - sendEmail() result or a logged attempt ({ status, responseCode })
+ */
+function answeredByServer(attempt) {
+  return attempt.success || attempt.status === 'sent' || !!attempt.responseCode;
+}
+
+/**
+ * Sends of the last hour per domain, seeded from the send logs so a restart
+ * doesn't reset the counters
+ */
+function getRecentSends(domain, now) {
+  if (!sendsByDomain) {
+    sendsByDomain = new Map();
+    loadData(LOGS_FILE)
+      .filter(l => l.campaignId && l.email && l.type !== 'unsubscribe')
+      .forEach(l => {
+        const logDomain = getRecipientDomain(l.email);
+        if (!sendsByDomain.has(logDomain)) sendsByDomain.set(logDomain, []);
+        (l.attempts || [{ at: l.timestamp, status: l.status }])
+          .filter(answeredByServer)
+          .map(a => new Date(a.at).getTime())
+          .filter(t => now - t < HOUR_MS)
+          .forEach(t => sendsByDomain.get(logDomain).push(t));
+      });
+  }
+
+  const recent = (sendsByDomain.get(domain) || []).filter(t => now - t < HOUR_MS);
+  sendsByDomain.set(domain, recent);
+  return recent;
+}
+
+/**
+ * Earliest time a domain can receive its next email
+ * @returns {Date} - `now` when the domain is below its limit
+ */
+function getDomainReadyAt(domain, now = new Date()) {
+  const limit = getDomainLimit(domain);
+  if (!limit) return now;
+
+  const recent = getRecentSends(domain, now.getTime());
+  if (recent.length < limit) return now;
+
+  // The oldest send in the window has to drop out first
+  const sorted = recent.slice().sort((a, b) => a - b);
+  return new Date(sorted[recent.length - limit] + HOUR_MS);
+}
+
+/**
+ * Count a send against its domain's hourly limit
+ */
+function recordDomainSend(domain, at = new Date()) {
+  if (!getDomainLimit(domain)) return;
+  getRecentSends(domain, at.getTime()).push(at.getTime());
+}
+
+/**
+ * Human-readable limits, e.g. "20/h per domain (gmail.com: 10/h)"
+ */
+function describeDomainLimits() {
+  const { perHour, overrides } = config.domainLimits;
+  const base = perHour ? `${perHour}/h per domain` : 'no per-domain limit';
+  const extra = Object.entries(overrides).map(([domain, limit]) => `${domain}: ${limit || 'unlimited'}/h`);
+  return extra.length ? `${base} (${extra.join(', ')})` : base;
+}
+
+module.exports = {
+  getRecipientDomain,
+  getDomainLimit,
+  answeredByServer,
+  getDomainReadyAt,
+  recordDomainSend,
+  describeDomainLimits,
+};
@@ -0,0 +1,69 @@
+/**
+ * Dry runs - the full campaign pipeline (recipient filtering, rendering, opt-out
+ * footer, link and open tracking) without SMTP or Google Sheet updates.
+ * Every message is written as an .eml file so it can be opened in a mail client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildRawMessage } = require('./mailer');
+const { renderEmail } = require('./campaign-runner');
+const { DRY_RUN_DIR } = require('./storage');
+
+/**
+ * Render a campaign for every recipient and write the messages to disk
+ * @param {Object} options
+ * @param {Object} options.state - Campaign state ({ campaignId, listId, optOutLang, ... })
+ * @param {Object} options.template - Stored template to render
+ * @param {Object} [options.variants] - A/B test templates by variant ID, used for recipients with a `variant`
+ * @param {Array} options.recipients - Array of { email, variant? } that would be sent to
+ * @param {Array} [options.skipped] - Array of { email, reason } already filtered out
+ * @param {string} [options.outputDir] - Defaults to data/dry-runs/<timestamp>-<campaign>
+ * @returns {Promise<Object>} - Summary of who would be sent and who is skipped and why
+ */
+async function runDryRun({ state, template, variants, recipients, skipped = [], outputDir }) {
+  const optOutLang = state.optOutLang || '';
+  const startedAt = new Date().toISOString();
+  const dir = outputDir || path.join(DRY_RUN_DIR, `${startedAt.replace(/[:.]/g, '-')}-${state.campaignId.slice(0, 8)}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const wouldSend = [];
+  const skippedAll = [...skipped];
+
+  for (const recipient of recipients) {
+    try {
+      const { subject, html, unsubscribeUrl } = renderEmail((variants && variants[recipient.variant]) || template, {
+        email: recipient.email,
+        optOutLang,
+        contact: recipient,
+        campaignId: state.campaignId,
+        listId: recipient.listId || state.listId,
+      });
+      const message = await buildRawMessage({ to: recipient.email, subject, html, unsubscribeUrl });
+      const file = `${String(wouldSend.length + 1).padStart(4, '0')}-${recipient.email.replace(/[^a-z0-9@._-]/gi, '_')}.eml`;
+      fs.writeFileSync(path.join(dir, file), message);
+      wouldSend.push({ email: recipient.email, subject, file, ...(recipient.variant ? { variant: recipient.variant } : {}) });
+    } catch (err) {
+      skippedAll.push({ email: recipient.email, reason: `render error: ${err.message}` });
+    }
+  }
+
+  const summary = {
+    dryRun: true,
+    campaignId: state.campaignId,
+    templateName: template.name,
+    startedAt,
+    outputDir: dir,
+    wouldSendCount: wouldSend.length,
+    skippedCount: skippedAll.length,
+    wouldSend,
+    skipped: skippedAll,
+  };
+  fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify(summary, null, 2));
+
+  return summary;
+}
+
+module.exports = {
+  runDryRun,
+};
@@ -0,0 +1,178 @@
+/**
+ * Email address validation and list hygiene
+ *
+ * Addresses are trimmed, get a lowercase domain and are checked for syntax,
+ * role accounts (info@, noreply@ ...), disposable domains (src/disposable-domains.json)
+ * and - unless EMAIL_MX_LOOKUP=false - a mail server for the domain.
+ *
+ * Each contact gets a `validation` of { status, reasons, checkedAt }:
+ *   valid   - nothing found
+ *   risky   - role account or disposable domain, still sent to
+ *   invalid - bad syntax or no mail server, skipped by the sender
+ */
+
+const { Resolver } = require('dns').promises;
+const config = require('./config');
+const DISPOSABLE_DOMAINS = new Set(require('./disposable-domains.json'));
+
+const ROLE_ACCOUNTS = new Set([
+  'abuse', 'admin', 'administrator', 'bestellung', 'billing', 'buchhaltung', 'contact', 'do-not-reply',
+  'donotreply', 'empfang', 'hello', 'help', 'hostmaster', 'hr', 'info', 'jobs', 'karriere', 'kontakt',
+  'mail', 'marketing', 'newsletter', 'no-reply', 'noreply', 'office', 'orders', 'postmaster', 'presse',
+  'press', 'privacy', 'sales', 'security', 'service', 'support', 'team', 'vertrieb', 'webmaster',
+]);
+
+const LOCAL_PART_REGEX = /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL_REGEX = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+const resolver = new Resolver({ timeout: config.emailValidation.mxTimeoutMs, tries: 1 });
+const mailServerCache = new Map(); // domain -> Promise<boolean|null>
+
+/**
+ * Trim and lowercase the domain ("  Anna@Example.DE " -> "Anna@example.de")
+ * The local part keeps its case - some servers treat it as case-sensitive.
+ */
+function normalizeEmail(email) {
+  const trimmed = String(email || '').trim();
+  const at = trimmed.lastIndexOf('@');
+  if (at === -1) return trimmed;
+  return trimmed.slice(0, at) + '@' + trimmed.slice(at + 1).toLowerCase();
+}
+
+/**
+ * Check the syntax of a normalised address
+ * @returns {string|null} - Why the address is invalid, or null
+ */
+function checkSyntax(email) {
+  if (!email) return 'no email address';
+  if (email.length > 254) return 'address is too long';
+
+  const at = email.lastIndexOf('@');
+  if (at === -1) return 'missing @';
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+
+  if (!local || local.length > 64 || !LOCAL_PART_REGEX.test(local)) return 'invalid name before the @';
+
+  const labels = domain.split('.');
+  if (labels.length < 2 || labels.some(label => label.length > 63 || !DOMAIN_LABEL_REGEX.test(label))) {
+    return 'invalid domain';
+  }
+  if (!/^[a-z]{2,}$/.test(labels[labels.length - 1]) && !/^xn--/.test(labels[labels.length - 1])) {
+    return 'invalid top-level domain';
+  }
+  return null;
+}
+
+function isRoleAccount(email) {
+  return ROLE_ACCOUNTS.has(email.slice(0, email.lastIndexOf('@')).toLowerCase());
+}
+
+function isDisposableDomain(domain) {
+  return DISPOSABLE_DOMAINS.has(domain);
+}
+
+/**
+ * Look up whether a domain accepts mail (MX record, or an A record as fallback)
+ * @returns {Promise<boolean|null>} - null if the lookup itself failed (offline, timeout)
+ */
+function hasMailServer(domain) {
+  if (!mailServerCache.has(domain)) {
+    const lookup = resolver.resolveMx(domain)
+      .then(records => records.some(r => r.exchange))
+      .catch(err => {
+        if (err.code === 'ENOTFOUND') return false;
+        if (err.code !== 'ENODATA') return null;
+        return resolver.resolve4(domain).then(a => a.length > 0, () => false);
+      })
+      .then(result => {
+        // Don't remember failed lookups - the network may be back next time
+        if (result === null) mailServerCache.delete(domain);
+        return result;
+      });
+    mailServerCache.set(domain, lookup);
+  }
+  return mailServerCache.get(domain);
+}
+
+/**
+ * Validate one normalised address
+ * @param {string} email
+ * @param {Object} [options] - { mxLookup } defaults to EMAIL_MX_LOOKUP
+ * @returns {Promise<{status: string, reasons: Array<string>, checkedAt: string}>}
+ */
+async function validateEmail(email, { mxLookup = config.emailValidation.mxLookup } = {}) {
+  const checkedAt = new Date().toISOString();
+  const syntaxError = checkSyntax(email);
+  if (syntaxError) return { status: 'invalid', reasons: [syntaxError], checkedAt };
+
+  const domain = email.slice(email.lastIndexOf('@') + 1);
+  if (mxLookup && await hasMailServer(domain) === false) {
+    return { status: 'invalid', reasons: ['no mail server for ' + domain], checkedAt };
+  }
+
+  const reasons = [];
+  if (isRoleAccount(email)) reasons.push('role account');
+  if (isDisposableDomain(domain)) reasons.push('disposable domain');
+  return { status: reasons.length ? 'risky' : 'valid', reasons, checkedAt };
+}
+
+/**
+ * Normalise, deduplicate and validate the contacts of a list
+ * The first contact wins for addresses that appear more than once (ignoring case).
+ * @param {Array} contacts - [{ email, ...fields }]
+ * @param {Object} [options] - { mxLookup }
+ * @returns {Promise<{contacts: Array, report: Object}>}
+ *   contacts carry a `validation`; report has counts plus invalid [{ email, reasons }],
+ *   risky [{ email, reasons }], duplicates [email] and normalized [{ from, to }]
+ */
+async function checkEmailList(contacts, options = {}) {
+  const seen = new Set();
+  const unique = [];
+  const duplicates = [];
+  const normalized = [];
+
+  contacts.forEach(contact => {
+    const email = normalizeEmail(contact.email);
+    if (!email) return;
+    if (email !== contact.email) normalized.push({ from: contact.email, to: email });
+
+    const key = email.toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push(email);
+      return;
+    }
+    seen.add(key);
+    unique.push({ ...contact, email });
+  });
+
+  const checked = await Promise.all(unique.map(async contact => ({
+    ...contact,
+    validation: await validateEmail(contact.email, options),
+  })));
+
+  const withStatus = status => checked
+    .filter(c => c.validation.status === status)
+    .map(c => ({ email: c.email, reasons: c.validation.reasons }));
+
+  return {
+    contacts: checked,
+    report: {
+      total: checked.length,
+      valid: checked.filter(c => c.validation.status === 'valid').length,
+      invalid: withStatus('invalid'),
+      risky: withStatus('risky'),
+      duplicates,
+      normalized,
+    },
+  };
+}
+
+module.exports = {
+  normalizeEmail,
+  checkSyntax,
+  isRoleAccount,
+  isDisposableDomain,
+  validateEmail,
+  checkEmailList,
+};
@@ -0,0 +1,27 @@
+/**
+ * Server-sent events for real-time updates in the web UI
+ */
+
+// SSE clients for real-time updates
+let sseClients = [];
+
+function addClient(client) {
+  sseClients.push(client);
+}
+
+function removeClient(clientId) {
+  sseClients = sseClients.filter(c => c.id !== clientId);
+}
+
+function sendSSE(event, data) {
+  sseClients.forEach(client => {
+    client.res.write('event: ' + event + '\n');
+    client.res.write('data: ' + JSON.stringify(data) + '\n\n');
+  });
+}
+
+module.exports = {
+  addClient,
+  removeClient,
+  sendSSE,
+};
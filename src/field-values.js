@@ -0,0 +1,15 @@
+/**
+ * Contact field values as text - shared by the sheet tabs and CSV exports
+ */
+
+/**
+ * Cell value for a custom contact field (lists like tags are comma-separated)
+ */
+function formatFieldValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined || value === null ? '' : String(value);
+}
+
+module.exports = {
+  formatFieldValue,
+};
@@ -0,0 +1,229 @@
+/**
+ * Email list import from CSV or XLSX files
+ *
+ * The first row holds the column names. Columns are mapped to `email`,
+ * `timezone` or a custom contact field; unmapped columns are ignored.
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { isValidTimezone } = require('./timezone');
+const { normalizeEmail, checkSyntax } = require('./email-validation');
+
+const FIELD_NAME_REGEX = /^[a-z][a-zA-Z0-9_]*$/;
+
+/**
+ * Parse CSV text into rows of cells
+ * Detects the delimiter (comma, semicolon as exported by German Excel, or tab)
+ * and handles quoted cells with embedded delimiters, quotes and newlines.
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, ''); // strip a UTF-8 byte order mark
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Read the first worksheet of an XLSX file into rows of cell texts
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, row => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      cells.push(String(row.getCell(col).text || '').trim());
+    }
+    rows.push(cells);
+  });
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+/**
+ * Read an uploaded file into column headers and data rows
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original name, used to tell CSV from XLSX
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+ */
+async function readImportFile(buffer, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  let rows;
+  if (ext === '.xlsx') {
+    rows = await parseXlsx(buffer);
+  } else if (ext === '.csv' || ext === '.txt' || ext === '.tsv') {
+    rows = parseCsv(buffer.toString('utf-8'));
+  } else {
+    throw new Error('Unsupported file type - upload a .csv or .xlsx file');
+  }
+
+  if (rows.length === 0) throw new Error('The file is empty');
+
+  const headers = rows[0].map((h, i) => String(h).trim() || `column_${i + 1}`);
+  return { headers, rows: rows.slice(1) };
+}
+
+/**
+ * Guess a target for each column from its name
+ * "E-Mail" -> email, "Zeitzone"/"timezone" -> timezone, "Shop Name" -> shop_name
+ * @returns {Array<string>} - Target per column ('' = ignore)
+ */
+function suggestMapping(headers) {
+  let hasEmail = false;
+  return headers.map(header => {
+    const name = header.trim().toLowerCase();
+    if (!hasEmail && /^(e-?mail|email address|e-mail-adresse|mail)$/.test(name)) {
+      hasEmail = true;
+      return 'email';
+    }
+    if (/^(time ?zone|zeitzone|tz)$/.test(name)) return 'timezone';
+
+    const field = name
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // ä -> a, é -> e
+      .replace(/\u00df/g, 'ss')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .replace(/^[^a-z]+/, '');
+    return FIELD_NAME_REGEX.test(field) && field !== 'unsubscribed' ? field : '';
+  });
+}
+
+/**
+ * Check a column mapping
+ * @returns {string|null} - Error, or null if valid
+ */
+function validateMapping(mapping) {
+  const targets = mapping.filter(Boolean);
+  if (!targets.includes('email')) return 'Map one column to "email"';
+
+  const duplicate = targets.find((t, i) => targets.indexOf(t) !== i);
+  if (duplicate) return `Column "${duplicate}" is mapped twice`;
+
+  const invalid = targets.find(t => !FIELD_NAME_REGEX.test(t) || ['unsubscribed', 'unsubscribedAt'].includes(t));
+  return invalid ? `Invalid field name "${invalid}" (use letters, digits and _ starting with a lowercase letter)` : null;
+}
+
+/**
+ * Turn data rows into contacts and report problems
+ * @param {Object} options
+ * @param {Array<Array<string>>} options.rows - Data rows (without the header row)
+ * @param {Array<string>} options.mapping - Target per column ('' = ignore)
+ * @param {Array} options.lists - All stored email lists
+ * @param {string} [options.listId] - List being appended to (not reported as "other list")
+ * @returns {{contacts: Array, fields: Array<string>, report: Object}}
+ *   report has invalid [{ row, email, reason }], duplicates [{ row, email, firstRow }],
+ *   onOtherLists [{ email, lists }], alreadyOnList [email] and counts
+ */
+function buildImport({ rows, mapping, lists, listId }) {
+  const fields = mapping.filter(t => t && t !== 'email' && t !== 'timezone');
+  const contacts = [];
+  const invalid = [];
+  const duplicates = [];
+  const seen = new Map(); // lowercase email -> row number
+
+  rows.forEach((cells, i) => {
+    const rowNumber = i + 2; // 1-based, after the header row
+    const contact = {};
+    mapping.forEach((target, col) => {
+      const value = String(cells[col] ?? '').trim();
+      if (target && value !== '') contact[target] = target === 'email' ? normalizeEmail(value) : value;
+    });
+
+    if (!contact.email) {
+      invalid.push({ row: rowNumber, email: '', reason: 'no email address' });
+      return;
+    }
+    const syntaxError = checkSyntax(contact.email);
+    if (syntaxError) {
+      invalid.push({ row: rowNumber, email: contact.email, reason: `invalid email address (${syntaxError})` });
+      return;
+    }
+    if (contact.timezone && !isValidTimezone(contact.timezone)) {
+      invalid.push({ row: rowNumber, email: contact.email, reason: `invalid timezone "${contact.timezone}"` });
+      return;
+    }
+    const key = contact.email.toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push({ row: rowNumber, email: contact.email, firstRow: seen.get(key) });
+      return;
+    }
+
+    seen.set(key, rowNumber);
+    contacts.push(contact);
+  });
+
+  const onOtherLists = [];
+  const target = lists.find(l => l.id === listId);
+  const onTarget = new Set(target ? target.emails.map(e => e.email.toLowerCase()) : []);
+  contacts.forEach(contact => {
+    const names = lists
+      .filter(l => l.id !== listId && l.emails.some(e => e.email.toLowerCase() === contact.email.toLowerCase()))
+      .map(l => l.name);
+    if (names.length > 0) onOtherLists.push({ email: contact.email, lists: names });
+  });
+  const alreadyOnList = contacts.filter(c => onTarget.has(c.email.toLowerCase())).map(c => c.email);
+
+  return {
+    contacts,
+    fields,
+    report: {
+      totalRows: rows.length,
+      importable: contacts.length,
+      newContacts: contacts.length - alreadyOnList.length,
+      invalid,
+      duplicates,
+      onOtherLists,
+      alreadyOnList,
+    },
+  };
+}
+
+module.exports = {
+  parseCsv,
+  readImportFile,
+  suggestMapping,
+  validateMapping,
+  buildImport,
+};
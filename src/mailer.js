@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const config = require('./config');
 
 let transporter = null;
+let previewTransporter = null;
 
 /**
  * Initialize the SMTP transporter
@@ -45,26 +46,85 @@ async function verifyConnection() {
  * @param {string} subject - Email subject
  * @param {string} html - HTML content of the email
  * @param {string} [text] - Plain text fallback (optional)
+ * @param {string} [unsubscribeUrl] - Recipient's one-click unsubscribe link (campaign mail)
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string, responseCode?: number, response?: string, transient?: boolean}>}
+ *   response is the server's SMTP reply, e.g. "550 5.1.1 User unknown"
  */
-async function sendEmail({ to, subject, html, text }) {
+async function sendEmail({ to, subject, html, text, unsubscribeUrl }) {
   const transport = initTransporter();
+  const mailOptions = buildMailOptions({ to, subject, html, text, unsubscribeUrl });
 
-  const mailOptions = {
+  try {
+    const info = await transport.sendMail(mailOptions);
+    console.log(`Email sent to ${to}: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`Failed to send email to ${to}:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      responseCode: error.responseCode,
+      response: error.response,
+      transient: isTransientError(error),
+    };
+  }
+}
+
+// Connection-level errors from nodemailer that are worth retrying
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET'];
+
+/**
+ * Classify a send error as transient (retry later) or permanent
+ * SMTP 4xx replies (greylisting, "too many connections", mailbox busy) are
+ * temporary; 5xx replies are permanent. Without a reply code, network errors
+ * are treated as transient.
+ */
+function isTransientError(error) {
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Build the raw RFC 822 message (headers + text + HTML) without sending it
+ * Used by dry runs to write .eml files
+ * @returns {Promise<Buffer>}
+ */
+async function buildRawMessage({ to, subject, html, text, unsubscribeUrl }) {
+  if (!previewTransporter) {
+    previewTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+  const info = await previewTransporter.sendMail(buildMailOptions({ to, subject, html, text, unsubscribeUrl }));
+  return info.message;
+}
+
+function buildMailOptions({ to, subject, html, text, unsubscribeUrl }) {
+  const options = {
     from: `"${config.email.fromName}" <${config.email.fromEmail}>`,
     to,
     subject,
     html,
     text: text || stripHtml(html),
   };
+  if (unsubscribeUrl) options.headers = buildListUnsubscribeHeaders(unsubscribeUrl);
+  return options;
+}
 
-  try {
-    const info = await transport.sendMail(mailOptions);
-    console.log(`Email sent to ${to}: ${info.messageId}`);
-    return { success: true, messageId: info.messageId };
-  } catch (error) {
-    console.error(`Failed to send email to ${to}:`, error.message);
-    return { success: false, error: error.message };
+/**
+ * List-Unsubscribe headers for bulk mail (RFC 2369 / RFC 8058)
+ * Mail clients show their own unsubscribe button and POST "List-Unsubscribe=One-Click"
+ * to the https link; the mailto address is the fallback for clients without one-click support.
+ */
+function buildListUnsubscribeHeaders(unsubscribeUrl) {
+  const links = [`<${unsubscribeUrl}>`];
+  if (config.email.unsubscribeEmail) {
+    links.unshift(`<mailto:${config.email.unsubscribeEmail}?subject=unsubscribe>`);
   }
+  return {
+    'List-Unsubscribe': links.join(', '),
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+  };
 }
 
 /**
@@ -87,4 +147,6 @@ module.exports = {
   initTransporter,
   verifyConnection,
   sendEmail,
+  buildRawMessage,
+  isTransientError,
 };
@@ -0,0 +1,224 @@
+/**
+ * Merge tags - personalise subjects and bodies with per-contact fields
+ *
+ * {{name}}, {{shop}}, {{city}} ... are filled from the contact in the email list,
+ * {{name|liebes Team}} falls back to the text after the pipe when the field is empty.
+ *
+ * Blocks let one template serve several segments:
+ *   {{#if segment == "sustainable"}} ... {{else}} ... {{/if}}
+ *   {{#if !shop}} / {{#if language != "de"}} / {{#if tags contains "bio"}}
+ *   {{#each tags}}{{this}}{{/each}}   (lists or comma-separated values, {{@index}} counts from 1)
+ * Comparisons ignore case and surrounding spaces.
+ *
+ * Tags start with a lowercase letter, so the internal {{EMAIL}} / {{SHEET}} / {{TAG_n}}
+ * placeholders are left alone.
+ */
+
+const TAG_REGEX = /\{\{([^{}]*)\}\}/g;
+const VARIABLE_REGEX = /^(this|@index|[a-z][a-zA-Z0-9_]*)\s*(?:\|([\s\S]*))?$/;
+const CONDITION_REGEX = /^(!)?\s*([a-z][a-zA-Z0-9_]*|this)\s*(?:(==|!=|contains)\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?$/;
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a template into a tree of text, variable, if and each nodes
+ * @throws {Error} - With the line number, e.g. 'Line 3: {{#if}} is never closed with {{/if}}'
+ */
+function parse(text) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const lineAt = index => text.slice(0, index).split('\n').length;
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.type === 'if' && node.inElse ? node.otherwise : node.children;
+  };
+
+  for (const match of text.matchAll(TAG_REGEX)) {
+    const inner = match[1].trim();
+    const line = lineAt(match.index);
+    const fail = message => { throw new Error(`Line ${line}: ${message}`); };
+
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    if (inner.startsWith('#if')) {
+      const condition = inner.slice(3).trim();
+      const parts = CONDITION_REGEX.exec(condition);
+      if (!parts) fail(`Invalid condition "${condition}" in {{#if}} (e.g. {{#if segment == "sustainable"}})`);
+      const node = {
+        type: 'if',
+        line,
+        negate: !!parts[1],
+        field: parts[2],
+        operator: parts[3] || null,
+        value: parts[4] ?? parts[5] ?? parts[6] ?? null,
+        children: [],
+        otherwise: [],
+        inElse: false,
+      };
+      current().push(node);
+      stack.push(node);
+    } else if (inner.startsWith('#each')) {
+      const field = inner.slice(5).trim();
+      if (!/^[a-z][a-zA-Z0-9_]*$/.test(field)) fail(`Invalid field "${field}" in {{#each}} (e.g. {{#each tags}})`);
+      const node = { type: 'each', line, field, children: [] };
+      current().push(node);
+      stack.push(node);
+    } else if (inner === 'else') {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'if' || node.inElse) fail('{{else}} without a matching {{#if}}');
+      node.inElse = true;
+    } else if (inner === '/if' || inner === '/each') {
+      const node = stack[stack.length - 1];
+      const type = inner.slice(1);
+      if (node.type !== type) {
+        fail(node.type === 'root'
+          ? `{{${inner}}} without a matching {{#${type}}}`
+          : `{{${inner}}} found, but {{#${node.type}}} from line ${node.line} is still open`);
+      }
+      stack.pop();
+    } else if (inner.startsWith('#') || inner.startsWith('/')) {
+      fail(`Unknown block {{${inner}}} (use #if, else, /if, #each, /each)`);
+    } else {
+      const parts = VARIABLE_REGEX.exec(inner);
+      if (parts) {
+        current().push({ type: 'variable', field: parts[1], fallback: (parts[2] || '').trim() });
+      } else {
+        // Not a merge tag (internal placeholder or literal braces) - keep as is
+        current().push({ type: 'text', value: match[0] });
+      }
+    }
+  }
+
+  if (lastIndex < text.length) {
+    current().push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Line ${open.line}: {{#${open.type}}} is never closed with {{/${open.type}}}`);
+  }
+  return root;
+}
+
+function isEmpty(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === undefined || value === null || value === false || String(value).trim() === '';
+}
+
+/**
+ * Values of a list field: arrays as they are, strings split on commas
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (isEmpty(value)) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function lookup(field, scope) {
+  if (field === 'this') return scope.item;
+  if (field === '@index') return scope.index;
+  return scope.contact[field];
+}
+
+function evaluate(node, scope) {
+  const actual = lookup(node.field, scope);
+  let result;
+  if (node.operator === '==') {
+    result = !isEmpty(actual) && normalize(actual) === normalize(node.value);
+  } else if (node.operator === '!=') {
+    result = isEmpty(actual) || normalize(actual) !== normalize(node.value);
+  } else if (node.operator === 'contains') {
+    result = toList(actual).some(v => normalize(v) === normalize(node.value));
+  } else {
+    result = !isEmpty(actual);
+  }
+  return node.negate ? !result : result;
+}
+
+function renderNodes(nodes, scope, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'variable') {
+      const value = lookup(node.field, scope);
+      const filled = isEmpty(value) ? node.fallback : (Array.isArray(value) ? value.join(', ') : String(value));
+      return escape ? escapeHtml(filled) : filled;
+    }
+
+    if (node.type === 'if') {
+      return renderNodes(evaluate(node, scope) ? node.children : node.otherwise, scope, escape);
+    }
+
+    // each
+    return toList(lookup(node.field, scope))
+      .map((item, i) => renderNodes(node.children, { ...scope, item, index: i + 1 }, escape))
+      .join('');
+  }).join('');
+}
+
+/**
+ * Replace merge tags and blocks with the contact's field values
+ * @param {string} text - Subject or content
+ * @param {Object} [contact] - Contact from the email list ({ email, name?, shop?, ... })
+ * @param {Object} [options] - { escape: true } to HTML-escape values (for HTML bodies)
+ * @returns {string}
+ * @throws {Error} - If the template has a syntax error (see validateTemplateText)
+ */
+function renderMergeTags(text, contact = {}, { escape = false } = {}) {
+  if (!text) return text;
+  return renderNodes(parse(text).children, { contact }, escape);
+}
+
+/**
+ * Check a subject or content for template errors
+ * @returns {string|null} - Error message with line number, or null if valid
+ */
+function validateTemplateText(text) {
+  try {
+    parse(text || '');
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Contact fields used in a text (e.g. ['name', 'segment', 'tags'])
+ * Returns [] for texts with syntax errors.
+ */
+function getMergeTags(text) {
+  const fields = new Set();
+  const collect = nodes => nodes.forEach(node => {
+    if (node.field && node.field !== 'this' && node.field !== '@index') fields.add(node.field);
+    if (node.children) collect(node.children);
+    if (node.otherwise) collect(node.otherwise);
+  });
+
+  try {
+    collect(parse(text || '').children);
+  } catch {
+    // Invalid template - validateTemplateText reports why
+  }
+  return [...fields];
+}
+
+module.exports = {
+  escapeHtml,
+  renderMergeTags,
+  validateTemplateText,
+  getMergeTags,
+};
@@ -0,0 +1,156 @@
+/**
+ * Subscription preferences - what a recipient changes on the page behind the email footer link
+ *
+ * A contact can leave or rejoin the lists it is on (shown by their `topic`), pause all emails
+ * for a while (`pausedUntil`) and set its `language` (the custom field used for merge tags,
+ * segments and the opt-out footer). Lists it left are kept in `leftLists` so it can rejoin them.
+ * Unsubscribing entirely goes through the same path as the unsubscribe link.
+ *
+ * The list tabs in the Google Sheet follow: column D gets the time a list was left or
+ * `paused until <date>`, and the language column is synced like other contact fields.
+ */
+
+const { LISTS_FILE, loadData, saveData } = require('./storage');
+const { loadContacts, updateContact, recordContactEvent, loadLists } = require('./contacts');
+const sheets = require('./sheets');
+
+const PAUSE_OPTIONS = [30, 90, 180]; // days
+const PREFERENCE_LANGUAGES = ['de', 'en'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isPaused(contact, now = new Date()) {
+  return !!contact.pausedUntil && new Date(contact.pausedUntil) > now;
+}
+
+/**
+ * What the preference page shows for a contact
+ * @returns {{lists: Array<{id, topic, subscribed}>, pausedUntil: string|null, language: string, unsubscribed: boolean}}
+ */
+function getPreferences(contact) {
+  const left = contact.leftLists || [];
+  const lists = loadData(LISTS_FILE)
+    .filter(list => (list.contactIds || []).includes(contact.id) || left.includes(list.id))
+    .map(list => ({ id: list.id, topic: list.topic || list.name, subscribed: (list.contactIds || []).includes(contact.id) }));
+
+  return {
+    lists,
+    pausedUntil: isPaused(contact) ? contact.pausedUntil : null,
+    language: contact.language || '',
+    unsubscribed: !!contact.unsubscribed,
+  };
+}
+
+/**
+ * Column D value for a contact that is on a list
+ */
+function optOutValue(pausedUntil) {
+  return pausedUntil ? sheets.PAUSED_PREFIX + pausedUntil.slice(0, 10) : '';
+}
+
+/**
+ * Mirror preference changes into the list tabs (runs after the page has answered)
+ */
+async function syncPreferencesToSheets(contactId, { left, joined, pauseChanged, languageChanged }) {
+  const lists = loadLists();
+  const contact = loadContacts().find(c => c.id === contactId);
+  const pausedUntil = isPaused(contact) ? contact.pausedUntil : null;
+  const now = new Date().toISOString();
+
+  for (const list of lists.filter(l => l.sheetName)) {
+    const member = list.emails.some(c => c.id === contactId);
+    const wasLeft = left.includes(list.id);
+    if (!member && !wasLeft) continue;
+
+    try {
+      if (wasLeft || joined.includes(list.id) || pauseChanged) {
+        const rowIndex = await sheets.findRowByEmailInSheet(list.sheetName, contact.email);
+        if (rowIndex) await sheets.setOptOutInSheet(list.sheetName, rowIndex, wasLeft ? now : optOutValue(pausedUntil));
+      }
+      if (member && languageChanged) {
+        await sheets.updateContactFieldsInSheet(list.sheetName, list.fields || [], list.emails);
+      }
+    } catch (err) {
+      console.error(`Failed to update Google Sheet tab "${list.sheetName}" for preferences:`, err.message);
+    }
+  }
+}
+
+/**
+ * Apply the preference form of a contact
+ * @param {string} contactId
+ * @param {Object} input - { listIds: lists to stay on, pause: ''|'keep'|days, language: ''|de|en }
+ * @returns {{error: string}|{contact: Object, changes: Array<string>}}
+ */
+function savePreferences(contactId, input) {
+  const contact = loadContacts().find(c => c.id === contactId);
+  if (!contact) return { error: 'Contact not found' };
+  if (contact.unsubscribed) return { error: 'Unsubscribed' };
+
+  const pause = String(input.pause ?? 'keep');
+  if (pause !== 'keep' && pause !== '' && !PAUSE_OPTIONS.includes(Number(pause))) return { error: 'Invalid pause' };
+  const language = String(input.language ?? contact.language ?? '');
+  if (language && !PREFERENCE_LANGUAGES.includes(language)) return { error: 'Invalid language' };
+
+  // Lists: leave the unticked ones, rejoin ticked ones that were left before
+  const keep = new Set(Array.isArray(input.listIds) ? input.listIds : [input.listIds].filter(Boolean));
+  const lists = loadData(LISTS_FILE);
+  const left = [];
+  const joined = [];
+  getPreferences(contact).lists.forEach(({ id, subscribed }) => {
+    const list = lists.find(l => l.id === id);
+    if (subscribed && !keep.has(id)) {
+      list.contactIds = list.contactIds.filter(cid => cid !== contact.id);
+      left.push(list);
+    } else if (!subscribed && keep.has(id)) {
+      list.contactIds = [...(list.contactIds || []), contact.id];
+      joined.push(list);
+    } else {
+      return;
+    }
+    list.updatedAt = new Date().toISOString();
+  });
+
+  // The language becomes a column of the contact's lists, so it shows up in their sheet tabs
+  const languageChanged = language !== (contact.language || '');
+  if (languageChanged && language) {
+    lists.filter(l => (l.contactIds || []).includes(contact.id) && !(l.fields || []).includes('language'))
+      .forEach(l => { l.fields = [...(l.fields || []), 'language']; });
+  }
+  if (left.length || joined.length || languageChanged) saveData(LISTS_FILE, lists);
+
+  const leftLists = (contact.leftLists || []).filter(id => !joined.some(l => l.id === id));
+  left.forEach(l => leftLists.push(l.id));
+
+  const wasPaused = isPaused(contact) ? contact.pausedUntil : null;
+  let pausedUntil = wasPaused;
+  if (pause === '') pausedUntil = null;
+  else if (pause !== 'keep') pausedUntil = new Date(Date.now() + Number(pause) * DAY_MS).toISOString();
+  const pauseChanged = pausedUntil !== wasPaused;
+
+  const updated = updateContact(contact.id, {
+    leftLists: leftLists.length ? leftLists : undefined,
+    pausedUntil: pausedUntil || undefined,
+    language: language || undefined,
+  });
+
+  const changes = [
+    ...left.map(l => `left "${l.topic || l.name}"`),
+    ...joined.map(l => `rejoined "${l.topic || l.name}"`),
+    ...(pauseChanged ? [pausedUntil ? `paused until ${pausedUntil.slice(0, 10)}` : 'resumed emails'] : []),
+    ...(languageChanged ? [`language ${language || 'not set'}`] : []),
+  ];
+  if (changes.length) {
+    recordContactEvent(contact.email, { type: 'preferences', note: changes.join('; ') });
+    syncPreferencesToSheets(contact.id, { left: left.map(l => l.id), joined: joined.map(l => l.id), pauseChanged, languageChanged })
+      .catch(err => console.error('Failed to sync preferences to Google Sheets:', err.message));
+  }
+  return { contact: updated, changes };
+}
+
+module.exports = {
+  PAUSE_OPTIONS,
+  PREFERENCE_LANGUAGES,
+  isPaused,
+  getPreferences,
+  savePreferences,
+};
@@ -0,0 +1,38 @@
+/**
+ * Link references for recipients outside the contacts database (sheet-only rows, test sends)
+ *
+ * Link tokens name a contact by ID; everyone else gets a random reference stored here as
+ * { id, email, createdAt }, so no address ever appears in a URL.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { RECIPIENTS_FILE, loadData, saveData } = require('./storage');
+
+/**
+ * Reference for an address, created on first use
+ * @returns {string}
+ */
+function getRecipientRef(email) {
+  const key = String(email || '').trim().toLowerCase();
+  const recipients = loadData(RECIPIENTS_FILE);
+  const existing = recipients.find(r => r.email === key);
+  if (existing) return existing.id;
+
+  const recipient = { id: uuidv4(), email: key, createdAt: new Date().toISOString() };
+  recipients.push(recipient);
+  saveData(RECIPIENTS_FILE, recipients);
+  return recipient.id;
+}
+
+/**
+ * Address behind a reference
+ * @returns {string|null}
+ */
+function findRecipientEmail(ref) {
+  return loadData(RECIPIENTS_FILE).find(r => r.id === ref)?.email || null;
+}
+
+module.exports = {
+  getRecipientRef,
+  findRecipientEmail,
+};
@@ -0,0 +1,233 @@
+/**
+ * Dynamic segments - saved rules over contact fields, list memberships and engagement
+ *
+ * A segment is { id, name, match: 'all'|'any', rules, createdAt, updatedAt }.
+ * Each rule has a type and may be negated with `negate: true`:
+ *   { type: 'list', listId }                         on the list
+ *   { type: 'field', field, operator, value }        operator: equals, contains, is_set
+ *   { type: 'opened', campaignId }                   opened a campaign ('last' = the latest one)
+ *   { type: 'clicked', campaignId }                  clicked a link in a campaign
+ *   { type: 'emailed_within', days }                 was sent an email in the last N days
+ *
+ * Membership is evaluated when a campaign starts, so it follows the current data.
+ * Opens and clicks come from the contact history and the tracking store; campaigns sent
+ * before the tracking store existed fall back to their sheet tab (columns E/F).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { SEGMENTS_FILE, LISTS_FILE, LOGS_FILE, initDataFile, loadData, saveData } = require('./storage');
+const { loadContacts, withListSheetNames } = require('./contacts');
+const { listCampaigns } = require('./campaigns');
+const { listTrackingEvents } = require('./tracking');
+const sheets = require('./sheets');
+
+const RULE_TYPES = ['list', 'field', 'opened', 'clicked', 'emailed_within'];
+const FIELD_OPERATORS = ['equals', 'contains', 'is_set'];
+
+function initSegments() {
+  initDataFile(SEGMENTS_FILE, []);
+}
+
+function listSegments() {
+  return loadData(SEGMENTS_FILE);
+}
+
+function getSegment(id) {
+  return listSegments().find(s => s.id === id) || null;
+}
+
+/**
+ * Validate segment input from a request
+ * @returns {{error: string}|{segment: {name, match, rules}}}
+ */
+function normalizeSegment(input) {
+  const name = String(input.name || '').trim();
+  if (!name) return { error: 'Enter a name for the segment' };
+
+  const match = input.match === 'any' ? 'any' : 'all';
+  const rules = Array.isArray(input.rules) ? input.rules : [];
+  if (rules.length === 0) return { error: 'Add at least one rule' };
+
+  const lists = loadData(LISTS_FILE);
+  const normalized = [];
+  for (const [i, rule] of rules.entries()) {
+    const label = `Rule ${i + 1}`;
+    const base = { type: rule.type, negate: !!rule.negate };
+
+    if (rule.type === 'list') {
+      if (!lists.some(l => l.id === rule.listId)) return { error: `${label}: choose a list` };
+      normalized.push({ ...base, listId: rule.listId });
+    } else if (rule.type === 'field') {
+      if (!/^[a-z][a-zA-Z0-9_]*$/.test(rule.field || '')) return { error: `${label}: enter a field name (e.g. district)` };
+      if (!FIELD_OPERATORS.includes(rule.operator)) return { error: `${label}: invalid operator "${rule.operator}"` };
+      normalized.push({ ...base, field: rule.field, operator: rule.operator, value: String(rule.value ?? '').trim() });
+    } else if (rule.type === 'opened' || rule.type === 'clicked') {
+      normalized.push({ ...base, campaignId: rule.campaignId || 'last' });
+    } else if (rule.type === 'emailed_within') {
+      const days = parseInt(rule.days, 10);
+      if (!(days > 0)) return { error: `${label}: enter a number of days` };
+      normalized.push({ ...base, days });
+    } else {
+      return { error: `${label}: unknown rule type "${rule.type}" (use ${RULE_TYPES.join(', ')})` };
+    }
+  }
+
+  return { segment: { name, match, rules: normalized } };
+}
+
+function saveSegment(segment) {
+  const segments = listSegments();
+  const index = segments.findIndex(s => s.id === segment.id);
+  if (index === -1) {
+    segments.push(segment);
+  } else {
+    segments[index] = segment;
+  }
+  saveData(SEGMENTS_FILE, segments);
+}
+
+function createSegment(fields) {
+  const now = new Date().toISOString();
+  const segment = { id: uuidv4(), ...fields, createdAt: now, updatedAt: now };
+  saveSegment(segment);
+  return segment;
+}
+
+function deleteSegment(id) {
+  saveData(SEGMENTS_FILE, listSegments().filter(s => s.id !== id));
+}
+
+/**
+ * The latest campaign that sent to a list (test sends and the campaign being started are ignored)
+ */
+function getLastCampaign(excludeCampaignId) {
+  return listCampaigns()
+    .filter(c => !c.testEmail && c.startedAt && c.campaignId !== excludeCampaignId && (c.sentEmails || []).length > 0)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))[0] || null;
+}
+
+/**
+ * Who opened and who clicked a campaign (lowercase addresses)
+ * @param {Object|null} campaign - Campaign state
+ * @param {Array} contacts - All contacts (for their history)
+ * @returns {Promise<{opened: Set<string>, clicked: Set<string>}>}
+ */
+async function getEngagement(campaign, contacts) {
+  const opened = new Set();
+  const clicked = new Set();
+  if (!campaign) return { opened, clicked };
+
+  const note = (email, type) => {
+    opened.add(email.toLowerCase());
+    if (type === 'click' || type === 'clicked') clicked.add(email.toLowerCase());
+  };
+
+  contacts.forEach(contact => (contact.history || []).forEach(event => {
+    if (event.campaignId !== campaign.campaignId) return;
+    if (event.type === 'opened' || event.type === 'clicked') note(contact.email, event.type);
+  }));
+
+  const events = listTrackingEvents().filter(event => event.campaignId === campaign.campaignId);
+  events.forEach(event => note(event.email, event.type));
+
+  // The sheet tab keeps the latest open/click per row, whichever campaign it came from -
+  // only rows opened since the campaign started count (a click fills in opened_at too)
+  if (events.length === 0 && campaign.sheetName) {
+    const sent = new Set((campaign.sentEmails || []).map(e => e.toLowerCase()));
+    const since = new Date(campaign.startedAt);
+    try {
+      (await sheets.getRowsFromSheet(campaign.sheetName)).forEach(row => {
+        if (!sent.has(row.email.toLowerCase()) || !row.openedAt || new Date(row.openedAt) < since) return;
+        note(row.email, row.clickedLinks ? 'click' : 'open');
+      });
+    } catch (err) {
+      console.error(`Failed to read opens/clicks for segment from sheet "${campaign.sheetName}":`, err.message);
+    }
+  }
+  return { opened, clicked };
+}
+
+/**
+ * When each address was last sent an email (from the send logs and contact history)
+ */
+function getLastSentDates(contacts) {
+  const lastSent = new Map();
+  const note = (email, at) => {
+    const key = email.toLowerCase();
+    if (!lastSent.has(key) || lastSent.get(key) < at) lastSent.set(key, at);
+  };
+  loadData(LOGS_FILE).forEach(log => {
+    if (log.status === 'sent' && log.email && log.timestamp) note(log.email, log.timestamp);
+  });
+  contacts.forEach(contact => (contact.history || []).forEach(event => {
+    if (event.type === 'sent') note(contact.email, event.at);
+  }));
+  return lastSent;
+}
+
+function matchesField(contact, rule) {
+  const value = contact[rule.field];
+  const values = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(v => String(v).trim().toLowerCase())
+    .filter(Boolean);
+  if (rule.operator === 'is_set') return values.length > 0;
+  if (rule.operator === 'equals') return String(value ?? '').trim().toLowerCase() === rule.value.toLowerCase();
+  return values.includes(rule.value.toLowerCase()); // contains
+}
+
+/**
+ * Contacts that belong to a segment right now
+ * Each contact is returned with the `sheetName` of the first list tab it is on, for status updates.
+ * @param {Object} segment - { match, rules }
+ * @param {Object} [options] - { excludeCampaignId } so a running campaign is not its own "last campaign"
+ * @returns {Promise<Array>}
+ */
+async function evaluateSegment(segment, { excludeCampaignId } = {}) {
+  const contacts = loadContacts();
+  const lists = loadData(LISTS_FILE);
+  const members = new Map(lists.map(l => [l.id, new Set(l.contactIds || [])]));
+
+  const campaigns = new Map(listCampaigns().map(c => [c.campaignId, c]));
+  const engagement = new Map(); // campaign reference -> { opened, clicked }
+  for (const rule of segment.rules) {
+    if ((rule.type === 'opened' || rule.type === 'clicked') && !engagement.has(rule.campaignId)) {
+      const campaign = rule.campaignId === 'last' ? getLastCampaign(excludeCampaignId) : campaigns.get(rule.campaignId);
+      engagement.set(rule.campaignId, await getEngagement(campaign, contacts));
+    }
+  }
+  const lastSent = segment.rules.some(r => r.type === 'emailed_within') ? getLastSentDates(contacts) : null;
+
+  const test = (contact, rule) => {
+    const email = contact.email.toLowerCase();
+    switch (rule.type) {
+      case 'list': return members.get(rule.listId)?.has(contact.id) || false;
+      case 'field': return matchesField(contact, rule);
+      case 'opened': return engagement.get(rule.campaignId).opened.has(email);
+      case 'clicked': return engagement.get(rule.campaignId).clicked.has(email);
+      case 'emailed_within': {
+        const at = lastSent.get(email);
+        return !!at && Date.now() - new Date(at).getTime() <= rule.days * 24 * 60 * 60 * 1000;
+      }
+      default: return false;
+    }
+  };
+  const matches = contact => {
+    const results = segment.rules.map(rule => test(contact, rule) !== rule.negate);
+    return segment.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  };
+
+  return withListSheetNames(contacts.filter(matches));
+}
+
+module.exports = {
+  RULE_TYPES,
+  initSegments,
+  listSegments,
+  getSegment,
+  normalizeSegment,
+  createSegment,
+  saveSegment,
+  deleteSegment,
+  getEngagement,
+  evaluateSegment,
+};
@@ -5,13 +5,26 @@
  *   npm run send              # Send one email (default)
  *   npm run send -- --all     # Send all pending emails with rate limiting
  *   npm run send -- --count 5 # Send up to 5 emails
+ *   npm run send -- --all --dry-run [--out dir]
+ *                             # Render .eml files instead of sending (no SMTP, no sheet updates)
+ *
+ * Emails are sent through the same campaign runner as the web UI,
+ * so rendering, opt-out footer, tracking and sheet updates are identical.
  */
 
-const { verifyConnection, sendEmail } = require('./mailer');
-const { getNextUnsent, getStats, markSent, markFailed } = require('./sheets');
+const { verifyConnection } = require('./mailer');
+const { getStats, getRowsFromSheet, getOptOutReason } = require('./sheets');
+const { runCampaign } = require('./campaign-runner');
+const { runDryRun } = require('./dry-run');
+const { normalizeEmail, checkSyntax } = require('./email-validation');
+const { initSuppressions, findSuppression } = require('./suppressions');
+const { initCampaignsFile } = require('./campaigns');
 const config = require('./config');
 const fs = require('fs');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const SHEET_NAME = 'email_list_test';
 
 // Load email template
 function loadTemplate() {
@@ -37,29 +50,45 @@ function loadSubject() {
   return 'A message from ClickLocal';
 }
 
-// Sleep helper
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 // Parse command line args
 function parseArgs() {
   const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const dryRun = {
+    dryRun: args.includes('--dry-run'),
+    outputDir: outIndex !== -1 && args[outIndex + 1] ? path.resolve(args[outIndex + 1]) : undefined,
+  };
 
   if (args.includes('--all')) {
-    return { mode: 'all' };
+    return { mode: 'all', ...dryRun };
   }
 
   const countIndex = args.indexOf('--count');
   if (countIndex !== -1 && args[countIndex + 1]) {
-    return { mode: 'count', count: parseInt(args[countIndex + 1], 10) };
+    return { mode: 'count', count: parseInt(args[countIndex + 1], 10), ...dryRun };
   }
 
-  return { mode: 'single' };
+  return { mode: 'single', ...dryRun };
+}
+
+/**
+ * Why a sheet row is not sent to, or null if it is pending
+ */
+function getSkipReason(row) {
+  const suppression = findSuppression(row.email);
+  if (suppression) return `suppressed (${suppression.reason})`;
+  const optOut = getOptOutReason(row);
+  if (optOut) return optOut;
+  if (checkSyntax(normalizeEmail(row.email))) return 'invalid address';
+  if (row.sendStatus) return `already processed (${row.sendStatus})`;
+  if (row.sentAt) return 'already sent';
+  return null;
 }
 
 async function main() {
   const args = parseArgs();
+  initCampaignsFile();
+  initSuppressions();
 
   console.log('='.repeat(50));
   console.log('ClickLocal Campaign Sender');
@@ -75,18 +104,24 @@ async function main() {
     return;
   }
 
-  // Verify SMTP
-  console.log('\nVerifying SMTP connection...');
-  const connected = await verifyConnection();
-  if (!connected) {
-    console.error('SMTP connection failed. Aborting.');
-    process.exit(1);
+  // Verify SMTP (not needed for a dry run)
+  if (!args.dryRun) {
+    console.log('\nVerifying SMTP connection...');
+    const connected = await verifyConnection();
+    if (!connected) {
+      console.error('SMTP connection failed. Aborting.');
+      process.exit(1);
+    }
   }
 
   // Load template
-  const template = loadTemplate();
-  const subject = loadSubject();
-  console.log(`\nSubject: "${subject}"`);
+  const template = {
+    name: 'templates/email.html',
+    subject: loadSubject(),
+    contentType: 'html',
+    content: loadTemplate(),
+  };
+  console.log(`\nSubject: "${template.subject}"`);
 
   // Determine how many to send
   let maxToSend = 1;
@@ -96,45 +131,74 @@ async function main() {
     maxToSend = Math.min(args.count, stats.pending);
   }
 
-  console.log(`\nWill send up to ${maxToSend} email(s)`);
+  const rows = (await getRowsFromSheet(SHEET_NAME)).filter(r => r.email);
+  const unsent = rows.filter(r => !getSkipReason(r));
+  const recipients = unsent.slice(0, maxToSend);
+
+  console.log(`\nWill send up to ${recipients.length} email(s)`);
   console.log(`Rate limit: ${config.rateLimitSeconds} seconds between emails`);
   console.log('');
 
+  const state = {
+    campaignId: uuidv4(),
+    sheetName: SHEET_NAME,
+    optOutLang: '',
+    totalRecipients: recipients.length,
+    sentEmails: [],
+    startedAt: new Date().toISOString(),
+  };
+
+  if (args.dryRun) {
+    const skipped = [
+      ...rows.filter(getSkipReason).map(r => ({ email: r.email, reason: getSkipReason(r) })),
+      ...unsent.slice(maxToSend).map(r => ({ email: r.email, reason: 'over the --count limit' })),
+    ];
+    const summary = await runDryRun({ state, template, recipients, skipped, outputDir: args.outputDir });
+
+    console.log('DRY RUN - nothing was sent and the sheet was not changed\n');
+    summary.wouldSend.forEach(r => console.log(`  ✓ ${r.email} -> ${r.file}`));
+    summary.skipped.forEach(r => console.log(`  - ${r.email}: ${r.reason}`));
+    console.log(`\nWould send: ${summary.wouldSendCount} | Skipped: ${summary.skippedCount}`);
+    console.log(`Messages written to ${summary.outputDir}`);
+    return;
+  }
+
   let sentCount = 0;
   let failedCount = 0;
 
-  for (let i = 0; i < maxToSend; i++) {
-    const row = await getNextUnsent();
-
-    if (!row) {
-      console.log('No more pending emails.');
-      break;
-    }
-
-    console.log(`[${i + 1}/${maxToSend}] Sending to: ${row.email}`);
-
-    const result = await sendEmail({
-      to: row.email,
-      subject,
-      html: template,
-    });
-
-    if (result.success) {
-      await markSent(row.rowIndex);
-      sentCount++;
-      console.log(`  ✓ Sent successfully`);
-    } else {
-      await markFailed(row.rowIndex, result.error);
-      failedCount++;
-      console.log(`  ✗ Failed: ${result.error}`);
-    }
-
-    // Rate limiting (skip for last email)
-    if (i < maxToSend - 1) {
-      console.log(`  Waiting ${config.rateLimitSeconds}s before next email...`);
-      await sleep(config.rateLimitSeconds * 1000);
-    }
-  }
+  await runCampaign({
+    state,
+    template,
+    recipients,
+    // CLI runs are not resumable from the web UI, so state stays in memory
+    saveState: () => {},
+    emit: (event, data) => {
+      if (event === 'sending') {
+        console.log(`[${data.index}/${data.total}] Sending to: ${data.email}`);
+      } else if (event === 'sent') {
+        sentCount++;
+        console.log(`  ✓ Sent successfully`);
+      } else if (event === 'failed') {
+        failedCount++;
+        console.log(`  ✗ Failed: ${data.error}`);
+      } else if (event === 'skipped') {
+        console.log(`  - Skipped ${data.email}: ${data.reason}`);
+      } else if (event === 'retrying') {
+        console.log(`  ! Temporary failure (attempt ${data.attempt}/${data.maxAttempts}): ${data.error} - retrying later`);
+      } else if (event === 'waiting') {
+        if (data.reason === 'retry') {
+          console.log(`  Waiting ${data.seconds}s to retry ${data.nextEmail}...`);
+        } else if (data.reason === 'domain_limit') {
+          console.log(`  Domain limit reached - waiting ${data.seconds}s for ${data.nextEmail}...`);
+        } else {
+          console.log(`  Waiting ${data.seconds}s before next email...`);
+        }
+      } else if (event === 'paused') {
+        const why = data.reason === 'warm_up' ? 'Warm-up cap for today reached' : 'Quiet hours';
+        console.log(`  ${why} - paused until ${data.resumeAt} (in ${data.timeRemaining})`);
+      }
+    },
+  });
 
   console.log('\n' + '='.repeat(50));
   console.log('Campaign Summary');
@@ -0,0 +1,157 @@
+/**
+ * Sending windows - when a campaign is allowed to send
+ * Replaces the fixed 21:00-08:00 quiet hours with a per-campaign window:
+ * allowed weekdays, start/end hour, timezone and excluded dates.
+ */
+
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatInTimezone,
+} = require('./timezone');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Default window: Monday-Saturday 08:00-21:00 Berlin time (no Sunday outreach)
+const DEFAULT_SENDING_WINDOW = {
+  days: [1, 2, 3, 4, 5, 6], // 0 = Sunday ... 6 = Saturday
+  startHour: 8,
+  endHour: 21,
+  timezone: DEFAULT_TIMEZONE,
+  excludedDates: [], // "YYYY-MM-DD" in the window's timezone (holidays etc.)
+};
+
+// How a campaign applies its window: in the campaign's timezone, or in each recipient's own
+const DELIVERY_MODES = ['campaign', 'recipient'];
+
+/**
+ * Validate a sending window from a request, filling in defaults
+ * @returns {{error: string}|{window: Object}}
+ */
+function normalizeSendingWindow(input) {
+  if (!input) return { window: { ...DEFAULT_SENDING_WINDOW } };
+
+  const window = {
+    days: Array.isArray(input.days) ? input.days.map(Number) : DEFAULT_SENDING_WINDOW.days,
+    startHour: input.startHour !== undefined ? Number(input.startHour) : DEFAULT_SENDING_WINDOW.startHour,
+    endHour: input.endHour !== undefined ? Number(input.endHour) : DEFAULT_SENDING_WINDOW.endHour,
+    timezone: input.timezone || DEFAULT_SENDING_WINDOW.timezone,
+    excludedDates: Array.isArray(input.excludedDates) ? input.excludedDates.map(d => String(d).trim()).filter(Boolean) : [],
+  };
+
+  if (window.days.length === 0 || window.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return { error: 'Sending window needs at least one weekday (0 = Sunday ... 6 = Saturday)' };
+  }
+  if (!Number.isInteger(window.startHour) || !Number.isInteger(window.endHour) ||
+      window.startHour < 0 || window.endHour > 24 || window.startHour >= window.endHour) {
+    return { error: 'Sending window hours must satisfy 0 <= start < end <= 24' };
+  }
+  if (!isValidTimezone(window.timezone)) {
+    return { error: 'Invalid timezone: ' + window.timezone };
+  }
+  const badDate = window.excludedDates.find(d => !/^\d{4}-\d{2}-\d{2}$/.test(d));
+  if (badDate) {
+    return { error: 'Excluded dates must be YYYY-MM-DD, got: ' + badDate };
+  }
+
+  window.days = [...new Set(window.days)].sort((a, b) => a - b);
+  try {
+    getNextWindowStart(window);
+  } catch (err) {
+    return { error: err.message };
+  }
+  return { window };
+}
+
+/**
+ * Get the first moment at or after `from` when the window is open
+ * @param {Object} window - Sending window
+ * @param {Date} [from] - Defaults to now
+ * @returns {Date}
+ */
+function getNextWindowStart(window, from = new Date()) {
+  const w = window || DEFAULT_SENDING_WINDOW;
+  const today = getZonedParts(from, w.timezone);
+  const pad = n => String(n).padStart(2, '0');
+
+  // Look ahead one year at most (a window with every day excluded never opens)
+  for (let offset = 0; offset <= 366; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const date = day.toISOString().slice(0, 10);
+    if (!w.days.includes(day.getUTCDay()) || w.excludedDates.includes(date)) continue;
+
+    const start = zonedTimeToUtc(`${date}T${pad(w.startHour)}:00`, w.timezone);
+    const end = zonedTimeToUtc(`${date}T${pad(w.endHour)}:00`, w.timezone);
+
+    if (from < start) return start;
+    if (from < end) return from;
+  }
+
+  throw new Error('Sending window never opens');
+}
+
+/**
+ * Window for one recipient: in 'recipient' delivery mode the campaign's days
+ * and hours apply in the contact's own timezone (when it has a valid one)
+ */
+function getRecipientWindow(window, recipient, deliveryMode) {
+  if (deliveryMode !== 'recipient' || !isValidTimezone(recipient.timezone)) return window;
+  return { ...window, timezone: recipient.timezone };
+}
+
+/**
+ * Milliseconds until the window is open (0 if it is open now)
+ */
+function getMsUntilSendingWindow(window, from = new Date()) {
+  return getNextWindowStart(window, from).getTime() - from.getTime();
+}
+
+function isWithinSendingWindow(window, at = new Date()) {
+  return getMsUntilSendingWindow(window, at) === 0;
+}
+
+/**
+ * Format time remaining as human-readable string
+ */
+function formatTimeRemaining(ms) {
+  const hours = Math.floor(ms / (1000 * 60 * 60));
+  const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+  return `${hours}h ${minutes}m`;
+}
+
+/**
+ * Human-readable window, e.g. "Mon-Sat 08:00-21:00 (Europe/Berlin)"
+ */
+function describeSendingWindow(window) {
+  const w = window || DEFAULT_SENDING_WINDOW;
+  const pad = n => String(n).padStart(2, '0');
+  const contiguous = w.days.every((d, i) => i === 0 || d === w.days[i - 1] + 1);
+  const days = contiguous && w.days.length > 2
+    ? `${DAY_NAMES[w.days[0]]}-${DAY_NAMES[w.days[w.days.length - 1]]}`
+    : w.days.map(d => DAY_NAMES[d]).join(',');
+  return `${days} ${pad(w.startHour)}:00-${pad(w.endHour)}:00 (${w.timezone})`;
+}
+
+/**
+ * Describe when the window opens next, in the window's timezone
+ */
+function describeNextWindowStart(window, from = new Date()) {
+  const w = window || DEFAULT_SENDING_WINDOW;
+  const start = getNextWindowStart(w, from);
+  return `${DAY_NAMES[getZonedParts(start, w.timezone).weekday]} ${formatInTimezone(start, w.timezone)} (${w.timezone})`;
+}
+
+module.exports = {
+  DEFAULT_SENDING_WINDOW,
+  DELIVERY_MODES,
+  normalizeSendingWindow,
+  getNextWindowStart,
+  getRecipientWindow,
+  getMsUntilSendingWindow,
+  isWithinSendingWindow,
+  formatTimeRemaining,
+  describeSendingWindow,
+  describeNextWindowStart,
+};
@@ -0,0 +1,348 @@
+/**
+ * Follow-up sequences (drip campaigns)
+ *
+ * A sequence sends its steps one after another to the contacts enrolled from a list or segment:
+ * step 1 right away, each later step `delayDays` after the previous one was sent. A contact leaves
+ * the sequence when they unsubscribe or are suppressed, and - depending on `stopOn` - when they
+ * open or click a step or reply (replies are marked on the contact by hand). Contacts who paused
+ * their emails on the preference page wait until the pause ends.
+ *
+ * Every batch of due contacts becomes a normal campaign ({ sequenceId, sequenceStep, recipientEmails }),
+ * so steps go through the queue and keep to the sending window, rate limits and warm-up.
+ * The scheduler calls processSequences() on every run.
+ *
+ * Sequence: { id, name, listId|segmentId, targetName, steps: [{ templateId, delayDays }], stopOn,
+ *             sendingWindow, status: 'draft'|'active'|'paused', contacts, createdAt, updatedAt }
+ * Enrollment (sequence.contacts): { email, contactId, enrolledAt, step, status, nextAt?, campaignId?,
+ *             sent: [{ step, campaignId, at }], stopReason? }
+ *   status: waiting -> sending -> waiting ... -> completed, or stopped
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { SEQUENCES_FILE, TEMPLATES_FILE, LISTS_FILE, initDataFile, loadData, saveData } = require('./storage');
+const { loadContacts, getList } = require('./contacts');
+const { getCampaign, saveCampaign } = require('./campaigns');
+const { enqueueCampaign } = require('./campaign-queue');
+const { getSegment, getEngagement, evaluateSegment } = require('./segments');
+const { listSuppressions, findSuppression } = require('./suppressions');
+const { normalizeSendingWindow } = require('./sending-window');
+const { isPaused } = require('./preferences');
+
+const STOP_CONDITIONS = ['opened', 'clicked', 'replied'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let processing = false; // a scheduler run that reads opens/clicks may outlast the interval
+
+function initSequences() {
+  initDataFile(SEQUENCES_FILE, []);
+}
+
+function listSequences() {
+  return loadData(SEQUENCES_FILE);
+}
+
+function getSequence(id) {
+  return listSequences().find(s => s.id === id) || null;
+}
+
+function saveSequence(sequence) {
+  const sequences = listSequences();
+  const index = sequences.findIndex(s => s.id === sequence.id);
+  if (index === -1) {
+    sequences.push(sequence);
+  } else {
+    sequences[index] = sequence;
+  }
+  saveData(SEQUENCES_FILE, sequences);
+}
+
+function deleteSequence(id) {
+  saveData(SEQUENCES_FILE, listSequences().filter(s => s.id !== id));
+}
+
+/**
+ * Validate sequence input from a request
+ * @returns {{error: string}|{sequence: Object}} - name, target, steps, stopOn and sendingWindow
+ */
+function normalizeSequence(input) {
+  const name = String(input.name || '').trim();
+  if (!name) return { error: 'Enter a name for the sequence' };
+
+  let target;
+  if (input.segmentId) {
+    const segment = getSegment(input.segmentId);
+    if (!segment) return { error: 'Segment not found' };
+    target = { listId: null, segmentId: segment.id, targetName: segment.name };
+  } else {
+    const list = loadData(LISTS_FILE).find(l => l.id === input.listId);
+    if (!list) return { error: 'Choose an email list or segment' };
+    target = { listId: list.id, segmentId: null, targetName: list.name };
+  }
+
+  const steps = Array.isArray(input.steps) ? input.steps : [];
+  if (steps.length === 0) return { error: 'Add at least one step' };
+  const templates = loadData(TEMPLATES_FILE);
+  const normalizedSteps = [];
+  for (const [i, step] of steps.entries()) {
+    if (!templates.some(t => t.id === step.templateId)) return { error: `Step ${i + 1}: choose a template` };
+    const delayDays = i === 0 ? 0 : Number(step.delayDays);
+    if (!Number.isInteger(delayDays) || delayDays < (i === 0 ? 0 : 1)) {
+      return { error: `Step ${i + 1}: wait at least one whole day after the previous step` };
+    }
+    normalizedSteps.push({ templateId: step.templateId, delayDays });
+  }
+
+  const stopOn = Array.isArray(input.stopOn) ? input.stopOn : STOP_CONDITIONS;
+  const unknown = stopOn.find(c => !STOP_CONDITIONS.includes(c));
+  if (unknown) return { error: `Unknown stop condition "${unknown}"` };
+
+  const { error, window } = normalizeSendingWindow(input.sendingWindow);
+  if (error) return { error };
+
+  return { sequence: { name, ...target, steps: normalizedSteps, stopOn, sendingWindow: window } };
+}
+
+/**
+ * Enroll the target's current members that are not in the sequence yet (they get step 1 next run)
+ * @returns {Promise<{sequence: Object, enrolled: number}|{error: string}>}
+ */
+async function startSequence(id) {
+  const existing = getSequence(id);
+  if (!existing) return { error: 'Sequence not found' };
+
+  let members;
+  if (existing.segmentId) {
+    const segment = getSegment(existing.segmentId);
+    if (!segment) return { error: 'Segment not found' };
+    members = await evaluateSegment(segment);
+  } else {
+    const list = getList(existing.listId);
+    if (!list) return { error: 'Email list not found' };
+    members = list.emails;
+  }
+
+  // Reload - the scheduler may have moved contacts on while the segment was evaluated
+  const sequence = getSequence(id);
+  const now = new Date().toISOString();
+  const enrolled = new Set(sequence.contacts.map(e => e.email.toLowerCase()));
+  const added = members.filter(contact => !enrolled.has(contact.email.toLowerCase()));
+  added.forEach(contact => sequence.contacts.push({
+    email: contact.email,
+    contactId: contact.id,
+    enrolledAt: now,
+    step: 0,
+    status: 'waiting',
+    nextAt: now,
+    sent: [],
+  }));
+
+  sequence.status = 'active';
+  sequence.startedAt = sequence.startedAt || now;
+  sequence.updatedAt = now;
+  delete sequence.error;
+  saveSequence(sequence);
+  return { sequence, enrolled: added.length };
+}
+
+/**
+ * Sequence without its enrollments, with counts per status and sends per step (for lists and SSE)
+ */
+function summarizeSequence(sequence) {
+  const { contacts, ...summary } = sequence;
+  const counts = { waiting: 0, sending: 0, completed: 0, stopped: 0 };
+  contacts.forEach(e => counts[e.status]++);
+  return {
+    ...summary,
+    enrolledCount: contacts.length,
+    counts,
+    sentPerStep: sequence.steps.map((step, i) => contacts.filter(e => e.sent.some(s => s.step === i)).length),
+  };
+}
+
+/**
+ * Move a contact whose step campaign has finished with them to its next step
+ */
+function settleStep(enrollment, sequence, contacts) {
+  const campaign = getCampaign(enrollment.campaignId);
+  const finish = (status, stopReason) => {
+    enrollment.status = status;
+    if (stopReason) enrollment.stopReason = stopReason;
+    delete enrollment.campaignId;
+  };
+
+  if (!campaign) return finish('stopped', 'step campaign deleted');
+
+  if ((campaign.sentEmails || []).includes(enrollment.email)) {
+    const contact = contacts.find(c => c.email.toLowerCase() === enrollment.email.toLowerCase());
+    const event = (contact?.history || []).find(h => h.type === 'sent' && h.campaignId === campaign.campaignId);
+    const at = event ? event.at : new Date().toISOString();
+    enrollment.sent.push({ step: enrollment.step, campaignId: campaign.campaignId, at });
+    enrollment.step++;
+    if (enrollment.step >= sequence.steps.length) return finish('completed');
+    enrollment.nextAt = new Date(new Date(at).getTime() + sequence.steps[enrollment.step].delayDays * DAY_MS).toISOString();
+    return finish('waiting');
+  }
+
+  if ((campaign.failedEmails || []).includes(enrollment.email)) return finish('stopped', 'send failed');
+  if (campaign.status === 'complete') {
+    // Paused on the preference page since the step was queued - send it when the pause ends
+    const contact = contacts.find(c => c.email.toLowerCase() === enrollment.email.toLowerCase());
+    if (contact && isPaused(contact)) {
+      enrollment.nextAt = contact.pausedUntil;
+      return finish('waiting');
+    }
+    return finish('stopped', 'not sent (suppressed or invalid address)');
+  }
+  if (campaign.status === 'cancelled') return finish('stopped', 'step campaign cancelled');
+  if (campaign.status === 'failed') return finish('stopped', `step campaign failed: ${campaign.error}`);
+}
+
+/**
+ * Why a contact should leave the sequence, or null
+ * Opens and clicks are only checked when the next step is due (they may need the sheet).
+ */
+function getStopReason(enrollment, sequence, { contact, suppressions, engagement, isDue }) {
+  const suppression = findSuppression(enrollment.email, suppressions);
+  if (suppression) return `suppressed (${suppression.reason})`;
+  if (contact?.unsubscribed) return 'unsubscribed';
+
+  if (sequence.stopOn.includes('replied') &&
+      (contact?.history || []).some(h => h.type === 'replied' && h.at >= enrollment.enrolledAt)) {
+    return 'replied';
+  }
+  if (!isDue) return null;
+
+  const email = enrollment.email.toLowerCase();
+  const stepEngagement = enrollment.sent.map(s => engagement.get(s.campaignId)).filter(Boolean);
+  if (sequence.stopOn.includes('clicked') && stepEngagement.some(e => e.clicked.has(email))) return 'clicked';
+  if (sequence.stopOn.includes('opened') && stepEngagement.some(e => e.opened.has(email))) return 'opened';
+  return null;
+}
+
+/**
+ * Settle finished steps, stop contacts that opted out or engaged, and build campaigns for due steps
+ * @returns {Array} - New campaign states (one per step with due contacts)
+ */
+function advanceSequence(sequence, { now, contacts, engagement }) {
+  const byEmail = new Map(contacts.map(c => [c.email.toLowerCase(), c]));
+  const suppressions = listSuppressions();
+  const due = new Map(); // step index -> enrollments
+
+  sequence.contacts.forEach(enrollment => {
+    if (enrollment.status === 'sending') settleStep(enrollment, sequence, contacts);
+    if (enrollment.status !== 'waiting') return;
+
+    if (enrollment.step >= sequence.steps.length) {
+      enrollment.status = 'completed'; // steps were removed since
+      return;
+    }
+    const isDue = new Date(enrollment.nextAt) <= now;
+    const contact = byEmail.get(enrollment.email.toLowerCase());
+    const stopReason = getStopReason(enrollment, sequence, { contact, suppressions, engagement, isDue });
+    if (stopReason) {
+      enrollment.status = 'stopped';
+      enrollment.stopReason = stopReason;
+      delete enrollment.nextAt;
+    } else if (isDue && contact && isPaused(contact, now)) {
+      enrollment.nextAt = contact.pausedUntil;
+    } else if (isDue) {
+      due.set(enrollment.step, [...(due.get(enrollment.step) || []), enrollment]);
+    }
+  });
+
+  const templates = loadData(TEMPLATES_FILE);
+  const missing = [...due.keys()].find(step => !templates.some(t => t.id === sequence.steps[step].templateId));
+  if (missing !== undefined) {
+    sequence.status = 'paused';
+    sequence.error = `Template of step ${missing + 1} not found`;
+    return [];
+  }
+
+  return [...due].map(([step, enrollments]) => {
+    const template = templates.find(t => t.id === sequence.steps[step].templateId);
+    const state = {
+      campaignId: uuidv4(),
+      templateId: template.id,
+      templateName: template.name,
+      listId: null,
+      listName: null,
+      sequenceId: sequence.id,
+      sequenceName: sequence.name,
+      sequenceStep: step + 1,
+      recipientEmails: enrollments.map(e => e.email),
+      testEmail: null,
+      sheetName: null, // recipients use their list's tab
+      optOutLang: template.optOutLang || '',
+      sendingWindow: sequence.sendingWindow,
+      deliveryMode: 'campaign',
+      scheduledAt: null,
+      scheduledFor: null,
+      sentEmails: [],
+      failedEmails: [],
+      totalRecipients: enrollments.length,
+      createdAt: now.toISOString(),
+    };
+    enrollments.forEach(e => {
+      e.status = 'sending';
+      e.campaignId = state.campaignId;
+      delete e.nextAt;
+    });
+    return state;
+  });
+}
+
+/**
+ * One scheduler run over all active sequences
+ * @returns {Promise<Array>} - Campaigns queued for due steps
+ */
+async function processSequences() {
+  if (processing) return [];
+  processing = true;
+  try {
+    const now = new Date();
+    const contacts = loadContacts();
+
+    // Opens and clicks of the steps sent to contacts that are due - read before changing anything
+    const engagement = new Map();
+    const active = listSequences().filter(s => s.status === 'active');
+    for (const sequence of active.filter(s => s.stopOn.includes('opened') || s.stopOn.includes('clicked'))) {
+      for (const enrollment of sequence.contacts) {
+        if (enrollment.status !== 'waiting' || new Date(enrollment.nextAt) > now) continue;
+        for (const { campaignId } of enrollment.sent) {
+          if (!engagement.has(campaignId)) {
+            engagement.set(campaignId, await getEngagement(getCampaign(campaignId), contacts));
+          }
+        }
+      }
+    }
+
+    const sequences = listSequences();
+    const batches = sequences
+      .filter(s => s.status === 'active')
+      .flatMap(sequence => advanceSequence(sequence, { now, contacts, engagement }));
+
+    // Campaigns first, so no enrollment ever points at a campaign that was not saved
+    batches.forEach(state => saveCampaign(state));
+    saveData(SEQUENCES_FILE, sequences);
+    batches.forEach(state => {
+      console.log(`Sequence "${state.sequenceName}" step ${state.sequenceStep}: ${state.recipientEmails.length} recipient(s)`);
+      enqueueCampaign(state.campaignId);
+    });
+    return batches;
+  } finally {
+    processing = false;
+  }
+}
+
+module.exports = {
+  STOP_CONDITIONS,
+  initSequences,
+  listSequences,
+  getSequence,
+  saveSequence,
+  deleteSequence,
+  normalizeSequence,
+  startSequence,
+  summarizeSequence,
+  processSequences,
+};
@@ -8,131 +8,108 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { verifyConnection, sendEmail } = require('./mailer');
+const { verifyConnection } = require('./mailer');
 const config = require('./config');
 const sheets = require('./sheets');
+const {
+  TEMPLATES_FILE,
+  LOGS_FILE,
+  initDataFile,
+  loadData,
+  saveData,
+} = require('./storage');
+const {
+  renderBody,
+  buildOptOutFooter,
+} = require('./campaign-runner');
+const campaigns = require('./campaigns');
+const {
+  resolveRecipients,
+  enqueueCampaign,
+  isActive,
+  pauseCampaign,
+  cancelCampaign,
+} = require('./campaign-queue');
+const { addClient, removeClient, sendSSE } = require('./events');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToUtc } = require('./timezone');
+const {
+  DEFAULT_SENDING_WINDOW,
+  DELIVERY_MODES,
+  normalizeSendingWindow,
+  describeSendingWindow,
+} = require('./sending-window');
+const { describeDomainLimits } = require('./domain-throttle');
+const { getWarmUpStatus, describeWarmUp } = require('./warm-up');
+const { runDryRun } = require('./dry-run');
+const { escapeHtml, renderMergeTags, validateTemplateText, getMergeTags } = require('./merge-tags');
+const { readImportFile, suggestMapping, validateMapping, buildImport } = require('./list-import');
+const { checkEmailList } = require('./email-validation');
+const {
+  PROTECTED_CONTACT_FIELDS,
+  findContactByEmail,
+  upsertContacts,
+  updateContact,
+  recordContactEvent,
+  loadContacts,
+  getMemberships,
+  loadLists,
+  getList,
+  saveList,
+  deleteList,
+} = require('./contacts');
+const { toCsv, exportListCsv, filterLogs, exportLogsCsv, exportCampaignReportCsv } = require('./csv-export');
+const {
+  initSegments,
+  listSegments,
+  getSegment,
+  normalizeSegment,
+  createSegment,
+  saveSegment,
+  deleteSegment,
+  evaluateSegment,
+} = require('./segments');
+const {
+  STOP_CONDITIONS,
+  initSequences,
+  listSequences,
+  getSequence,
+  saveSequence,
+  deleteSequence,
+  normalizeSequence,
+  startSequence,
+  summarizeSequence,
+  processSequences,
+} = require('./sequences');
+const { AB_METRICS, normalizeAbTest, selectPhaseRecipients, getVariantTemplates, chooseWinners } = require('./ab-test');
+const {
+  SUPPRESSION_REASONS,
+  initSuppressions,
+  listSuppressions,
+  findSuppression,
+  addSuppressions,
+  addSuppression,
+  removeSuppression,
+} = require('./suppressions');
+const { TRACKING_PIXEL, initTracking, listTrackingEvents, resolveToken, recordOpen, recordClick } = require('./tracking');
+const { PAUSE_OPTIONS, PREFERENCE_LANGUAGES, isPaused, getPreferences, savePreferences } = require('./preferences');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Paths
-const DATA_DIR = path.join(__dirname, '..', 'data');
 const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
 const CLICKLOCAL_PUBLIC = path.join(__dirname, '..', '..', 'clicklocal', 'public'); // For serving on clicklocal.me
-const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
-const LISTS_FILE = path.join(DATA_DIR, 'email-lists.json');
-const LOGS_FILE = path.join(DATA_DIR, 'send-logs.json');
-const CAMPAIGN_STATE_FILE = path.join(DATA_DIR, 'campaign-state.json');
-
-// Quiet hours configuration (21:00 - 08:00)
-const QUIET_HOURS = {
-  start: 21, // 21:00 (9 PM)
-  end: 8,    // 08:00 (8 AM)
-};
-
-/**
- * Check if current time is within quiet hours
- */
-function isQuietHours() {
-  const now = new Date();
-  const hour = now.getHours();
-  // Quiet hours: 21:00 - 08:00 (overnight)
-  return hour >= QUIET_HOURS.start || hour < QUIET_HOURS.end;
-}
-
-/**
- * Get milliseconds until quiet hours end (8 AM)
- */
-function getMsUntilQuietHoursEnd() {
-  const now = new Date();
-  const target = new Date(now);
-  target.setHours(QUIET_HOURS.end, 0, 0, 0);
-
-  // If it's before 8 AM, target is today; otherwise tomorrow
-  if (now.getHours() >= QUIET_HOURS.end) {
-    target.setDate(target.getDate() + 1);
-  }
-
-  return target.getTime() - now.getTime();
-}
-
-/**
- * Format time remaining as human-readable string
- */
-function formatTimeRemaining(ms) {
-  const hours = Math.floor(ms / (1000 * 60 * 60));
-  const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
-  return `${hours}h ${minutes}m`;
-}
-
-/**
- * Encode sheet name to hide it in URLs (Base64)
- */
-function encodeSheetName(sheetName) {
-  return Buffer.from(sheetName).toString('base64').replace(/=/g, '');
-}
-
-/**
- * Wrap all links in HTML with click tracking
- * Extracts link text as the link name for tracking
- * @param {string} html - The HTML content
- * @param {string} email - Recipient email for tracking
- * @param {string} sheetName - Sheet name for tracking
- * @returns {string} - HTML with wrapped links
- */
-function wrapLinksWithTracking(html, email, sheetName) {
-  // Match <a href="...">link text</a> patterns
-  // Captures: href URL and link text (handles nested tags like <b>)
-  const linkRegex = /<a\s+([^>]*href=["']([^"']+)["'][^>]*)>([\s\S]*?)<\/a>/gi;
-
-  // Encode sheet name to hide it in URLs
-  const encodedSheet = encodeSheetName(sheetName);
-
-  return html.replace(linkRegex, (match, attrs, url, linkText) => {
-    // Skip if already a tracking link
-    if (url.includes('clicklocal.me/api/click')) {
-      return match;
-    }
-
-    // Extract clean text from link (remove HTML tags for the name)
-    const cleanText = linkText.replace(/<[^>]*>/g, '').trim();
-
-    // Create a short, clean link name (max 30 chars)
-    let linkName = cleanText.substring(0, 30);
-    if (!linkName) {
-      // If no text, use domain from URL
-      try {
-        linkName = new URL(url).hostname.replace('www.', '');
-      } catch {
-        linkName = 'link';
-      }
-    }
-
-    // Build tracking URL with encoded sheet name
-    const trackingUrl = `https://www.clicklocal.me/api/click?e=${encodeURIComponent(email)}&s=${encodedSheet}&url=${encodeURIComponent(url)}&link=${encodeURIComponent(linkName)}`;
-
-    // Replace href in original attributes
-    const newAttrs = attrs.replace(/href=["'][^"']+["']/, `href="${trackingUrl}"`);
-
-    return `<a ${newAttrs}>${linkText}</a>`;
-  });
-}
 
 // Ensure directories exist
-[DATA_DIR, UPLOADS_DIR].forEach(dir => {
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-});
+if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 
-// Initialize data files if they don't exist
-function initDataFile(filePath, defaultData = []) {
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2));
-  }
-}
 initDataFile(TEMPLATES_FILE, []);
-initDataFile(LISTS_FILE, []);
 initDataFile(LOGS_FILE, []);
-initDataFile(CAMPAIGN_STATE_FILE, null);
+campaigns.initCampaignsFile();
+initSuppressions(); // also creates the contacts database and migrates old-style lists
+initSegments();
+initSequences();
+initTracking();
 
 // Middleware
 app.use(express.json());
@@ -167,29 +144,6 @@ const upload = multer({
   }
 });
 
-// Helper functions
-function loadData(filePath) {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-  } catch {
-    return [];
-  }
-}
-
-function saveData(filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-}
-
-// SSE clients for real-time updates
-let sseClients = [];
-
-function sendSSE(event, data) {
-  sseClients.forEach(client => {
-    client.res.write('event: ' + event + '\n');
-    client.res.write('data: ' + JSON.stringify(data) + '\n\n');
-  });
-}
-
 // ============== API ROUTES ==============
 
 // --- Templates ---
@@ -197,7 +151,23 @@ app.get('/api/templates', (req, res) => {
   res.json(loadData(TEMPLATES_FILE));
 });
 
+/**
+ * Check a template's subject and content for merge-tag syntax errors
+ * @returns {string|null}
+ */
+function validateTemplate({ subject, content }) {
+  const subjectError = validateTemplateText(subject);
+  if (subjectError) return 'Subject: ' + subjectError;
+  const contentError = validateTemplateText(content);
+  return contentError ? 'Content: ' + contentError : null;
+}
+
 app.post('/api/templates', (req, res) => {
+  const templateError = validateTemplate(req.body);
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
+
   const templates = loadData(TEMPLATES_FILE);
   const template = {
     id: uuidv4(),
@@ -219,6 +189,11 @@ app.put('/api/templates/:id', (req, res) => {
   const index = templates.findIndex(t => t.id === req.params.id);
   if (index === -1) return res.status(404).json({ error: 'Template not found' });
 
+  const templateError = validateTemplate(req.body);
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
+
   templates[index] = {
     ...templates[index],
     name: req.body.name,
@@ -240,22 +215,67 @@ app.delete('/api/templates/:id', (req, res) => {
 });
 
 // --- Email Lists ---
+
+// Per-contact state kept by the server (not editable through the list form)
+const CONTACT_STATE_FIELDS = [...PROTECTED_CONTACT_FIELDS, 'validation'];
+// Contact properties with a fixed meaning - everything else is a custom field
+const RESERVED_CONTACT_FIELDS = ['email', 'timezone', 'notes', ...CONTACT_STATE_FIELDS];
+const FIELD_NAME_REGEX = /^[a-z][a-zA-Z0-9_]*$/;
+
+/**
+ * Check the optional per-contact timezones and custom fields of a list
+ * @returns {string|null} - Error for the first invalid contact or field
+ */
+function validateContacts(emails, fields = []) {
+  const badColumn = fields.find(f => !FIELD_NAME_REGEX.test(f) || RESERVED_CONTACT_FIELDS.includes(f));
+  if (badColumn !== undefined) {
+    return `Invalid field name "${badColumn}" (use letters, digits and _ starting with a lowercase letter; email, timezone and notes are built in)`;
+  }
+
+  const invalid = emails.find(e => e.timezone && !isValidTimezone(e.timezone));
+  if (invalid) return `Invalid timezone "${invalid.timezone}" for ${invalid.email}`;
+
+  for (const contact of emails) {
+    const badField = Object.keys(contact).find(key => !FIELD_NAME_REGEX.test(key));
+    if (badField) return `Invalid field name "${badField}" for ${contact.email} (use letters, digits and _ starting with a lowercase letter)`;
+  }
+  return null;
+}
+
+/**
+ * Custom field columns of a list: the requested ones in order, plus any other field the contacts carry
+ */
+function getListFields(requested, emails) {
+  const fields = [];
+  const add = field => {
+    if (!RESERVED_CONTACT_FIELDS.includes(field) && !fields.includes(field)) fields.push(field);
+  };
+  (requested || []).forEach(add);
+  emails.forEach(contact => Object.keys(contact).forEach(add));
+  return fields;
+}
+
 app.get('/api/lists', (req, res) => {
-  res.json(loadData(LISTS_FILE));
+  res.json(loadLists());
 });
 
-app.post('/api/lists', async (req, res) => {
-  const lists = loadData(LISTS_FILE);
-  const emails = req.body.emails || [];
+/**
+ * Create and store a list, with its own Google Sheet tab
+ * Addresses already in the contacts database join the list with their existing data
+ * (values given here are added to it).
+ */
+async function createList(name, inputs, requestedFields, topic) {
+  const fields = getListFields(requestedFields, inputs);
+  const emails = upsertContacts(inputs);
 
   // Create Google Sheet tab for this list
   let sheetName = null;
   try {
     // Sanitize list name for sheet tab (remove special chars, limit length)
-    const sanitizedName = req.body.name
+    const sanitizedName = name
       .replace(/[^a-zA-Z0-9_-]/g, '_')
       .substring(0, 50);
-    sheetName = await sheets.createSheetTab(sanitizedName, emails);
+    sheetName = await sheets.createSheetTab(sanitizedName, emails, fields);
     console.log(`Created Google Sheet tab: ${sheetName}`);
   } catch (err) {
     console.error('Failed to create Google Sheet tab:', err.message);
@@ -264,36 +284,346 @@ app.post('/api/lists', async (req, res) => {
 
   const list = {
     id: uuidv4(),
-    name: req.body.name,
+    name: name,
+    topic: topic || undefined, // Shown to contacts on the preference page instead of the name
     sheetName: sheetName, // Store the sheet tab name
-    emails: emails, // Array of { email, name? }
+    fields: fields, // Custom contact columns, e.g. ['name', 'shop', 'district', 'language', 'tags']
+    emails: emails, // Contacts, stored as contactIds
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
-  lists.push(list);
-  saveData(LISTS_FILE, lists);
-  res.json(list);
+  saveList(list);
+  return list;
+}
+
+/**
+ * Mirror a list's custom fields (and new contacts) into its sheet tab
+ */
+async function syncListSheet(list) {
+  if (!list.sheetName) return;
+  try {
+    await sheets.updateContactFieldsInSheet(list.sheetName, list.fields, list.emails);
+  } catch (err) {
+    console.error('Failed to update Google Sheet tab:', err.message);
+  }
+}
+
+// Check addresses before saving: normalised, deduplicated and flagged contacts with a report
+app.post('/api/lists/validate', async (req, res) => {
+  res.json(await checkEmailList(req.body.emails || []));
+});
+
+app.post('/api/lists', async (req, res) => {
+  const contactError = validateContacts(req.body.emails || [], req.body.fields);
+  if (contactError) {
+    return res.status(400).json({ error: contactError });
+  }
+
+  // Invalid addresses are kept (flagged) so the sender can skip them
+  const { contacts } = await checkEmailList(req.body.emails || []);
+  res.json(await createList(req.body.name, contacts, req.body.fields, String(req.body.topic || '').trim()));
 });
 
-app.put('/api/lists/:id', (req, res) => {
-  const lists = loadData(LISTS_FILE);
-  const index = lists.findIndex(l => l.id === req.params.id);
-  if (index === -1) return res.status(404).json({ error: 'List not found' });
+app.put('/api/lists/:id', async (req, res) => {
+  const list = getList(req.params.id);
+  if (!list) return res.status(404).json({ error: 'List not found' });
+
+  const contactError = validateContacts(req.body.emails || [], req.body.fields);
+  if (contactError) {
+    return res.status(400).json({ error: contactError });
+  }
 
-  lists[index] = {
-    ...lists[index],
+  // Unsubscribe state and history stay on the contact; values in the form's columns
+  // replace the contact's (emptied cells are cleared) and validation is redone
+  const { contacts } = await checkEmailList(req.body.emails || []);
+  const fields = getListFields(req.body.fields, contacts);
+  Object.assign(list, {
     name: req.body.name,
-    emails: req.body.emails,
+    topic: String(req.body.topic || '').trim() || undefined,
+    fields,
+    emails: upsertContacts(contacts, { clearFields: ['timezone', 'notes', ...fields] }),
     updatedAt: new Date().toISOString()
-  };
-  saveData(LISTS_FILE, lists);
-  res.json(lists[index]);
+  });
+  saveList(list);
+
+  await syncListSheet(list);
+  res.json(list);
+});
+
+// --- Contacts ---
+// All contacts with the lists they are on and whether they are suppressed
+app.get('/api/contacts', (req, res) => {
+  const memberships = getMemberships();
+  const suppressions = listSuppressions();
+  res.json(loadContacts()
+    .map(contact => ({
+      ...contact,
+      lists: memberships.get(contact.id) || [],
+      suppression: findSuppression(contact.email, suppressions),
+    }))
+    .sort((a, b) => a.email.localeCompare(b.email)));
+});
+
+app.put('/api/contacts/:id', (req, res) => {
+  const contact = updateContact(req.params.id, { notes: String(req.body.notes || '').trim() || undefined });
+  if (!contact) return res.status(404).json({ error: 'Contact not found' });
+  res.json(contact);
+});
+
+// --- Segments ---
+app.get('/api/segments', (req, res) => {
+  res.json(listSegments());
+});
+
+app.post('/api/segments', (req, res) => {
+  const { error, segment } = normalizeSegment(req.body);
+  if (error) return res.status(400).json({ error });
+  res.json(createSegment(segment));
+});
+
+app.put('/api/segments/:id', (req, res) => {
+  const existing = getSegment(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Segment not found' });
+
+  const { error, segment } = normalizeSegment(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const updated = { ...existing, ...segment, updatedAt: new Date().toISOString() };
+  saveSegment(updated);
+  res.json(updated);
+});
+
+app.delete('/api/segments/:id', (req, res) => {
+  const inUse = campaigns.listCampaigns()
+    .find(c => c.segmentId === req.params.id && (c.status === 'scheduled' || campaigns.isIncomplete(c)));
+  if (inUse) {
+    return res.status(400).json({ error: `Segment is the target of campaign "${inUse.templateName}" (${inUse.status})` });
+  }
+  deleteSegment(req.params.id);
+  res.json({ success: true });
+});
+
+// Count who is in a segment right now: { segmentId } or unsaved { match, rules }
+app.post('/api/segments/preview', async (req, res) => {
+  let segment = req.body.segmentId ? getSegment(req.body.segmentId) : null;
+  if (req.body.segmentId && !segment) return res.status(404).json({ error: 'Segment not found' });
+  if (!segment) {
+    const result = normalizeSegment({ name: 'preview', ...req.body });
+    if (result.error) return res.status(400).json({ error: result.error });
+    segment = result.segment;
+  }
+
+  const members = await evaluateSegment(segment);
+  const suppressions = listSuppressions();
+  const sendable = members.filter(contact =>
+    !contact.unsubscribed && !isPaused(contact) && contact.validation?.status !== 'invalid' && !findSuppression(contact.email, suppressions));
+  res.json({
+    count: members.length,
+    sendable: sendable.length,
+    sample: members.slice(0, 10).map(c => c.email),
+  });
+});
+
+// Mark that a contact answered (stops sequences that stop on replies)
+app.post('/api/contacts/:id/replied', (req, res) => {
+  const contact = loadContacts().find(c => c.id === req.params.id);
+  if (!contact) return res.status(404).json({ error: 'Contact not found' });
+  recordContactEvent(contact.email, { type: 'replied' });
+  res.json({ success: true });
+});
+
+// --- Sequences ---
+/**
+ * Check the templates of a sequence's steps like a campaign would
+ * @returns {string|null} - Error message
+ */
+function validateSequenceTemplates(steps) {
+  const templates = loadData(TEMPLATES_FILE);
+  for (const [i, step] of steps.entries()) {
+    const template = templates.find(t => t.id === step.templateId);
+    const templateError = validateTemplate(template);
+    if (templateError) return `Step ${i + 1}: template "${template.name}" has an error - ${templateError}`;
+  }
+  return null;
+}
+
+app.get('/api/sequences', (req, res) => {
+  res.json(listSequences().map(summarizeSequence));
+});
+
+// Sequence with the progress of every enrolled contact
+app.get('/api/sequences/:id', (req, res) => {
+  const sequence = getSequence(req.params.id);
+  if (!sequence) return res.status(404).json({ error: 'Sequence not found' });
+  res.json(sequence);
+});
+
+app.post('/api/sequences', (req, res) => {
+  const { error, sequence } = normalizeSequence(req.body);
+  if (error) return res.status(400).json({ error });
+  const templateError = validateSequenceTemplates(sequence.steps);
+  if (templateError) return res.status(400).json({ error: templateError });
+
+  const now = new Date().toISOString();
+  const created = { id: uuidv4(), ...sequence, status: 'draft', contacts: [], createdAt: now, updatedAt: now };
+  saveSequence(created);
+  res.json(summarizeSequence(created));
+});
+
+// Steps, stop conditions and window can change at any time; the target only before the first start
+app.put('/api/sequences/:id', (req, res) => {
+  const existing = getSequence(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Sequence not found' });
+
+  const { error, sequence } = normalizeSequence(req.body);
+  if (error) return res.status(400).json({ error });
+  const templateError = validateSequenceTemplates(sequence.steps);
+  if (templateError) return res.status(400).json({ error: templateError });
+  if (existing.startedAt && (sequence.listId !== existing.listId || sequence.segmentId !== existing.segmentId)) {
+    return res.status(400).json({ error: 'The list or segment of a started sequence cannot be changed' });
+  }
+
+  const updated = { ...existing, ...sequence, updatedAt: new Date().toISOString() };
+  saveSequence(updated);
+  res.json(summarizeSequence(updated));
+});
+
+app.delete('/api/sequences/:id', (req, res) => {
+  const sequence = getSequence(req.params.id);
+  if (!sequence) return res.status(404).json({ error: 'Sequence not found' });
+  if (sequence.status === 'active') {
+    return res.status(400).json({ error: 'Pause the sequence before deleting it' });
+  }
+  deleteSequence(sequence.id);
+  res.json({ success: true });
+});
+
+// Start (or resume) a sequence and enroll members of its list/segment that joined since
+app.post('/api/sequences/:id/start', async (req, res) => {
+  const { error, sequence, enrolled } = await startSequence(req.params.id);
+  if (error) return res.status(400).json({ error });
+
+  processSequences().catch(err => console.error('Sequence run failed:', err));
+  res.json({
+    success: true,
+    enrolled,
+    sequence: summarizeSequence(sequence),
+    message: `Sequence started - ${enrolled} new contact(s) enrolled`
+  });
+});
+
+// Stop queueing steps; step campaigns already queued keep sending
+app.post('/api/sequences/:id/pause', (req, res) => {
+  const sequence = getSequence(req.params.id);
+  if (!sequence) return res.status(404).json({ error: 'Sequence not found' });
+  if (sequence.status !== 'active') return res.status(400).json({ error: 'Sequence is not running' });
+
+  sequence.status = 'paused';
+  sequence.updatedAt = new Date().toISOString();
+  saveSequence(sequence);
+  res.json(summarizeSequence(sequence));
+});
+
+// --- List Import (CSV / XLSX) ---
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+/**
+ * Read the uploaded file and apply the requested column mapping (or a suggested one)
+ * @returns {Promise<{headers, rows, mapping, mappingError, result}>}
+ */
+async function prepareImport(req) {
+  if (!req.file) throw new Error('No file uploaded');
+
+  const { headers, rows } = await readImportFile(req.file.buffer, req.file.originalname);
+  const requested = req.body.mapping ? JSON.parse(req.body.mapping) : null;
+  const mapping = headers.map((h, i) => requested ? String(requested[i] || '').trim() : suggestMapping(headers)[i]);
+  const mappingError = validateMapping(mapping);
+  const result = mappingError
+    ? null
+    : buildImport({ rows, mapping, lists: loadLists(), listId: req.body.listId || null });
+
+  if (result) {
+    // Syntax was checked per row; add role/disposable flags and mail server lookups
+    const checked = await checkEmailList(result.contacts);
+    result.contacts = checked.contacts;
+    result.report.risky = checked.report.risky;
+    result.report.undeliverable = checked.report.invalid;
+  }
+
+  return { headers, rows, mapping, mappingError, result };
+}
+
+// Preview: columns, first rows, suggested mapping and what the import would do
+app.post('/api/lists/import/preview', importUpload.single('file'), async (req, res) => {
+  try {
+    const { headers, rows, mapping, mappingError, result } = await prepareImport(req);
+    res.json({
+      headers,
+      sampleRows: rows.slice(0, 10),
+      mapping,
+      mappingError,
+      report: result ? result.report : null
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Import: create a new list (name) or append to an existing one (listId)
+app.post('/api/lists/import', importUpload.single('file'), async (req, res) => {
+  let prepared;
+  try {
+    prepared = await prepareImport(req);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { mappingError, result } = prepared;
+  if (mappingError) return res.status(400).json({ error: mappingError });
+
+  if (!req.body.listId) {
+    if (!req.body.name) return res.status(400).json({ error: 'Enter a name for the new list' });
+    const list = await createList(req.body.name, result.contacts, result.fields);
+    return res.json({ success: true, list, report: result.report });
+  }
+
+  const list = getList(req.body.listId);
+  if (!list) return res.status(404).json({ error: 'List not found' });
+
+  // New addresses join the list; known contacts get the imported values
+  const contacts = upsertContacts(result.contacts);
+  const members = new Set(list.emails.map(c => c.id));
+  list.emails = [...list.emails, ...contacts.filter(c => !members.has(c.id))];
+  list.fields = getListFields([...(list.fields || []), ...result.fields], contacts);
+  list.updatedAt = new Date().toISOString();
+  saveList(list);
+
+  const saved = getList(list.id);
+  await syncListSheet(saved);
+  res.json({ success: true, list: saved, report: result.report });
 });
 
+/**
+ * Send CSV text as a file download
+ */
+function sendCsv(res, filename, csv) {
+  const safeName = filename.replace(/[^a-zA-Z0-9_.-]+/g, '_');
+  res.attachment(safeName);
+  res.type('text/csv; charset=utf-8');
+  res.send(csv);
+}
+
+app.get('/api/lists/:id/export', (req, res) => {
+  const list = getList(req.params.id);
+  if (!list) return res.status(404).json({ error: 'List not found' });
+  sendCsv(res, `${list.name}.csv`, exportListCsv(list));
+});
+
+// Contacts stay in the database when their list is deleted
 app.delete('/api/lists/:id', (req, res) => {
-  let lists = loadData(LISTS_FILE);
-  lists = lists.filter(l => l.id !== req.params.id);
-  saveData(LISTS_FILE, lists);
+  deleteList(req.params.id);
   res.json({ success: true });
 });
 
@@ -339,470 +669,721 @@ app.delete('/api/uploads/:filename', (req, res) => {
   }
 });
 
-// --- Unsubscribe ---
-app.get('/api/unsubscribe/:email', async (req, res) => {
-  const email = decodeURIComponent(req.params.email).toLowerCase();
-  const lists = loadData(LISTS_FILE);
-  let found = false;
-
-  // Mark email as unsubscribed in all lists
-  lists.forEach(list => {
-    list.emails.forEach(e => {
-      if (e.email.toLowerCase() === email) {
-        e.unsubscribed = true;
-        e.unsubscribedAt = new Date().toISOString();
-        found = true;
-      }
-    });
+// --- Open/click tracking (the pixel and wrapped links in sent emails, ?t=<signed token>) ---
+app.get('/api/track', (req, res) => {
+  const link = resolveToken(req.query.t, 'open');
+  if (link && link.email) {
+    try {
+      recordOpen(link);
+    } catch (err) {
+      console.error('Failed to record open:', err.message);
+    }
+  }
+
+  // Always answer with the pixel - a broken image would show up in the email
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Pragma': 'no-cache',
+    'Expires': '0',
   });
+  res.end(TRACKING_PIXEL);
+});
 
-  if (found) {
-    saveData(LISTS_FILE, lists);
-    // Log the unsubscribe
-    const logs = loadData(LOGS_FILE);
-    logs.push({
-      id: uuidv4(),
-      type: 'unsubscribe',
-      email: email,
-      timestamp: new Date().toISOString(),
-      status: 'unsubscribed'
-    });
-    saveData(LOGS_FILE, logs);
+app.get('/api/click', (req, res) => {
+  // The target is part of the signed token, so the endpoint can't be used to redirect anywhere else
+  const link = resolveToken(req.query.t, 'click');
+  if (!link || !/^https?:\/\//i.test(link.url || '')) {
+    return res.status(400).send(renderLinkErrorPage());
+  }
 
-    // Update Google Sheets column D
+  if (link.email) {
     try {
-      const rowIndex = await sheets.findRowByEmail(email);
-      if (rowIndex) await sheets.markUnsubscribed(rowIndex);
-    } catch (sheetErr) {
-      console.error('Failed to update Google Sheet for unsubscribe:', sheetErr.message);
+      recordClick({ ...link, link: link.linkName });
+    } catch (err) {
+      console.error('Failed to record click:', err.message);
     }
   }
 
-  // Return a simple confirmation page (DE/EN)
-  res.send(`<!DOCTYPE html>
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, link.url);
+});
+
+/**
+ * Page for links whose token is forged, altered or cut off (DE/EN)
+ */
+function renderLinkErrorPage() {
+  return `<!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Unsubscribed / Abgemeldet</title>
+  <title>Invalid link / Ungültiger Link</title>
   <style>
     body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; text-align: center; }
-    h1 { color: #059669; }
+    h1 { color: #dc2626; }
     p { color: #4b5563; line-height: 1.6; }
     .divider { border-top: 1px solid #e5e7eb; margin: 30px 0; }
   </style>
 </head>
 <body>
-  <h1>✓ Erfolgreich abgemeldet</h1>
-  <p>Sie erhalten keine weiteren E-Mails von uns.<br>Vielen Dank für Ihr Feedback.</p>
+  <h1>Ungültiger Link</h1>
+  <p>Dieser Link ist ungültig oder unvollständig.<br>Bitte verwenden Sie den Link aus unserer E-Mail.</p>
   <div class="divider"></div>
-  <h1>✓ Successfully unsubscribed</h1>
-  <p>You will no longer receive emails from us.<br>Thank you for your feedback.</p>
+  <h1>Invalid link</h1>
+  <p>This link is invalid or incomplete.<br>Please use the link from our email.</p>
 </body>
-</html>`);
-});
+</html>`;
+}
 
-// --- Send Logs ---
-app.get('/api/logs', (req, res) => {
-  const logs = loadData(LOGS_FILE);
-  // Return most recent first
-  res.json(logs.reverse().slice(0, 500));
-});
+// --- Unsubscribe ---
 
-app.delete('/api/logs', (req, res) => {
-  saveData(LOGS_FILE, []);
-  res.json({ success: true });
-});
+/**
+ * Unsubscribe the recipient of a verified link: contact record, global suppression, send log and sheet tab
+ * The sheet is written in the background, so one-click requests from mail providers get a fast answer.
+ * @param {Object} link - Resolved unsubscribe token (see resolveToken)
+ * @param {string} source - How the request came in, kept on the suppression entry
+ */
+function unsubscribeFromLink(link, source) {
+  const { email, contact, sheetName } = link;
 
-// --- SSE for real-time updates ---
-app.get('/api/events', (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders();
+  // Mark the contact as unsubscribed (every list it is on sees this)
+  if (contact) {
+    updateContact(contact.id, { unsubscribed: true, unsubscribedAt: new Date().toISOString() });
+    recordContactEvent(email, { type: 'unsubscribed', ...(link.campaignId ? { campaignId: link.campaignId } : {}) });
+  }
 
-  const clientId = uuidv4();
-  const client = { id: clientId, res };
-  sseClients.push(client);
+  // Suppress globally, so the address stays blocked on lists it is added to later
+  addSuppression(email, 'unsubscribe', { source });
 
-  req.on('close', () => {
-    sseClients = sseClients.filter(c => c.id !== clientId);
+  // Log the unsubscribe
+  const logs = loadData(LOGS_FILE);
+  logs.push({
+    id: uuidv4(),
+    type: 'unsubscribe',
+    email: email,
+    timestamp: new Date().toISOString(),
+    status: 'unsubscribed'
   });
-});
-
-// --- Preview Email ---
-app.post('/api/preview', (req, res) => {
-  const { content, contentType, subject, fromName, fromEmail, optOutLang } = req.body;
-
-  // Opt-out footers for preview (uses example email)
-  const optOutFooters = {
-    de: `
-<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;">
-  <p style="margin:0;">
-    Falls Sie diese E-Mails nicht mehr erhalten möchten, <a href="https://www.clicklocal.me/email?e=example%40email.com&lang=de" style="color:#9ca3af;">klicken Sie hier</a>.
-  </p>
-</div>`,
-    en: `
-<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;">
-  <p style="margin:0;">
-    If you no longer wish to receive these emails, <a href="https://www.clicklocal.me/email?e=example%40email.com&lang=en" style="color:#9ca3af;">click here</a>.
-  </p>
-</div>`
-  };
-
-  let bodyHtml;
-  if (contentType === 'text') {
-    // Convert plain text to HTML, but preserve <img>, <a>, <b>, <i> tags
-    const preservedTags = [];
-    let processed = content.replace(/<(img[^>]*|a[^>]*>.*?<\/a|b>.*?<\/b|i>.*?<\/i)>/gi, (match) => {
-      preservedTags.push(match);
-      return '{{TAG_' + (preservedTags.length - 1) + '}}';
-    });
-    // Escape the rest
-    processed = processed.replace(/</g, '&lt;').replace(/>/g, '&gt;');
-    // Convert newlines to <br>
-    processed = processed.replace(/\n/g, '<br>');
-    // Restore preserved tags
-    preservedTags.forEach((tag, i) => {
-      processed = processed.replace('{{TAG_' + i + '}}', tag);
-    });
-    bodyHtml = '<div style="font-family: sans-serif;">' + processed + '</div>';
-  } else {
-    bodyHtml = content;
-  }
+  saveData(LOGS_FILE, logs);
+
+  // Update column D of every list tab the contact is on (and the tab of the email's list)
+  const sheetNames = new Set(contact ? loadLists()
+    .filter(l => l.sheetName && (l.contactIds || []).includes(contact.id))
+    .map(l => l.sheetName) : []);
+  if (sheetName) sheetNames.add(sheetName);
+  sheetNames.forEach(name => {
+    sheets.findRowByEmailInSheet(name, email)
+      .then(rowIndex => rowIndex && sheets.markUnsubscribedInSheet(name, rowIndex))
+      .catch(sheetErr => console.error('Failed to update Google Sheet for unsubscribe:', sheetErr.message));
+  });
+}
 
-  // Add opt-out footer if language selected
-  if (optOutLang && optOutFooters[optOutLang]) {
-    bodyHtml += optOutFooters[optOutLang];
+// One-click unsubscribe (RFC 8058): mail clients POST "List-Unsubscribe=One-Click" to the
+// List-Unsubscribe link - no confirmation page, just a status
+app.post('/api/unsubscribe/:token', (req, res) => {
+  const link = resolveToken(req.params.token, 'unsubscribe');
+  if (!link || !link.email) {
+    return res.status(400).type('text').send('Invalid unsubscribe link');
   }
 
-  // Build Gmail-like preview wrapper
-  const senderName = fromName || config.email.fromName || 'Sender';
-  const senderEmail = fromEmail || config.email.fromEmail || 'sender@example.com';
-  const subjectLine = subject || 'No subject';
+  unsubscribeFromLink(link, 'one-click unsubscribe');
+  res.type('text').send('Unsubscribed');
+});
 
-  const previewHtml = '<div style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; max-width: 100%;">' +
-    '<!-- Email Header -->' +
-    '<div style="background: #f6f8fc; border-bottom: 1px solid #e0e0e0; padding: 16px; margin: -20px -20px 0 -20px;">' +
-      '<div style="font-size: 18px; font-weight: 500; color: #202124; margin-bottom: 12px;">' + subjectLine.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '</div>' +
-      '<div style="display: flex; align-items: center; gap: 12px;">' +
-        '<div style="width: 40px; height: 40px; border-radius: 50%; background: #1a73e8; color: white; display: flex; align-items: center; justify-content: center; font-weight: 500; font-size: 16px;">' + senderName.charAt(0).toUpperCase() + '</div>' +
-        '<div>' +
-          '<div style="font-size: 14px; color: #202124;"><strong>' + senderName.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '</strong> <span style="color: #5f6368;">&lt;' + senderEmail.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '&gt;</span></div>' +
-          '<div style="font-size: 12px; color: #5f6368;">to me</div>' +
-        '</div>' +
-      '</div>' +
-    '</div>' +
-    '<!-- Email Body -->' +
-    '<div style="padding: 20px 0; margin-top: 16px;">' + bodyHtml + '</div>' +
-  '</div>';
+// Links in the List-Unsubscribe header opened in a browser land on the preference page.
+// Footer links from before signed links (/api/unsubscribe/<email>) name no one we can verify.
+app.get('/api/unsubscribe/:token', (req, res) => {
+  const token = req.params.token;
+  if (token.includes('@')) return res.status(400).send(renderLinkErrorPage());
 
-  res.json({ html: previewHtml });
+  const lang = PREFERENCE_LANGUAGES.includes(req.query.lang) ? `?lang=${req.query.lang}` : '';
+  res.redirect(302, `../preferences/${encodeURIComponent(token)}${lang}`);
 });
 
-// --- Send Campaign ---
-app.post('/api/send', async (req, res) => {
-  const { templateId, listId, testEmail } = req.body;
+// --- Preference page (footer link of every campaign email) ---
+const PREFERENCE_TEXTS = {
+  de: {
+    title: 'E-Mail-Einstellungen',
+    intro: 'Einstellungen für',
+    topics: 'Themen',
+    topicsHint: 'Von diesen Listen erhalten Sie E-Mails:',
+    pause: 'E-Mails pausieren',
+    keepPause: 'Pausiert bis {date} (beibehalten)',
+    noPause: 'Nicht pausieren',
+    pauseFor: '{days} Tage pausieren',
+    language: 'Sprache',
+    save: 'Einstellungen speichern',
+    saved: '✓ Ihre Einstellungen wurden gespeichert.',
+    unsubscribeTitle: 'Alle E-Mails abbestellen',
+    unsubscribeHint: 'Sie erhalten danach keine E-Mails mehr von uns.',
+    unsubscribe: 'Von allen E-Mails abmelden',
+    unsubscribed: '✓ Erfolgreich abgemeldet',
+    unsubscribedText: 'Sie erhalten keine weiteren E-Mails von uns.<br>Vielen Dank für Ihr Feedback.',
+    failed: 'Ihre Einstellungen konnten nicht gespeichert werden.',
+  },
+  en: {
+    title: 'Email preferences',
+    intro: 'Preferences for',
+    topics: 'Topics',
+    topicsHint: 'You receive emails from these lists:',
+    pause: 'Pause emails',
+    keepPause: 'Paused until {date} (keep)',
+    noPause: 'Don\'t pause',
+    pauseFor: 'Pause for {days} days',
+    language: 'Language',
+    save: 'Save preferences',
+    saved: '✓ Your preferences have been saved.',
+    unsubscribeTitle: 'Unsubscribe from everything',
+    unsubscribeHint: 'You will not receive any more emails from us.',
+    unsubscribe: 'Unsubscribe from all emails',
+    unsubscribed: '✓ Successfully unsubscribed',
+    unsubscribedText: 'You will no longer receive emails from us.<br>Thank you for your feedback.',
+    failed: 'Your preferences could not be saved.',
+  },
+};
+const LANGUAGE_NAMES = { de: 'Deutsch', en: 'English' };
 
-  const templates = loadData(TEMPLATES_FILE);
-  const template = templates.find(t => t.id === templateId);
-  if (!template) {
-    return res.status(400).json({ error: 'Template not found' });
+/**
+ * Preference page of a recipient (single language, with a switch to the other one)
+ * Recipients without a contact record (test sends) can only unsubscribe.
+ * @param {Object} link - Resolved unsubscribe token
+ * @param {string} lang - Page language
+ * @param {string} [notice] - 'saved', 'unsubscribed' or 'failed'
+ */
+function renderPreferencesPage(link, lang, notice) {
+  const t = PREFERENCE_TEXTS[lang];
+  const contact = link.contact && loadContacts().find(c => c.id === link.contact.id);
+  const suppression = findSuppression(link.email);
+  const unsubscribed = notice === 'unsubscribed' || contact?.unsubscribed || suppression?.reason === 'unsubscribe';
+  const otherLang = lang === 'de' ? 'en' : 'de';
+
+  let body;
+  if (unsubscribed) {
+    body = `<h1 class="done">${t.unsubscribed}</h1>
+  <p>${t.unsubscribedText}</p>`;
+  } else {
+    const prefs = contact ? getPreferences(contact) : null;
+    const topics = prefs && prefs.lists.length ? `
+    <h2>${t.topics}</h2>
+    <p>${t.topicsHint}</p>
+    ${prefs.lists.map(l => `<label><input type="checkbox" name="lists" value="${escapeHtml(l.id)}"${l.subscribed ? ' checked' : ''}> ${escapeHtml(l.topic)}</label>`).join('\n    ')}` : '';
+    const pauseOptions = [
+      ...(prefs && prefs.pausedUntil ? [`<option value="keep" selected>${t.keepPause.replace('{date}', new Date(prefs.pausedUntil).toLocaleDateString(lang === 'de' ? 'de-DE' : 'en-GB'))}</option>`] : []),
+      `<option value="">${t.noPause}</option>`,
+      ...PAUSE_OPTIONS.map(days => `<option value="${days}">${t.pauseFor.replace('{days}', days)}</option>`),
+    ];
+    const settings = prefs ? `
+  <form method="POST" class="card">
+    <input type="hidden" name="lang" value="${lang}">${topics}
+    <h2>${t.pause}</h2>
+    <select name="pause">${pauseOptions.join('')}</select>
+    <h2>${t.language}</h2>
+    ${PREFERENCE_LANGUAGES.map(code => `<label><input type="radio" name="language" value="${code}"${prefs.language === code ? ' checked' : ''}> ${LANGUAGE_NAMES[code]}</label>`).join('\n    ')}
+    <button type="submit" name="action" value="save">${t.save}</button>
+  </form>` : '';
+
+    body = `<h1>${t.title}</h1>
+  <p>${t.intro} <strong>${escapeHtml(link.email)}</strong></p>
+  ${notice === 'saved' ? `<p class="notice">${t.saved}</p>` : ''}${notice === 'failed' ? `<p class="notice error">${t.failed}</p>` : ''}${settings}
+  <form method="POST" class="card">
+    <input type="hidden" name="lang" value="${lang}">
+    <h2>${t.unsubscribeTitle}</h2>
+    <p>${t.unsubscribeHint}</p>
+    <button type="submit" name="action" value="unsubscribe" class="danger">${t.unsubscribe}</button>
+  </form>`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${t.title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; color: #1f2937; }
+    h1 { font-size: 24px; }
+    h1.done { color: #059669; text-align: center; }
+    h2 { font-size: 16px; margin: 20px 0 8px; }
+    p { color: #4b5563; line-height: 1.6; }
+    label { display: block; margin: 6px 0; }
+    select { padding: 6px; border: 1px solid #d1d5db; border-radius: 4px; }
+    .card { border: 1px solid #e5e7eb; border-radius: 8px; padding: 5px 20px 20px; margin-top: 20px; }
+    button { margin-top: 15px; padding: 10px 18px; border: none; border-radius: 6px; background: #2563eb; color: white; font-size: 14px; cursor: pointer; }
+    button.danger { background: #dc2626; }
+    .notice { padding: 10px; border-radius: 6px; background: #ecfdf5; color: #059669; }
+    .notice.error { background: #fef2f2; color: #dc2626; }
+    .switch { text-align: right; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <p class="switch"><a href="?lang=${otherLang}">${LANGUAGE_NAMES[otherLang]}</a></p>
+  ${body}
+</body>
+</html>`;
+}
+
+/**
+ * Page language: ?lang=, then the contact's language, then German
+ */
+function getPreferenceLang(req, link) {
+  const lang = req.body?.lang || req.query.lang || link?.contact?.language;
+  return PREFERENCE_LANGUAGES.includes(lang) ? lang : 'de';
+}
+
+app.get('/api/preferences/:token', (req, res) => {
+  const link = resolveToken(req.params.token, 'unsubscribe');
+  if (!link || !link.email) {
+    return res.status(400).send(renderLinkErrorPage());
   }
+  res.set('Cache-Control', 'no-store');
+  res.send(renderPreferencesPage(link, getPreferenceLang(req, link), req.query.done));
+});
 
-  // Use opt-out language from template
-  const optOutLang = template.optOutLang || '';
-
-  let recipients = [];
-  let skippedCount = 0;
-
-  if (testEmail) {
-    // Send to test email only
-    recipients = [{ email: testEmail }];
-  } else if (listId) {
-    const lists = loadData(LISTS_FILE);
-    const list = lists.find(l => l.id === listId);
-    if (!list) {
-      return res.status(400).json({ error: 'Email list not found' });
-    }
-    // Filter out unsubscribed recipients
-    const allRecipients = list.emails;
-    recipients = allRecipients.filter(e => !e.unsubscribed);
-    skippedCount = allRecipients.length - recipients.length;
+app.post('/api/preferences/:token', (req, res) => {
+  const link = resolveToken(req.params.token, 'unsubscribe');
+  if (!link || !link.email) {
+    return res.status(400).send(renderLinkErrorPage());
+  }
+  const lang = getPreferenceLang(req, link);
+
+  let done;
+  if (req.body.action === 'unsubscribe') {
+    unsubscribeFromLink(link, 'preference page');
+    done = 'unsubscribed';
+  } else if (link.contact) {
+    const result = savePreferences(link.contact.id, { listIds: req.body.lists || [], pause: req.body.pause, language: req.body.language });
+    done = result.error ? 'failed' : 'saved';
+    // The form's language choice also switches the page
+    if (!result.error && PREFERENCE_LANGUAGES.includes(req.body.language)) {
+      return res.redirect(303, `${encodeURIComponent(req.params.token)}?lang=${req.body.language}&done=${done}`);
+    }
   } else {
-    return res.status(400).json({ error: 'No recipients specified' });
+    done = 'failed';
   }
 
-  // Verify SMTP connection first
-  const connected = await verifyConnection();
-  if (!connected) {
-    return res.status(500).json({ error: 'SMTP connection failed' });
+  // Post/redirect/get, relative so it works behind any proxy path
+  res.redirect(303, `${encodeURIComponent(req.params.token)}?lang=${lang}&done=${done}`);
+});
+
+// --- Suppressions ---
+app.get('/api/suppressions', (req, res) => {
+  res.json(listSuppressions().reverse());
+});
+
+// Add one or more addresses/domains: { values: ['a@b.de', '@spam.example'] | value, reason, note }
+app.post('/api/suppressions', (req, res) => {
+  const values = Array.isArray(req.body.values) ? req.body.values : [req.body.value];
+  const entries = values.filter(Boolean).map(value => ({ value, reason: req.body.reason, note: req.body.note }));
+  if (entries.length === 0) return res.status(400).json({ error: 'Enter an email address or domain' });
+
+  const { added, existing, errors } = addSuppressions(entries);
+  if (errors.length > 0 && added.length === 0) return res.status(400).json({ error: errors.join('; ') });
+  res.json({ success: true, added: added.length, existing: existing.length, errors });
+});
+
+app.delete('/api/suppressions/:id', (req, res) => {
+  const entry = removeSuppression(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Suppression not found' });
+  res.json({ success: true, entry });
+});
+
+// Import a CSV/XLSX with an email (or domain/value) column and optional reason and note columns
+app.post('/api/suppressions/import', importUpload.single('file'), async (req, res) => {
+  let file;
+  try {
+    if (!req.file) throw new Error('No file uploaded');
+    file = await readImportFile(req.file.buffer, req.file.originalname);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
-  // Start campaign ID
-  const campaignId = uuidv4();
+  const columns = file.headers.map(h => h.trim().toLowerCase());
+  const column = names => columns.findIndex(c => names.includes(c));
+  let valueColumn = column(['email', 'e-mail', 'domain', 'value', 'address']);
+  const reasonColumn = column(['reason']);
+  const noteColumn = column(['note']);
+  if (valueColumn === -1) valueColumn = 0;
+
+  const { added, existing, errors } = addSuppressions(file.rows
+    .filter(row => (row[valueColumn] || '').trim())
+    .map(row => ({
+      value: row[valueColumn],
+      reason: reasonColumn === -1 || !row[reasonColumn] ? req.body.reason || 'manual' : row[reasonColumn].trim(),
+      note: noteColumn === -1 ? undefined : row[noteColumn],
+      source: 'import: ' + req.file.originalname,
+    })));
+  res.json({ success: true, added: added.length, existing: existing.length, errors });
+});
+
+app.get('/api/suppressions/export', (req, res) => {
+  const rows = listSuppressions().map(s => [s.value, s.type, s.reason, s.note, s.source, s.createdAt]);
+  sendCsv(res, 'suppressions.csv', toCsv(['value', 'type', 'reason', 'note', 'source', 'created_at'], rows));
+});
+
+// --- Send Logs ---
+app.get('/api/logs', (req, res) => {
   const logs = loadData(LOGS_FILE);
+  // Return most recent first
+  res.json(logs.reverse().slice(0, 500));
+});
 
-  // Get the sheet name for this list (if it has one)
-  const lists = loadData(LISTS_FILE);
-  const list = lists.find(l => l.id === listId);
-  const sheetName = list?.sheetName || 'email_list_test';
+// CSV download, filtered by ?campaignId=&status=&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/logs/export', (req, res) => {
+  const { campaignId, status, from, to } = req.query;
+  const badDate = [from, to].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+  if (badDate) {
+    return res.status(400).json({ error: 'Dates must be YYYY-MM-DD, got: ' + badDate });
+  }
 
-  res.json({
-    success: true,
-    campaignId,
-    totalRecipients: recipients.length,
-    skippedUnsubscribed: skippedCount,
-    message: 'Campaign started. Check logs for progress.'
+  const logs = filterLogs(loadData(LOGS_FILE), { campaignId, status, from, to });
+  sendCsv(res, `send-logs-${new Date().toISOString().slice(0, 10)}.csv`, exportLogsCsv(logs));
+});
+
+app.delete('/api/logs', (req, res) => {
+  saveData(LOGS_FILE, []);
+  res.json({ success: true });
+});
+
+// --- SSE for real-time updates ---
+app.get('/api/events', (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const clientId = uuidv4();
+  addClient({ id: clientId, res });
+
+  req.on('close', () => {
+    removeClient(clientId);
   });
+});
 
-  // Opt-out footers by language (subtle text, links to clicklocal.me/email)
-  // {{EMAIL}} and {{SHEET}} are replaced when sending
-  const optOutFooters = {
-    de: `
-<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;">
-  <p style="margin:0;">
-    Falls Sie diese E-Mails nicht mehr erhalten möchten, <a href="https://www.clicklocal.me/email?e={{EMAIL}}&s={{SHEET}}&lang=de" style="color:#9ca3af;">klicken Sie hier</a>.
-  </p>
-</div>`,
-    en: `
-<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;">
-  <p style="margin:0;">
-    If you no longer wish to receive these emails, <a href="https://www.clicklocal.me/email?e={{EMAIL}}&s={{SHEET}}&lang=en" style="color:#9ca3af;">click here</a>.
-  </p>
-</div>`
-  };
+// --- Preview Email ---
+app.post('/api/preview', (req, res) => {
+  const { contentType, fromName, fromEmail, optOutLang, contact, listId, contactEmail } = req.body;
+  const content = req.body.content || '';
+  const subject = req.body.subject || '';
+
+  // Sample contact for merge tags: given directly, or picked from a list (first contact by default)
+  let sample = contact || null;
+  if (!sample && listId) {
+    const list = getList(listId);
+    const listEmails = list ? list.emails : [];
+    sample = listEmails.find(e => e.email === contactEmail) || listEmails[0] || null;
+  }
+  if (!sample && contactEmail) {
+    sample = findContactByEmail(contactEmail); // e.g. a segment member
+  }
+  const fields = sample || { email: 'example@email.com' };
+  const mergeTags = getMergeTags(subject + ' ' + content);
 
-  // Save campaign state for resume capability
-  const campaignState = {
-    campaignId,
-    templateId,
-    listId,
-    sheetName,
-    optOutLang,
-    totalRecipients: recipients.length,
-    sentEmails: [],
-    startedAt: new Date().toISOString(),
-    status: 'running'
-  };
-  saveData(CAMPAIGN_STATE_FILE, campaignState);
-
-  // Send emails asynchronously
-  (async () => {
-    for (let i = 0; i < recipients.length; i++) {
-      const recipient = recipients[i];
-
-      // Check quiet hours before each email
-      if (isQuietHours()) {
-        const msUntilResume = getMsUntilQuietHoursEnd();
-        const timeStr = formatTimeRemaining(msUntilResume);
-        console.log(`Quiet hours active. Pausing campaign. Will resume at 08:00 (in ${timeStr})`);
-
-        sendSSE('paused', {
-          campaignId,
-          reason: 'quiet_hours',
-          resumeAt: '08:00',
-          timeRemaining: timeStr,
-          sentSoFar: i,
-          total: recipients.length
-        });
+  const templateError = validateTemplate({ subject, content });
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
 
-        // Update campaign state
-        campaignState.status = 'paused_quiet_hours';
-        campaignState.pausedAt = new Date().toISOString();
-        campaignState.currentIndex = i;
-        saveData(CAMPAIGN_STATE_FILE, campaignState);
-
-        // Wait until quiet hours end
-        await new Promise(r => setTimeout(r, msUntilResume));
-
-        // After waiting, send resume notification
-        console.log('Quiet hours ended. Resuming campaign.');
-        sendSSE('resumed', {
-          campaignId,
-          sentSoFar: i,
-          total: recipients.length
-        });
+  // Render through the campaign runner so the preview matches what is sent
+  let bodyHtml = renderBody({ content: renderMergeTags(content, fields, { escape: true }), contentType });
 
-        campaignState.status = 'running';
-        saveData(CAMPAIGN_STATE_FILE, campaignState);
-      }
+  // Add opt-out footer if language selected (the link has no recipient in a preview)
+  bodyHtml += buildOptOutFooter(optOutLang, '#');
 
-      sendSSE('sending', {
-        campaignId,
-        index: i + 1,
-        total: recipients.length,
-        email: recipient.email,
-        status: 'sending'
-      });
+  // Build Gmail-like preview wrapper
+  const senderName = fromName || config.email.fromName || 'Sender';
+  const senderEmail = fromEmail || config.email.fromEmail || 'sender@example.com';
+  const subjectLine = renderMergeTags(subject, fields) || 'No subject';
 
-      const logEntry = {
-        id: uuidv4(),
-        campaignId,
-        templateName: template.name,
-        email: recipient.email,
-        subject: template.subject,
-        timestamp: new Date().toISOString(),
-        status: 'pending'
-      };
+  const previewHtml = '<div style="font-family: -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif; max-width: 100%;">' +
+    '<!-- Email Header -->' +
+    '<div style="background: #f6f8fc; border-bottom: 1px solid #e0e0e0; padding: 16px; margin: -20px -20px 0 -20px;">' +
+      '<div style="font-size: 18px; font-weight: 500; color: #202124; margin-bottom: 12px;">' + subjectLine.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '</div>' +
+      '<div style="display: flex; align-items: center; gap: 12px;">' +
+        '<div style="width: 40px; height: 40px; border-radius: 50%; background: #1a73e8; color: white; display: flex; align-items: center; justify-content: center; font-weight: 500; font-size: 16px;">' + senderName.charAt(0).toUpperCase() + '</div>' +
+        '<div>' +
+          '<div style="font-size: 14px; color: #202124;"><strong>' + senderName.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '</strong> <span style="color: #5f6368;">&lt;' + senderEmail.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '&gt;</span></div>' +
+          '<div style="font-size: 12px; color: #5f6368;">to me</div>' +
+        '</div>' +
+      '</div>' +
+    '</div>' +
+    '<!-- Email Body -->' +
+    '<div style="padding: 20px 0; margin-top: 16px;">' + bodyHtml + '</div>' +
+  '</div>';
 
-      try {
-        let html;
-        if (template.contentType === 'text') {
-          // Convert plain text to HTML, but preserve <img>, <a>, <b>, <i> tags
-          const preservedTags = [];
-          let processed = template.content.replace(/<(img[^>]*|a[^>]*>.*?<\/a|b>.*?<\/b|i>.*?<\/i)>/gi, (match) => {
-            preservedTags.push(match);
-            return '{{TAG_' + (preservedTags.length - 1) + '}}';
-          });
-          // Convert newlines to <br>
-          processed = processed.replace(/\n/g, '<br>');
-          // Restore preserved tags
-          preservedTags.forEach((tag, idx) => {
-            processed = processed.replace('{{TAG_' + idx + '}}', tag);
-          });
-          html = '<div style="font-family: sans-serif;">' + processed + '</div>';
-        } else {
-          html = template.content;
-        }
+  res.json({
+    html: previewHtml,
+    contact: sample,
+    mergeTags,
+    missingFields: mergeTags.filter(field => !fields[field]),
+  });
+});
 
-        // Add opt-out footer if language selected in template
-        if (optOutLang && optOutFooters[optOutLang]) {
-          const footer = optOutFooters[optOutLang]
-            .replace('{{EMAIL}}', encodeURIComponent(recipient.email))
-            .replace('{{SHEET}}', encodeSheetName(sheetName));
-          html += footer;
-        }
+// --- Send Campaign ---
+
+/**
+ * Validate template/recipients/schedule from a send or edit request
+ * @returns {{error: string}|{fields: Object}} - Campaign fields to store
+ */
+function buildCampaignFields({ templateId, listId, segmentId, testEmail, scheduleAt, timezone, sendingWindow, deliveryMode, abTest }) {
+  const templates = loadData(TEMPLATES_FILE);
+  const template = templates.find(t => t.id === templateId);
+  if (!template) {
+    return { error: 'Template not found' };
+  }
+  const templateError = validateTemplate(template);
+  if (templateError) {
+    return { error: `Template "${template.name}" has an error - ${templateError}` };
+  }
 
-        // Wrap all links with click tracking
-        html = wrapLinksWithTracking(html, recipient.email, sheetName);
+  if (!testEmail && !listId && !segmentId) {
+    return { error: 'No recipients specified' };
+  }
 
-        // Add tracking pixel for open tracking
-        const trackingPixel = `<img src="https://www.clicklocal.me/api/track?e=${encodeURIComponent(recipient.email)}&s=${encodeSheetName(sheetName)}" width="1" height="1" style="display:none;width:1px;height:1px;" alt="">`;
-        html += trackingPixel;
+  // A segment target is resolved when the campaign starts; a list gives its sheet tab
+  const segment = !testEmail && segmentId ? getSegment(segmentId) : null;
+  if (!testEmail && segmentId && !segment) {
+    return { error: 'Segment not found' };
+  }
+  const list = testEmail || segment ? null : getList(listId);
+  if (!testEmail && !segment && !list) {
+    return { error: 'Email list not found' };
+  }
 
-        const result = await sendEmail({
-          to: recipient.email,
-          subject: template.subject,
-          html
-        });
+  const { error: windowError, window } = normalizeSendingWindow(sendingWindow);
+  if (windowError) {
+    return { error: windowError };
+  }
+  if (deliveryMode && !DELIVERY_MODES.includes(deliveryMode)) {
+    return { error: 'Invalid delivery mode: ' + deliveryMode };
+  }
 
-        if (result.success) {
-          logEntry.status = 'sent';
-          logEntry.messageId = result.messageId;
-          sendSSE('sent', { ...logEntry, index: i + 1, total: recipients.length });
-
-          // Track sent email in campaign state
-          campaignState.sentEmails.push(recipient.email);
-          campaignState.currentIndex = i + 1;
-          saveData(CAMPAIGN_STATE_FILE, campaignState);
-
-          // Update Google Sheets
-          try {
-            const rowIndex = await sheets.findRowByEmailInSheet(sheetName, recipient.email);
-            if (rowIndex) await sheets.updateRowInSheet(sheetName, rowIndex, 'SENT');
-          } catch (sheetErr) {
-            console.error('Failed to update Google Sheet:', sheetErr.message);
-          }
-        } else {
-          logEntry.status = 'failed';
-          logEntry.error = result.error;
-          sendSSE('failed', { ...logEntry, index: i + 1, total: recipients.length });
-          // Update Google Sheets
-          try {
-            const rowIndex = await sheets.findRowByEmailInSheet(sheetName, recipient.email);
-            if (rowIndex) await sheets.updateRowInSheet(sheetName, rowIndex, `FAILED: ${result.error}`);
-          } catch (sheetErr) {
-            console.error('Failed to update Google Sheet:', sheetErr.message);
-          }
-        }
-      } catch (err) {
-        logEntry.status = 'failed';
-        logEntry.error = err.message;
-        sendSSE('failed', { ...logEntry, index: i + 1, total: recipients.length });
-        // Update Google Sheets
-        try {
-          const rowIndex = await sheets.findRowByEmailInSheet(sheetName, recipient.email);
-          if (rowIndex) await sheets.updateRowInSheet(sheetName, rowIndex, `FAILED: ${err.message}`);
-        } catch (sheetErr) {
-          console.error('Failed to update Google Sheet:', sheetErr.message);
-        }
+  // A/B test: the chosen template is variant A, the others follow
+  let test = null;
+  if (abTest) {
+    if (testEmail) {
+      return { error: 'A/B tests need an email list or segment, not a test email' };
+    }
+    const result = normalizeAbTest({ ...abTest, templateIds: [templateId, ...(abTest.templateIds || [])] });
+    if (result.error) {
+      return { error: result.error };
+    }
+    for (const variant of result.abTest.variants.slice(1)) {
+      const variantError = validateTemplate(templates.find(t => t.id === variant.templateId));
+      if (variantError) {
+        return { error: `Template "${variant.templateName}" (variant ${variant.id}) has an error - ${variantError}` };
       }
+    }
+    test = result.abTest;
+  }
 
-      logs.push(logEntry);
-      saveData(LOGS_FILE, logs);
+  const fields = {
+    templateId,
+    templateName: template.name,
+    listId: list ? listId : null,
+    listName: list ? list.name : null,
+    segmentId: segment ? segmentId : null,
+    segmentName: segment ? segment.name : null,
+    testEmail: testEmail || null,
+    sheetName: segment ? null : list?.sheetName || 'email_list_test', // segment members use their list's tab
+    optOutLang: template.optOutLang || '', // Use opt-out language from template
+    sendingWindow: window,
+    deliveryMode: deliveryMode || 'campaign',
+    abTest: test,
+    scheduledAt: null,
+    scheduledFor: null,
+  };
 
-      // Rate limit (skip for last email)
-      if (i < recipients.length - 1) {
-        sendSSE('waiting', {
-          campaignId,
-          seconds: config.rateLimitSeconds,
-          nextEmail: recipients[i + 1]?.email
-        });
-        await new Promise(r => setTimeout(r, config.rateLimitSeconds * 1000));
-      }
+  // Optional schedule: wall-clock time in the chosen timezone
+  if (scheduleAt) {
+    const tz = timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(tz)) {
+      return { error: 'Invalid timezone: ' + tz };
+    }
+    const startAt = zonedTimeToUtc(scheduleAt, tz);
+    if (!startAt) {
+      return { error: 'Invalid schedule time, expected YYYY-MM-DDTHH:mm' };
+    }
+    if (startAt.getTime() <= Date.now()) {
+      return { error: 'Scheduled time is in the past' };
     }
+    fields.scheduledAt = startAt.toISOString();
+    fields.scheduledFor = { localTime: scheduleAt, timezone: tz };
+  }
+
+  return { fields };
+}
+
+app.post('/api/send', async (req, res) => {
+  const { error, fields } = buildCampaignFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    // Campaign complete - clear state
-    campaignState.status = 'complete';
-    campaignState.completedAt = new Date().toISOString();
-    saveData(CAMPAIGN_STATE_FILE, campaignState);
+  const campaignState = {
+    campaignId: uuidv4(),
+    ...fields,
+    sentEmails: [],
+    failedEmails: [],
+    createdAt: new Date().toISOString(),
+  };
+  const { recipients, skipped, skippedUnsubscribed, skippedSuppressed, skippedInvalid } = await resolveRecipients(campaignState);
+  campaignState.totalRecipients = recipients.length;
+
+  // Dry run: render every message to .eml files - no SMTP, no sheet, nothing registered
+  if (req.body.dryRun) {
+    const template = loadData(TEMPLATES_FILE).find(t => t.id === campaignState.templateId);
+    // A/B tests render the test slice; the rest gets the winning variant later
+    const slice = campaignState.abTest ? selectPhaseRecipients(campaignState, recipients) : recipients;
+    const laterCount = recipients.length - slice.length;
+    try {
+      const summary = await runDryRun({
+        state: campaignState,
+        template,
+        variants: getVariantTemplates(campaignState),
+        recipients: slice,
+        skipped,
+      });
+      return res.json({
+        success: true,
+        ...summary,
+        message: `Dry run: ${summary.wouldSendCount} would be sent${campaignState.abTest ? ' as A/B test' : ''}, ${summary.skippedCount} skipped` +
+          (laterCount > 0 ? `, ${laterCount} get the winning variant after the test` : '') +
+          `. Messages written to ${summary.outputDir}`
+      });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
 
-    sendSSE('complete', {
-      campaignId,
-      total: recipients.length,
-      sent: logs.filter(l => l.campaignId === campaignId && l.status === 'sent').length,
-      failed: logs.filter(l => l.campaignId === campaignId && l.status === 'failed').length
+  // Scheduled campaigns are registered now and started by the scheduler
+  if (campaignState.scheduledAt) {
+    campaignState.status = 'scheduled';
+    campaigns.saveCampaign(campaignState);
+    sendSSE('campaign', campaigns.summarizeCampaign(campaignState));
+    return res.json({
+      success: true,
+      campaignId: campaignState.campaignId,
+      totalRecipients: recipients.length,
+      skippedUnsubscribed,
+      skippedSuppressed,
+      skippedInvalid,
+      scheduledAt: campaignState.scheduledAt,
+      message: `Campaign scheduled for ${fields.scheduledFor.localTime.replace('T', ' ')} (${fields.scheduledFor.timezone})`
     });
-  })();
+  }
+
+  // Verify SMTP connection first
+  const connected = await verifyConnection();
+  if (!connected) {
+    return res.status(500).json({ error: 'SMTP connection failed' });
+  }
+
+  // Register the campaign and queue it (sends asynchronously)
+  campaigns.saveCampaign(campaignState);
+  const queuePosition = enqueueCampaign(campaignState.campaignId);
+
+  res.json({
+    success: true,
+    campaignId: campaignState.campaignId,
+    totalRecipients: recipients.length,
+    skippedUnsubscribed,
+    skippedSuppressed,
+    skippedInvalid,
+    queuePosition,
+    message: queuePosition > 0
+      ? `Campaign queued (position ${queuePosition}). It starts when the running campaign finishes.`
+      : 'Campaign started. Check logs for progress.'
+  });
 });
 
-// --- Campaign State & Resume ---
-app.get('/api/campaign-state', (req, res) => {
-  const state = loadData(CAMPAIGN_STATE_FILE);
-  res.json(state);
+// --- Campaigns ---
+app.get('/api/campaigns', (req, res) => {
+  let list = campaigns.listCampaigns();
+  if (req.query.status) {
+    list = list.filter(c => c.status === req.query.status);
+  }
+  res.json(list.map(campaigns.summarizeCampaign));
 });
 
-app.post('/api/campaign-resume', async (req, res) => {
-  const state = loadData(CAMPAIGN_STATE_FILE);
+// Edit a scheduled campaign before it starts
+app.put('/api/campaigns/:id', async (req, res) => {
+  const state = campaigns.getCampaign(req.params.id);
+  if (!state) return res.status(404).json({ error: 'Campaign not found' });
+  if (state.status !== 'scheduled') {
+    return res.status(400).json({ error: 'Only scheduled campaigns can be edited' });
+  }
+  if (!req.body.scheduleAt) {
+    return res.status(400).json({ error: 'A schedule time is required' });
+  }
 
-  if (!state || state.status === 'complete') {
-    return res.json({ success: false, message: 'No campaign to resume' });
+  const { error, fields } = buildCampaignFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
-  // Check if we're in quiet hours
-  if (isQuietHours()) {
-    const msUntil = getMsUntilQuietHoursEnd();
-    return res.json({
-      success: false,
-      message: `Cannot resume during quiet hours (21:00-08:00). Will be available in ${formatTimeRemaining(msUntil)}`
-    });
+  Object.assign(state, fields, { updatedAt: new Date().toISOString() });
+  state.totalRecipients = (await resolveRecipients(state)).recipients.length;
+  campaigns.saveCampaign(state);
+  sendSSE('campaign', campaigns.summarizeCampaign(state));
+  res.json(campaigns.summarizeCampaign(state));
+});
+
+app.get('/api/campaigns/:id', (req, res) => {
+  const state = campaigns.getCampaign(req.params.id);
+  if (!state) return res.status(404).json({ error: 'Campaign not found' });
+  res.json(state);
+});
+
+// Per-recipient results as CSV; opens and clicks come from the tracking store, and from the
+// list's sheet tab for campaigns sent before it
+app.get('/api/campaigns/:id/report', async (req, res) => {
+  const state = campaigns.getCampaign(req.params.id);
+  if (!state) return res.status(404).json({ error: 'Campaign not found' });
+
+  const logs = loadData(LOGS_FILE).filter(l => l.campaignId === state.campaignId);
+  const events = listTrackingEvents().filter(e => e.campaignId === state.campaignId);
+  let sheetRows = [];
+  if (state.sheetName && !state.testEmail) {
+    try {
+      sheetRows = await sheets.getRowsFromSheet(state.sheetName);
+    } catch (err) {
+      console.error('Failed to read opens/clicks from Google Sheet:', err.message);
+    }
   }
 
-  // Load template and list
-  const templates = loadData(TEMPLATES_FILE);
-  const template = templates.find(t => t.id === state.templateId);
-  if (!template) {
-    return res.status(400).json({ error: 'Template not found' });
+  const name = `${state.templateName || 'campaign'}-${state.campaignId.slice(0, 8)}.csv`;
+  sendCsv(res, name, exportCampaignReportCsv(state, logs, { events, sheetRows }));
+});
+
+// All campaigns with their state (kept for the resume UI)
+app.get('/api/campaign-state', (req, res) => {
+  res.json(campaigns.listCampaigns().map(campaigns.summarizeCampaign));
+});
+
+/**
+ * Re-queue a paused or interrupted campaign and answer the request
+ */
+async function resumeCampaign(state, res) {
+  if (!state || !campaigns.isIncomplete(state)) {
+    return res.json({ success: false, message: 'No campaign to resume' });
   }
 
-  const sheetName = state.sheetName || 'email_list_test';
+  if (isActive(state.campaignId)) {
+    return res.json({ success: false, message: 'Campaign is already running' });
+  }
 
-  // Get unsent emails from Google Sheet (skips SENT, has timestamp, or unsubscribed)
-  let recipients;
-  try {
-    recipients = await sheets.getUnsentFromSheet(sheetName);
-    console.log(`Found ${recipients.length} unsent emails to resume`);
-  } catch (err) {
-    console.error('Failed to get unsent emails from sheet:', err.message);
-    return res.status(500).json({ error: 'Failed to read from Google Sheets' });
+  const { recipients, error } = await resolveRecipients(state);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
   if (recipients.length === 0) {
     // Mark campaign as complete
     state.status = 'complete';
     state.completedAt = new Date().toISOString();
-    saveData(CAMPAIGN_STATE_FILE, state);
+    campaigns.saveCampaign(state);
     return res.json({ success: true, message: 'All emails already sent' });
   }
 
@@ -812,119 +1393,51 @@ app.post('/api/campaign-resume', async (req, res) => {
     return res.status(500).json({ error: 'SMTP connection failed' });
   }
 
-  const campaignId = state.campaignId;
-  const optOutLang = state.optOutLang || template.optOutLang || '';
-  const logs = loadData(LOGS_FILE);
+  const queuePosition = enqueueCampaign(state.campaignId);
+  sendSSE('resumed', {
+    campaignId: state.campaignId,
+    sentSoFar: (state.sentEmails || []).length,
+    total: state.totalRecipients
+  });
 
   res.json({
     success: true,
     message: `Resuming campaign with ${recipients.length} remaining emails`,
-    campaignId,
-    remaining: recipients.length
+    campaignId: state.campaignId,
+    remaining: recipients.length,
+    queuePosition
   });
+}
 
-  // Opt-out footers
-  const optOutFooters = {
-    de: `<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;"><p style="margin:0;">Falls Sie diese E-Mails nicht mehr erhalten möchten, <a href="https://www.clicklocal.me/email?e={{EMAIL}}&s={{SHEET}}&lang=de" style="color:#9ca3af;">klicken Sie hier</a>.</p></div>`,
-    en: `<div style="margin-top:40px;padding-top:15px;border-top:1px solid #e5e7eb;font-size:11px;color:#9ca3af;text-align:center;"><p style="margin:0;">If you no longer wish to receive these emails, <a href="https://www.clicklocal.me/email?e={{EMAIL}}&s={{SHEET}}&lang=en" style="color:#9ca3af;">click here</a>.</p></div>`
-  };
-
-  // Update state
-  state.status = 'running';
-  state.resumedAt = new Date().toISOString();
-  saveData(CAMPAIGN_STATE_FILE, state);
-
-  // Resume sending
-  (async () => {
-    for (let i = 0; i < recipients.length; i++) {
-      const recipient = recipients[i];
-
-      // Check quiet hours
-      if (isQuietHours()) {
-        const msUntilResume = getMsUntilQuietHoursEnd();
-        console.log(`Quiet hours. Pausing. Resume at 08:00`);
-        sendSSE('paused', { campaignId, reason: 'quiet_hours', resumeAt: '08:00' });
-        state.status = 'paused_quiet_hours';
-        saveData(CAMPAIGN_STATE_FILE, state);
-        await new Promise(r => setTimeout(r, msUntilResume));
-        state.status = 'running';
-        saveData(CAMPAIGN_STATE_FILE, state);
-        sendSSE('resumed', { campaignId });
-      }
-
-      sendSSE('sending', { campaignId, index: i + 1, total: recipients.length, email: recipient.email, status: 'sending' });
-
-      const logEntry = {
-        id: uuidv4(),
-        campaignId,
-        templateName: template.name,
-        email: recipient.email,
-        subject: template.subject,
-        timestamp: new Date().toISOString(),
-        status: 'pending'
-      };
-
-      try {
-        let html = template.contentType === 'text'
-          ? '<div style="font-family: sans-serif;">' + template.content.replace(/\n/g, '<br>') + '</div>'
-          : template.content;
-
-        if (optOutLang && optOutFooters[optOutLang]) {
-          html += optOutFooters[optOutLang]
-            .replace('{{EMAIL}}', encodeURIComponent(recipient.email))
-            .replace('{{SHEET}}', encodeSheetName(sheetName));
-        }
-
-        // Wrap all links with click tracking
-        html = wrapLinksWithTracking(html, recipient.email, sheetName);
-
-        // Add tracking pixel for open tracking
-        const trackingPixel = `<img src="https://www.clicklocal.me/api/track?e=${encodeURIComponent(recipient.email)}&s=${encodeSheetName(sheetName)}" width="1" height="1" style="display:none;width:1px;height:1px;" alt="">`;
-        html += trackingPixel;
-
-        const result = await sendEmail({ to: recipient.email, subject: template.subject, html });
-
-        if (result.success) {
-          logEntry.status = 'sent';
-          logEntry.messageId = result.messageId;
-          sendSSE('sent', { ...logEntry, index: i + 1, total: recipients.length });
-          try {
-            await sheets.updateRowInSheet(sheetName, recipient.rowIndex, 'SENT');
-          } catch (e) { console.error('Sheet update failed:', e.message); }
-        } else {
-          logEntry.status = 'failed';
-          logEntry.error = result.error;
-          sendSSE('failed', { ...logEntry, index: i + 1, total: recipients.length });
-          try {
-            await sheets.updateRowInSheet(sheetName, recipient.rowIndex, `FAILED: ${result.error}`);
-          } catch (e) { console.error('Sheet update failed:', e.message); }
-        }
-      } catch (err) {
-        logEntry.status = 'failed';
-        logEntry.error = err.message;
-        sendSSE('failed', { ...logEntry, index: i + 1, total: recipients.length });
-      }
+app.post('/api/campaign-resume', async (req, res) => {
+  const { campaignId } = req.body;
+  const state = campaignId
+    ? campaigns.getCampaign(campaignId)
+    : campaigns.listCampaigns().find(c => campaigns.isIncomplete(c) && !isActive(c.campaignId));
 
-      logs.push(logEntry);
-      saveData(LOGS_FILE, logs);
+  await resumeCampaign(state, res);
+});
 
-      if (i < recipients.length - 1) {
-        sendSSE('waiting', { campaignId, seconds: config.rateLimitSeconds, nextEmail: recipients[i + 1]?.email });
-        await new Promise(r => setTimeout(r, config.rateLimitSeconds * 1000));
-      }
-    }
+// --- Pause / Resume / Cancel ---
+app.post('/api/campaigns/:id/pause', (req, res) => {
+  const result = pauseCampaign(req.params.id);
+  res.status(result.success ? 200 : 400).json(result);
+});
 
-    state.status = 'complete';
-    state.completedAt = new Date().toISOString();
-    saveData(CAMPAIGN_STATE_FILE, state);
+app.post('/api/campaigns/:id/resume', async (req, res) => {
+  const state = campaigns.getCampaign(req.params.id);
+  if (!state) return res.status(404).json({ error: 'Campaign not found' });
+  await resumeCampaign(state, res);
+});
 
-    // Count sent/failed from logs for this campaign
-    const campaignLogs = logs.filter(l => l.campaignId === campaignId);
-    const sentCount = campaignLogs.filter(l => l.status === 'sent').length;
-    const failedCount = campaignLogs.filter(l => l.status === 'failed').length;
+app.post('/api/campaigns/:id/cancel', (req, res) => {
+  const result = cancelCampaign(req.params.id);
+  res.status(result.success ? 200 : 400).json(result);
+});
 
-    sendSSE('complete', { campaignId, total: recipients.length, sent: sentCount, failed: failedCount });
-  })();
+// --- Warm-up ---
+app.get('/api/warm-up', (req, res) => {
+  res.json({ ...getWarmUpStatus(), curve: config.warmUp.curve, description: describeWarmUp() });
 });
 
 // --- SMTP Test ---
@@ -1054,6 +1567,18 @@ function getHTML() {
       margin-bottom: 8px;
     }
     .list-item .info { flex: 1; }
+    .contacts-toolbar { display: flex; gap: 5px; margin-bottom: 8px; }
+    .contacts-toolbar input { flex: 1; }
+    .contacts-table-wrap { overflow: auto; max-height: 400px; border: 1px solid #e5e7eb; border-radius: 6px; }
+    .contacts-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    .contacts-table th { background: #f9fafb; text-align: left; padding: 6px; white-space: nowrap; position: sticky; top: 0; }
+    .contacts-table th .btn, .contacts-table td .btn { padding: 2px 7px; font-size: 12px; }
+    .contacts-table td { padding: 2px; border-top: 1px solid #f3f4f6; }
+    .contacts-table td input { width: 100%; min-width: 110px; padding: 5px; border: 1px solid transparent; border-radius: 4px; font-size: 13px; }
+    .contacts-table td input:focus { border-color: #2563eb; outline: none; }
+    .contacts-table tr.unsubscribed td input { color: #9ca3af; text-decoration: line-through; }
+    .contacts-table tr.invalid td { background: #fee2e2; }
+    .contacts-table tr.risky td { background: #fef3c7; }
     .list-item .actions { display: flex; gap: 5px; }
     .list-item .actions button { padding: 5px 10px; font-size: 12px; }
 
@@ -1078,7 +1603,8 @@ function getHTML() {
     .log-entry { padding: 5px 0; border-bottom: 1px solid #374151; }
     .log-entry.sent { color: #34d399; }
     .log-entry.failed { color: #f87171; }
-    .log-entry.waiting { color: #fbbf24; }
+    .log-entry.waiting, .log-entry.retrying { color: #fbbf24; }
+    .log-entry.skipped { color: #9ca3af; }
     .log-entry .time { color: #9ca3af; margin-right: 10px; }
 
     .upload-zone {
@@ -1139,6 +1665,13 @@ function getHTML() {
     }
     .status-badge.connected { background: #d1fae5; color: #065f46; }
     .status-badge.disconnected { background: #fee2e2; color: #991b1b; }
+    .status-badge.queued, .status-badge.scheduled { background: #e0e7ff; color: #3730a3; }
+    .status-badge.running { background: #dbeafe; color: #1e40af; }
+    .status-badge.paused_quiet_hours, .status-badge.paused_warm_up, .status-badge.interrupted { background: #fef3c7; color: #92400e; }
+    .status-badge.paused { background: #fef3c7; color: #92400e; }
+    .status-badge.ab_waiting { background: #ede9fe; color: #5b21b6; }
+    .status-badge.complete { background: #d1fae5; color: #065f46; }
+    .status-badge.failed, .status-badge.cancelled { background: #fee2e2; color: #991b1b; }
 
     .progress-bar {
       height: 8px;
@@ -1167,7 +1700,11 @@ function getHTML() {
     <div class="tabs">
       <div class="tab active" data-tab="templates">Templates</div>
       <div class="tab" data-tab="lists">Email Lists</div>
+      <div class="tab" data-tab="contacts">Contacts</div>
+      <div class="tab" data-tab="segments">Segments</div>
+      <div class="tab" data-tab="sequences">Sequences</div>
       <div class="tab" data-tab="send">Send Campaign</div>
+      <div class="tab" data-tab="suppressions">Suppressions</div>
       <div class="tab" data-tab="logs">Logs</div>
     </div>
 
@@ -1195,6 +1732,9 @@ function getHTML() {
           <div class="form-group">
             <label for="template-content">Email Content</label>
             <textarea id="template-content" placeholder="Enter your email content here..."></textarea>
+            <p style="font-size:12px;color:#6b7280;margin-top:5px">Personalise subject and content with merge tags from the contact's fields, e.g. <code>Hallo {{name|liebes Team}}</code> or <code>{{shop}}</code>.
+              Sections per segment: <code>{{#if segment == "sustainable"}}...{{else}}...{{/if}}</code>, lists: <code>{{#each tags}}{{this}} {{/each}}</code>.</p>
+            <p id="template-error" style="display:none;color:#991b1b;background:#fee2e2;padding:8px;border-radius:4px;margin-top:5px;font-size:13px"></p>
             <!-- Formatting toolbar -->
             <div style="margin-top:8px;padding:8px;background:#f9fafb;border:1px solid #e5e7eb;border-radius:6px;display:flex;gap:10px;align-items:center;flex-wrap:wrap">
               <span style="font-size:12px;color:#6b7280">Format:</span>
@@ -1268,9 +1808,25 @@ function getHTML() {
             <input type="text" id="list-name" placeholder="e.g. Berlin Retailers">
           </div>
           <div class="form-group">
-            <label for="list-emails">Email Addresses (one per line or comma-separated)</label>
-            <textarea id="list-emails" placeholder="email1@example.com&#10;email2@example.com&#10;..."></textarea>
+            <label for="list-topic">Topic on the Preference Page</label>
+            <input type="text" id="list-topic" placeholder="e.g. News for Berlin shops (defaults to the list name)">
+          </div>
+          <div class="form-group">
+            <label>Contacts <span id="contacts-count" style="font-weight:normal;color:#6b7280"></span></label>
+            <div class="contacts-toolbar">
+              <input type="text" id="new-field-name" placeholder="New column, e.g. shop">
+              <button class="btn secondary" onclick="addListField()">Add Column</button>
+              <button class="btn secondary" onclick="addContactRow()">Add Contact</button>
+            </div>
+            <div class="contacts-table-wrap"><table id="contacts-table" class="contacts-table"></table></div>
+            <p style="font-size:12px;color:#6b7280;margin-top:5px">Columns such as name, shop, district, language or tags are available as merge tags (<code>{{name}}</code>, <code>{{shop}}</code>) and mirrored in the list's Google Sheet tab. The timezone is used for recipient-timezone delivery.</p>
+          </div>
+          <div class="form-group">
+            <label for="list-emails">Bulk Add (one per line or comma-separated)</label>
+            <textarea id="list-emails" style="min-height:100px" placeholder="email1@example.com&#10;email2@example.fr Europe/Paris&#10;anna@bioladen.de name=Anna shop=&quot;Bio Laden&quot; district=Mitte&#10;..."></textarea>
+            <p style="font-size:12px;color:#6b7280;margin-top:5px">Optionally follow the address with a timezone and <code>column=value</code> pairs (quote values with spaces). <button class="btn secondary" style="padding:3px 8px;font-size:12px" onclick="bulkAddContacts()">Add to Table</button></p>
           </div>
+          <div id="list-validation" style="display:none;font-size:14px"></div>
           <div class="btn-group">
             <button class="btn" onclick="saveList()">Save List</button>
             <button class="btn secondary" onclick="clearListForm()">Clear</button>
@@ -1279,6 +1835,24 @@ function getHTML() {
         <div>
           <h2 style="margin-bottom:15px">Saved Lists</h2>
           <div id="lists-list"></div>
+
+          <h2 style="margin:25px 0 15px">Import CSV / XLSX</h2>
+          <div class="form-group">
+            <label for="import-file">File (first row = column names)</label>
+            <input type="file" id="import-file" accept=".csv,.tsv,.txt,.xlsx" onchange="importMapping = null; document.getElementById('import-preview').innerHTML = ''">
+          </div>
+          <div class="form-group">
+            <label for="import-target">Import Into</label>
+            <select id="import-target" onchange="toggleImportName()">
+              <option value="">New list</option>
+            </select>
+          </div>
+          <div class="form-group" id="import-name-group">
+            <label for="import-name">New List Name</label>
+            <input type="text" id="import-name" placeholder="e.g. Hamburg Retailers">
+          </div>
+          <button class="btn secondary" onclick="previewImport()">Preview Import</button>
+          <div id="import-preview" style="margin-top:15px"></div>
         </div>
       </div>
     </div>
@@ -1298,28 +1872,96 @@ function getHTML() {
 
           <div class="form-group">
             <label for="send-list">Select Email List</label>
-            <select id="send-list">
+            <select id="send-list" onchange="document.getElementById('send-segment').value = ''; loadPreviewContacts()">
               <option value="">-- Select a list --</option>
             </select>
           </div>
 
           <div class="form-group">
-            <label for="test-email">Or Send Test Email To</label>
-            <input type="email" id="test-email" placeholder="your@email.com">
+            <label for="send-segment">Or Select a Segment</label>
+            <select id="send-segment" onchange="document.getElementById('send-list').value = ''; loadPreviewContacts()">
+              <option value="">-- Select a segment --</option>
+            </select>
+            <p id="send-segment-count" style="font-size:12px;color:#6b7280;margin-top:5px"></p>
           </div>
 
-          <div style="margin-top:15px">
-            <button class="btn secondary" onclick="previewCampaign()" style="width:100%;margin-bottom:20px">Preview Email</button>
-            <button class="btn success" onclick="sendCampaign()" style="width:100%">Send Campaign</button>
+          <div class="form-group">
+            <label for="preview-contact">Preview As</label>
+            <select id="preview-contact">
+              <option value="">-- Example contact --</option>
+            </select>
+            <p style="font-size:12px;color:#6b7280;margin-top:5px">Merge tags like <code>{{name}}</code> or <code>{{name|liebes Team}}</code> are filled from this contact.</p>
           </div>
 
-          <!-- Resume Campaign Section -->
-          <div id="resume-section" style="display:none;margin-top:20px;padding:15px;background:#fef3c7;border:1px solid #f59e0b;border-radius:8px;">
-            <h3 style="color:#92400e;margin-bottom:10px">⚠️ Incomplete Campaign Detected</h3>
-            <p id="resume-info" style="color:#78350f;font-size:14px;margin-bottom:15px"></p>
-            <button class="btn" onclick="resumeCampaign()" style="background:#f59e0b;border-color:#f59e0b">Resume Campaign</button>
-            <button class="btn secondary" onclick="dismissResume()" style="margin-left:10px">Dismiss</button>
-          </div>
+          <div class="form-group">
+            <label for="test-email">Or Send Test Email To</label>
+            <input type="email" id="test-email" placeholder="your@email.com">
+          </div>
+
+          <div class="form-group">
+            <label style="display:flex;align-items:center;gap:8px;font-weight:500">
+              <input type="checkbox" id="schedule-enabled" style="width:auto" onchange="toggleSchedule()"> Schedule for later
+            </label>
+            <div id="schedule-fields" style="display:none;margin-top:8px;gap:10px">
+              <input type="datetime-local" id="schedule-at" style="flex:1">
+              <select id="schedule-timezone" style="flex:1"></select>
+            </div>
+          </div>
+          <div class="form-group">
+            <span style="display:block;margin-bottom:5px;font-weight:500">Sending Window</span>
+            <div id="window-days" style="display:flex;gap:10px;flex-wrap:wrap;margin-bottom:8px"></div>
+            <div style="display:flex;gap:10px;align-items:center">
+              <select id="window-start" aria-label="Window start hour" style="flex:1"></select>
+              <span>to</span>
+              <select id="window-end" aria-label="Window end hour" style="flex:1"></select>
+              <select id="window-timezone" aria-label="Window timezone" style="flex:2"></select>
+            </div>
+            <input type="text" id="window-excluded" aria-label="Excluded dates" placeholder="Excluded dates, e.g. 2026-12-24, 2026-12-25" style="margin-top:8px">
+            <p style="font-size:12px;color:#6b7280;margin-top:5px">Emails are only sent inside this window; the campaign pauses and resumes automatically.</p>
+          </div>
+
+          <div class="form-group">
+            <label for="delivery-mode">Delivery Timezone</label>
+            <select id="delivery-mode">
+              <option value="campaign">Sending window timezone for everyone</option>
+              <option value="recipient">Each recipient's own timezone (falls back to the window timezone)</option>
+            </select>
+          </div>
+
+          <div class="form-group">
+            <label style="display:flex;align-items:center;gap:8px;font-weight:500">
+              <input type="checkbox" id="ab-enabled" style="width:auto" onchange="toggleAbTest()"> A/B test the template against others
+            </label>
+            <div id="ab-fields" style="display:none;margin-top:8px">
+              <div id="ab-variants"></div>
+              <button class="btn secondary" onclick="addAbVariant()" style="margin-bottom:8px">Add Variant</button>
+              <div style="display:flex;gap:10px;align-items:center">
+                <input type="number" id="ab-test-percent" min="1" max="100" value="20" aria-label="Test slice percent" style="flex:1">
+                <span style="font-size:13px">% test slice, winner by</span>
+                <select id="ab-metric" aria-label="Winning metric" style="flex:1"></select>
+                <span style="font-size:13px">after</span>
+                <input type="number" id="ab-window-hours" min="1" value="4" aria-label="Measuring window in hours" style="flex:1">
+                <span style="font-size:13px">h</span>
+              </div>
+              <p style="font-size:12px;color:#6b7280;margin-top:5px">Random recipients in the test slice get one variant each (the selected template is A). When the measuring window is over, the variant with the best rate is sent to everyone else. Replies count when marked on the contact.</p>
+            </div>
+          </div>
+
+          <input type="hidden" id="editing-campaign-id">
+
+          <div style="margin-top:15px">
+            <button class="btn secondary" onclick="previewCampaign()" style="width:100%;margin-bottom:10px">Preview Email</button>
+            <button class="btn secondary" onclick="dryRunCampaign()" style="width:100%;margin-bottom:20px">Dry Run (render all, send nothing)</button>
+            <button class="btn success" id="send-button" onclick="sendCampaign()" style="width:100%">Send Campaign</button>
+            <button class="btn secondary" id="cancel-edit-button" onclick="resetSendForm()" style="width:100%;margin-top:10px;display:none">Stop Editing</button>
+          </div>
+
+          <!-- Campaigns (running, queued and past) -->
+          <div style="margin-top:20px">
+            <h3 style="margin-bottom:10px">Campaigns</h3>
+            <p id="warm-up-status" style="display:none;color:#6b7280;font-size:13px;margin-bottom:10px"></p>
+            <div id="campaigns-list"><p style="color:#6b7280">No campaigns yet</p></div>
+          </div>
 
           <div id="send-progress" style="display:none;margin-top:20px;">
             <h3>Sending Progress</h3>
@@ -1336,6 +1978,150 @@ function getHTML() {
       </div>
     </div>
 
+    <!-- Contacts Panel -->
+    <div id="contacts" class="panel">
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:15px">
+        <h2>Contacts <span id="all-contacts-count" style="font-weight:normal;color:#6b7280;font-size:14px"></span></h2>
+        <button class="btn secondary" onclick="loadContacts()">Refresh</button>
+      </div>
+      <p style="font-size:13px;color:#6b7280;margin-bottom:15px">Every address is stored once. Lists reference contacts, so unsubscribes, fields, notes and history are shared by all lists a contact is on.</p>
+      <div class="form-group">
+        <input type="text" id="contact-search" placeholder="Search address, list, field or note" oninput="renderContacts()">
+      </div>
+      <div id="contacts-list"></div>
+    </div>
+
+    <!-- Segments Panel -->
+    <div id="segments" class="panel">
+      <div class="grid">
+        <div>
+          <h2 style="margin-bottom:15px">Create/Edit Segment</h2>
+          <input type="hidden" id="segment-id">
+          <div class="form-group">
+            <label for="segment-name">Segment Name</label>
+            <input type="text" id="segment-name" placeholder="e.g. Berlin openers without a click">
+          </div>
+          <div class="form-group">
+            <label for="segment-match">Contacts Must Match</label>
+            <select id="segment-match">
+              <option value="all">All rules</option>
+              <option value="any">Any rule</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <span style="display:block;margin-bottom:5px;font-weight:500">Rules</span>
+            <div id="segment-rules"></div>
+            <button class="btn secondary" onclick="addSegmentRule()">Add Rule</button>
+            <p style="font-size:12px;color:#6b7280;margin-top:5px">Membership is worked out when a campaign starts, so new contacts, opens and clicks are picked up. "Last campaign" is the latest campaign sent to a list or segment.</p>
+          </div>
+          <div id="segment-preview" style="font-size:14px;margin-bottom:10px"></div>
+          <div class="btn-group">
+            <button class="btn secondary" onclick="previewSegment()">Preview Count</button>
+            <button class="btn" onclick="saveSegment()">Save Segment</button>
+            <button class="btn secondary" onclick="clearSegmentForm()">Clear</button>
+          </div>
+        </div>
+        <div>
+          <h2 style="margin-bottom:15px">Saved Segments</h2>
+          <div id="segments-list"></div>
+        </div>
+      </div>
+    </div>
+
+    <!-- Sequences Panel -->
+    <div id="sequences" class="panel">
+      <div class="grid">
+        <div>
+          <h2 style="margin-bottom:15px">Create/Edit Sequence</h2>
+          <input type="hidden" id="sequence-id">
+          <div class="form-group">
+            <label for="sequence-name">Sequence Name</label>
+            <input type="text" id="sequence-name" placeholder="e.g. Retailer outreach with 2 follow-ups">
+          </div>
+          <div class="form-group">
+            <label for="sequence-target">Send To</label>
+            <select id="sequence-target"></select>
+          </div>
+          <div class="form-group">
+            <span style="display:block;margin-bottom:5px;font-weight:500">Steps</span>
+            <div id="sequence-steps"></div>
+            <button class="btn secondary" onclick="addSequenceStep()">Add Step</button>
+          </div>
+          <div class="form-group">
+            <span style="display:block;margin-bottom:5px;font-weight:500">Stop Following Up When the Contact</span>
+            <div id="sequence-stop-on" style="display:flex;gap:15px"></div>
+            <p style="font-size:12px;color:#6b7280;margin-top:5px">Unsubscribed and suppressed contacts always leave the sequence. Mark replies on the contact in the progress list below.</p>
+          </div>
+          <div class="form-group">
+            <span style="display:block;margin-bottom:5px;font-weight:500">Sending Window</span>
+            <div style="display:flex;gap:10px;align-items:center">
+              <select id="sequence-window-start" aria-label="Window start hour" style="flex:1"></select>
+              <span>to</span>
+              <select id="sequence-window-end" aria-label="Window end hour" style="flex:1"></select>
+            </div>
+            <p id="sequence-window-note" style="font-size:12px;color:#6b7280;margin-top:5px"></p>
+          </div>
+          <div class="btn-group">
+            <button class="btn" onclick="saveSequence()">Save Sequence</button>
+            <button class="btn secondary" onclick="clearSequenceForm()">Clear</button>
+          </div>
+        </div>
+        <div>
+          <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:15px">
+            <h2>Saved Sequences</h2>
+            <button class="btn secondary" onclick="loadSequences()">Refresh</button>
+          </div>
+          <div id="sequences-list"></div>
+        </div>
+      </div>
+      <div id="sequence-progress" style="margin-top:25px"></div>
+    </div>
+
+    <!-- Suppressions Panel -->
+    <div id="suppressions" class="panel">
+      <div class="grid">
+        <div>
+          <h2 style="margin-bottom:15px">Add Suppressions</h2>
+          <p style="font-size:13px;color:#6b7280;margin-bottom:15px">Suppressed addresses and domains are never emailed, whichever list they are on. Unsubscribes and hard bounces are added automatically.</p>
+          <div class="form-group">
+            <label for="suppression-values">Addresses or Domains (one per line, domains as <code>@example.com</code>)</label>
+            <textarea id="suppression-values" style="min-height:100px" placeholder="anna@example.com&#10;@competitor.example"></textarea>
+          </div>
+          <div class="form-group">
+            <label for="suppression-reason">Reason</label>
+            <select id="suppression-reason">
+              <option value="manual">Manual block</option>
+              <option value="unsubscribe">Unsubscribe</option>
+              <option value="hard_bounce">Hard bounce</option>
+              <option value="complaint">Complaint</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="suppression-note">Note (optional)</label>
+            <input type="text" id="suppression-note" placeholder="e.g. asked by phone not to be contacted">
+          </div>
+          <button class="btn" onclick="addSuppressions()">Add</button>
+
+          <h2 style="margin:25px 0 15px">Import / Export</h2>
+          <div class="form-group">
+            <label for="suppression-file">CSV or XLSX with an email (or domain) column, optional reason and note columns</label>
+            <input type="file" id="suppression-file" accept=".csv,.tsv,.txt,.xlsx">
+          </div>
+          <div class="btn-group">
+            <button class="btn secondary" onclick="importSuppressions()">Import (reason above as default)</button>
+            <button class="btn secondary" onclick="window.location = '/api/suppressions/export'">Download CSV</button>
+          </div>
+        </div>
+        <div>
+          <h2 style="margin-bottom:15px">Suppression List <span id="suppressions-count" style="font-weight:normal;color:#6b7280;font-size:14px"></span></h2>
+          <div class="form-group">
+            <input type="text" id="suppression-search" placeholder="Search address, domain or note" oninput="renderSuppressions()">
+          </div>
+          <div id="suppressions-list"></div>
+        </div>
+      </div>
+    </div>
+
     <!-- Logs Panel -->
     <div id="logs" class="panel">
       <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:15px">
@@ -1345,6 +2131,33 @@ function getHTML() {
           <button class="btn danger" onclick="clearLogs()">Clear Logs</button>
         </div>
       </div>
+      <div class="btn-group" style="align-items:flex-end;flex-wrap:wrap;margin:0 0 15px">
+        <div class="form-group" style="margin-bottom:0">
+          <label for="log-campaign">Campaign</label>
+          <select id="log-campaign">
+            <option value="">All campaigns</option>
+          </select>
+        </div>
+        <div class="form-group" style="margin-bottom:0">
+          <label for="log-status">Status</label>
+          <select id="log-status">
+            <option value="">Any</option>
+            <option value="sent">Sent</option>
+            <option value="failed">Failed</option>
+            <option value="unsubscribed">Unsubscribed</option>
+          </select>
+        </div>
+        <div class="form-group" style="margin-bottom:0">
+          <label for="log-from">From</label>
+          <input type="date" id="log-from">
+        </div>
+        <div class="form-group" style="margin-bottom:0">
+          <label for="log-to">To</label>
+          <input type="date" id="log-to">
+        </div>
+        <button class="btn secondary" onclick="exportLogs()">Download Logs CSV</button>
+        <button class="btn secondary" onclick="exportCampaignReport()">Download Campaign Report</button>
+      </div>
       <div class="log-container" id="log-container">
         <p style="color:#9ca3af">No logs yet</p>
       </div>
@@ -1396,12 +2209,16 @@ function getHTML() {
     }
 
     // ========== Templates ==========
+    var templatesCache = [];
+
     async function loadTemplates() {
       const res = await fetch('/api/templates');
       const templates = await res.json();
+      templatesCache = templates;
 
       const list = document.getElementById('templates-list');
       const select = document.getElementById('send-template');
+      const selected = select.value;
 
       if (templates.length === 0) {
         list.innerHTML = '<p style="color:#6b7280">No templates yet. Create one!</p>';
@@ -1424,6 +2241,8 @@ function getHTML() {
         templates.map(function(t) {
           return '<option value="' + t.id + '">' + escapeHtml(t.name) + '</option>';
         }).join('');
+      select.value = selected;
+      renderAbVariants();
     }
 
     function escapeHtml(str) {
@@ -1449,11 +2268,13 @@ function getHTML() {
       var url = id ? '/api/templates/' + id : '/api/templates';
       var method = id ? 'PUT' : 'POST';
 
-      await fetch(url, {
+      const res = await fetch(url, {
         method: method,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data)
       });
+      const saved = await res.json();
+      if (!showTemplateError(saved.error)) return;
 
       clearTemplateForm();
       loadTemplates();
@@ -1488,6 +2309,7 @@ function getHTML() {
       document.getElementById('template-content').value = '';
       document.querySelector('input[name="content-type"][value="html"]').checked = true;
       document.getElementById('template-optout').value = '';
+      showTemplateError(null);
     }
 
     async function previewTemplate() {
@@ -1507,11 +2329,20 @@ function getHTML() {
         body: JSON.stringify({ content: content, contentType: contentType, subject: subject, optOutLang: optOutLang })
       });
       const data = await res.json();
+      if (!showTemplateError(data.error)) return;
 
       document.getElementById('preview-content').innerHTML = data.html;
       document.getElementById('preview-modal').style.display = 'block';
     }
 
+    // Show a template render error under the editor; returns true if there is none
+    function showTemplateError(error) {
+      var el = document.getElementById('template-error');
+      el.style.display = error ? 'block' : 'none';
+      el.textContent = error || '';
+      return !error;
+    }
+
     function closePreview() {
       document.getElementById('preview-modal').style.display = 'none';
     }
@@ -1598,198 +2429,1441 @@ function getHTML() {
       document.getElementById('image-preview-box').style.display = 'none';
     }
 
-    async function uploadAndInsertImage(input) {
-      if (!input.files || !input.files[0]) return;
+    async function uploadAndInsertImage(input) {
+      if (!input.files || !input.files[0]) return;
+
+      var formData = new FormData();
+      formData.append('image', input.files[0]);
+
+      try {
+        var res = await fetch('/api/upload', { method: 'POST', body: formData });
+        var data = await res.json();
+        if (data.success) {
+          // Show preview first
+          document.getElementById('existing-images').value = data.url;
+          document.getElementById('image-preview').src = data.url;
+          document.getElementById('image-preview-box').style.display = 'block';
+          loadExistingImages(); // Refresh the dropdown
+          insertImageTag(data.url);
+          alert('Image uploaded and inserted: ' + data.url);
+        } else {
+          alert('Upload failed: ' + (data.error || 'Unknown error'));
+        }
+      } catch (err) {
+        alert('Upload failed: ' + err.message);
+      }
+      input.value = ''; // Reset file input
+    }
+
+    function insertImageTag(url) {
+      var textarea = document.getElementById('template-content');
+      var widthSelect = document.getElementById('image-width');
+      var width = widthSelect.value;
+      var widthStyle = width === '100%' ? 'max-width:100%' : 'width:' + width + 'px;max-width:100%';
+      var imgTag = '<img src="' + url + '" alt="Email image" style="' + widthStyle + ';height:auto">';
+
+      // Insert at cursor position or append
+      var start = textarea.selectionStart;
+      var end = textarea.selectionEnd;
+      var text = textarea.value;
+      textarea.value = text.substring(0, start) + imgTag + text.substring(end);
+      textarea.focus();
+      textarea.selectionStart = textarea.selectionEnd = start + imgTag.length;
+    }
+
+    // ========== Email Lists ==========
+    var listsCache = [];
+
+    async function loadLists() {
+      const res = await fetch('/api/lists');
+      const lists = await res.json();
+
+      const listEl = document.getElementById('lists-list');
+      const select = document.getElementById('send-list');
+
+      if (lists.length === 0) {
+        listEl.innerHTML = '<p style="color:#6b7280">No lists yet. Create one!</p>';
+      } else {
+        listEl.innerHTML = lists.map(function(l) {
+          var unsubCount = l.emails.filter(function(e) { return e.unsubscribed; }).length;
+          var unsubText = unsubCount > 0 ? ' | <span style="color:#dc2626">' + unsubCount + ' unsubscribed</span>' : '';
+          var invalidCount = l.emails.filter(function(e) { return e.validation && e.validation.status === 'invalid'; }).length;
+          if (invalidCount > 0) unsubText += ' | <span style="color:#dc2626">' + invalidCount + ' invalid</span>';
+          return '<div class="list-item">' +
+            '<div class="info">' +
+              '<strong>' + escapeHtml(l.name) + '</strong>' +
+              '<div class="meta">' + l.emails.length + ' email(s)' + unsubText +
+                (getFieldsOf(l).length ? ' | Columns: ' + escapeHtml(getFieldsOf(l).join(', ')) : '') + '</div>' +
+            '</div>' +
+            '<div class="actions">' +
+              '<button class="btn secondary" onclick="editList(\\''+l.id+'\\')">Edit</button>' +
+              '<button class="btn secondary" onclick="window.location = \\'/api/lists/' + l.id + '/export\\'">CSV</button>' +
+              '<button class="btn danger" onclick="deleteList(\\''+l.id+'\\')">Delete</button>' +
+            '</div>' +
+          '</div>';
+        }).join('');
+      }
+
+      listsCache = lists;
+      var importTarget = document.getElementById('import-target');
+      var importSelected = importTarget.value;
+      importTarget.innerHTML = '<option value="">New list</option>' + lists.map(function(l) {
+        return '<option value="' + l.id + '">Append to ' + escapeHtml(l.name) + '</option>';
+      }).join('');
+      importTarget.value = importSelected;
+
+      var selected = select.value;
+      select.innerHTML = '<option value="">-- Select a list --</option>' +
+        lists.map(function(l) {
+          var activeCount = l.emails.filter(function(e) { return !e.unsubscribed; }).length;
+          return '<option value="' + l.id + '">' + escapeHtml(l.name) + ' (' + activeCount + ' active)</option>';
+        }).join('');
+      select.value = selected;
+      loadPreviewContacts();
+      loadSegments(); // rule descriptions name the lists
+    }
+
+    // Contacts of the selected list (or the first members of the segment), for previewing merge tags
+    async function loadPreviewContacts() {
+      var segmentId = document.getElementById('send-segment').value;
+      var countEl = document.getElementById('send-segment-count');
+      var contacts = [];
+      countEl.textContent = '';
+      if (segmentId) {
+        countEl.textContent = 'Counting...';
+        const res = await fetch('/api/segments/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ segmentId: segmentId })
+        });
+        const data = await res.json();
+        countEl.textContent = data.error ? data.error : data.count + ' contact(s) right now, ' + data.sendable + ' can be emailed';
+        contacts = (data.sample || []).map(function(email) { return { email: email }; });
+      } else {
+        var list = listsCache.find(function(l) { return l.id === document.getElementById('send-list').value; });
+        contacts = list ? list.emails : [];
+      }
+      document.getElementById('preview-contact').innerHTML = '<option value="">-- Example contact --</option>' +
+        contacts.map(function(e) {
+          var label = e.name ? e.email + ' (' + e.name + ')' : e.email;
+          return '<option value="' + escapeHtml(e.email) + '">' + escapeHtml(label) + '</option>';
+        }).join('');
+      if (contacts.length > 0) {
+        document.getElementById('preview-contact').value = contacts[0].email;
+      }
+    }
+
+    // ========== List Editor (contacts table) ==========
+    var RESERVED_FIELDS = ['id', 'email', 'timezone', 'notes', 'unsubscribed', 'unsubscribedAt', 'pausedUntil', 'leftLists', 'validation', 'history', 'createdAt', 'updatedAt'];
+    var BUILT_IN_COLUMNS = ['email', 'timezone', 'notes'];
+    var editingFields = []; // custom columns of the list being edited
+    var editingContacts = []; // contacts of the list being edited
+
+    // "email [timezone] [field=value ...]" - quote values with spaces: shop="Bio Laden"
+    function parseContactLine(line) {
+      var tokens = line.match(/[\\w-]+="[^"]*"|\\S+/g) || [];
+      if (!tokens[0] || tokens[0].indexOf('@') === -1) return null;
+
+      var contact = { email: tokens[0] };
+      tokens.slice(1).forEach(function(token) {
+        var eq = token.indexOf('=');
+        if (eq === -1) {
+          contact.timezone = token;
+        } else {
+          contact[token.slice(0, eq)] = token.slice(eq + 1).replace(/^"|"$/g, '');
+        }
+      });
+      return contact;
+    }
+
+    // Custom columns of a list (older lists have no fields array yet)
+    function getFieldsOf(list) {
+      var fields = (list.fields || []).slice();
+      list.emails.forEach(function(e) {
+        Object.keys(e).forEach(function(key) {
+          if (RESERVED_FIELDS.indexOf(key) === -1 && fields.indexOf(key) === -1) fields.push(key);
+        });
+      });
+      return fields;
+    }
+
+    function renderContactsTable() {
+      var columns = BUILT_IN_COLUMNS.concat(editingFields);
+      var head = '<tr>' + columns.map(function(col, i) {
+        var remove = i >= BUILT_IN_COLUMNS.length
+          ? ' <button class="btn danger" onclick="removeListField(' + (i - BUILT_IN_COLUMNS.length) + ')" title="Remove column">&times;</button>'
+          : '';
+        return '<th>' + escapeHtml(col) + remove + '</th>';
+      }).join('') + '<th></th></tr>';
+
+      var body = editingContacts.map(function(contact, row) {
+        var rowAttrs = '';
+        if (contact.unsubscribed) {
+          rowAttrs = ' class="unsubscribed" title="Unsubscribed"';
+        } else if (contact.validation && contact.validation.status !== 'valid') {
+          rowAttrs = ' class="' + contact.validation.status + '" title="' + escapeHtml(contact.validation.reasons.join(', ')) + '"';
+        }
+        return '<tr' + rowAttrs + '>' +
+          columns.map(function(col) {
+            var value = contact[col] === undefined ? '' : contact[col];
+            return '<td><input data-row="' + row + '" data-field="' + escapeHtml(col) + '" value="' + escapeHtml(String(value)) + '"' +
+              (col === 'email' ? ' placeholder="name@example.com"' : '') + '></td>';
+          }).join('') +
+          '<td><button class="btn danger" onclick="removeContactRow(' + row + ')" title="Remove contact">&times;</button></td>' +
+        '</tr>';
+      }).join('');
+
+      document.getElementById('contacts-table').innerHTML = '<thead>' + head + '</thead><tbody>' + body + '</tbody>';
+      document.getElementById('contacts-count').textContent = editingContacts.length + ' contact(s)';
+    }
+
+    // Keep editingContacts in sync with the table inputs
+    document.addEventListener('input', function(e) {
+      var row = e.target.getAttribute && e.target.getAttribute('data-row');
+      if (row === null || row === undefined) return;
+      editingContacts[parseInt(row, 10)][e.target.getAttribute('data-field')] = e.target.value.trim();
+    });
+
+    function addContactRow() {
+      editingContacts.push({ email: '' });
+      renderContactsTable();
+    }
+
+    function removeContactRow(row) {
+      editingContacts.splice(row, 1);
+      renderContactsTable();
+    }
+
+    function addListField() {
+      var input = document.getElementById('new-field-name');
+      var field = input.value.trim();
+      if (!/^[a-z][a-zA-Z0-9_]*$/.test(field)) {
+        alert('Column names start with a lowercase letter and contain only letters, digits and _ (e.g. shop, district)');
+        return;
+      }
+      if (RESERVED_FIELDS.indexOf(field) !== -1 || editingFields.indexOf(field) !== -1) {
+        alert('Column "' + field + '" already exists');
+        return;
+      }
+      editingFields.push(field);
+      input.value = '';
+      renderContactsTable();
+    }
+
+    function removeListField(index) {
+      var field = editingFields[index];
+      if (!confirm('Remove column "' + field + '" and its values?')) return;
+      editingFields.splice(index, 1);
+      editingContacts.forEach(function(contact) { delete contact[field]; });
+      renderContactsTable();
+    }
+
+    // Add pasted lines to the table (existing addresses are updated)
+    function bulkAddContacts() {
+      var textarea = document.getElementById('list-emails');
+      textarea.value.split(/\\n/).forEach(function(line) {
+        var entries = line.indexOf('=') === -1 ? line.split(',') : [line];
+        entries.forEach(function(entry) {
+          var contact = parseContactLine(entry.trim());
+          if (!contact) return;
+          Object.keys(contact).forEach(function(key) {
+            if (RESERVED_FIELDS.indexOf(key) === -1 && editingFields.indexOf(key) === -1) editingFields.push(key);
+          });
+          var existing = editingContacts.find(function(c) { return c.email.toLowerCase() === contact.email.toLowerCase(); });
+          if (existing) {
+            Object.assign(existing, contact);
+          } else {
+            editingContacts.push(contact);
+          }
+        });
+      });
+      textarea.value = '';
+      renderContactsTable();
+    }
+
+    async function saveList() {
+      var id = document.getElementById('list-id').value;
+      var name = document.getElementById('list-name').value;
+
+      if (!name) {
+        alert('Please enter a list name');
+        return;
+      }
+
+      // Include anything still in the bulk-add box
+      bulkAddContacts();
+
+      // Drop empty rows and empty values
+      var emails = editingContacts
+        .filter(function(c) { return c.email; })
+        .map(function(c) {
+          var contact = {};
+          Object.keys(c).forEach(function(key) {
+            if (c[key] !== '' && c[key] !== undefined) contact[key] = c[key];
+          });
+          return contact;
+        });
+
+      // Show the address check and let the user fix problems before saving
+      const check = await (await fetch('/api/lists/validate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ emails: emails })
+      })).json();
+      renderListValidation(check.report);
+      editingContacts = check.contacts;
+      renderContactsTable();
+      var r = check.report;
+      if ((r.invalid.length || r.risky.length || r.duplicates.length) &&
+          !confirm(r.invalid.length + ' invalid (skipped when sending), ' + r.risky.length + ' risky, ' +
+            r.duplicates.length + ' duplicate(s) removed. Save anyway?')) {
+        return;
+      }
+
+      var url = id ? '/api/lists/' + id : '/api/lists';
+      var method = id ? 'PUT' : 'POST';
+
+      const res = await fetch(url, {
+        method: method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name, topic: document.getElementById('list-topic').value, fields: editingFields, emails: emails })
+      });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+
+      clearListForm();
+      loadLists();
+    }
+
+    function renderListValidation(report) {
+      var el = document.getElementById('list-validation');
+      var details = function(title, items, format) {
+        if (items.length === 0) return '';
+        return '<details style="margin-top:5px"><summary>' + title + ' (' + items.length + ')</summary><ul style="margin-left:20px;font-size:13px">' +
+          items.map(function(item) { return '<li>' + escapeHtml(format(item)) + '</li>'; }).join('') + '</ul></details>';
+      };
+      var withReasons = function(c) { return c.email + ' - ' + c.reasons.join(', '); };
+      el.style.display = 'block';
+      el.innerHTML = '<p><strong>' + report.valid + '</strong> of ' + report.total + ' address(es) look fine.</p>' +
+        details('Invalid - skipped when sending', report.invalid, withReasons) +
+        details('Risky - role accounts and disposable domains', report.risky, withReasons) +
+        details('Duplicates removed', report.duplicates, function(email) { return email; }) +
+        details('Normalised', report.normalized, function(n) { return n.from.trim() + ' -> ' + n.to; });
+    }
+
+    async function editList(id) {
+      const res = await fetch('/api/lists');
+      const lists = await res.json();
+      const l = lists.find(function(l) { return l.id === id; });
+      if (!l) return;
+
+      document.getElementById('list-id').value = l.id;
+      document.getElementById('list-name').value = l.name;
+      document.getElementById('list-topic').value = l.topic || '';
+      document.getElementById('list-emails').value = '';
+      document.getElementById('list-validation').style.display = 'none';
+      editingFields = getFieldsOf(l);
+      editingContacts = l.emails.map(function(e) { return Object.assign({}, e); });
+      renderContactsTable();
+
+      document.querySelector('[data-tab="lists"]').click();
+    }
+
+    // ========== List Import ==========
+    var importMapping = null; // column targets from the last preview
+
+    function toggleImportName() {
+      document.getElementById('import-name-group').style.display =
+        document.getElementById('import-target').value ? 'none' : 'block';
+      if (importMapping) previewImport();
+    }
+
+    function getImportForm() {
+      var file = document.getElementById('import-file').files[0];
+      if (!file) {
+        alert('Choose a CSV or XLSX file');
+        return null;
+      }
+      var form = new FormData();
+      form.append('file', file);
+      form.append('listId', document.getElementById('import-target').value);
+      form.append('name', document.getElementById('import-name').value);
+      if (importMapping) form.append('mapping', JSON.stringify(readImportMapping()));
+      return form;
+    }
+
+    function readImportMapping() {
+      return importMapping.map(function(target, i) {
+        var input = document.querySelector('[data-import-col="' + i + '"]');
+        return input ? input.value.trim() : target;
+      });
+    }
+
+    async function previewImport() {
+      var form = getImportForm();
+      if (!form) return;
+
+      const res = await fetch('/api/lists/import/preview', { method: 'POST', body: form });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+      importMapping = data.mapping;
+      renderImportPreview(data);
+    }
+
+    function renderImportPreview(data) {
+      var html = '<p style="font-size:12px;color:#6b7280;margin-bottom:5px">Map each column to <code>email</code>, <code>timezone</code> or a field name (empty = ignore).</p>' +
+        '<div class="contacts-table-wrap"><table class="contacts-table"><thead><tr>' +
+        data.headers.map(function(h) { return '<th>' + escapeHtml(h) + '</th>'; }).join('') +
+        '</tr><tr>' +
+        data.mapping.map(function(target, i) {
+          return '<th><input data-import-col="' + i + '" value="' + escapeHtml(target) + '" placeholder="ignore" style="border:1px solid #d1d5db"></th>';
+        }).join('') +
+        '</tr></thead><tbody>' +
+        data.sampleRows.map(function(row) {
+          return '<tr>' + data.headers.map(function(h, i) {
+            return '<td style="padding:5px">' + escapeHtml(row[i] || '') + '</td>';
+          }).join('') + '</tr>';
+        }).join('') +
+        '</tbody></table></div>';
+
+      if (data.mappingError) {
+        html += '<p style="color:#991b1b;margin-top:10px">' + escapeHtml(data.mappingError) + '</p>';
+      } else {
+        html += renderImportReport(data.report);
+      }
+      html += '<div class="btn-group" style="margin-top:10px">' +
+        '<button class="btn secondary" onclick="previewImport()">Update Preview</button>' +
+        (data.mappingError ? '' : '<button class="btn" onclick="runImport()">Import ' + data.report.importable + ' Contact(s)</button>') +
+        '</div>';
+      document.getElementById('import-preview').innerHTML = html;
+    }
+
+    function renderImportReport(report) {
+      var details = function(title, items, format) {
+        if (items.length === 0) return '';
+        return '<details style="margin-top:5px"><summary>' + title + ' (' + items.length + ')</summary><ul style="margin-left:20px;font-size:13px">' +
+          items.map(function(item) { return '<li>' + escapeHtml(format(item)) + '</li>'; }).join('') + '</ul></details>';
+      };
+      return '<div style="margin-top:10px;font-size:14px">' +
+        '<p><strong>' + report.importable + '</strong> of ' + report.totalRows + ' row(s) can be imported' +
+          (report.alreadyOnList.length ? ' (' + report.newContacts + ' new, ' + report.alreadyOnList.length + ' updated)' : '') + '.</p>' +
+        details('Invalid rows', report.invalid, function(r) { return 'Row ' + r.row + ': ' + (r.email || '-') + ' - ' + r.reason; }) +
+        details('Duplicates in file', report.duplicates, function(r) { return 'Row ' + r.row + ': ' + r.email + ' (same as row ' + r.firstRow + ')'; }) +
+        details('No mail server - imported but skipped when sending', report.undeliverable, function(r) { return r.email + ' - ' + r.reasons.join(', '); }) +
+        details('Risky - role accounts and disposable domains', report.risky, function(r) { return r.email + ' - ' + r.reasons.join(', '); }) +
+        details('Already on other lists', report.onOtherLists, function(r) { return r.email + ' - ' + r.lists.join(', '); }) +
+        details('Already on this list (updated)', report.alreadyOnList, function(email) { return email; }) +
+      '</div>';
+    }
+
+    async function runImport() {
+      var form = getImportForm();
+      if (!form) return;
+
+      const res = await fetch('/api/lists/import', { method: 'POST', body: form });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+
+      alert('Imported ' + data.report.importable + ' contact(s) into "' + data.list.name + '"');
+      importMapping = null;
+      document.getElementById('import-file').value = '';
+      document.getElementById('import-name').value = '';
+      document.getElementById('import-preview').innerHTML = '';
+      loadLists();
+    }
+
+    async function deleteList(id) {
+      if (!confirm('Delete this list?')) return;
+      await fetch('/api/lists/' + id, { method: 'DELETE' });
+      loadLists();
+    }
+
+    function clearListForm() {
+      document.getElementById('list-id').value = '';
+      document.getElementById('list-name').value = '';
+      document.getElementById('list-topic').value = '';
+      document.getElementById('list-emails').value = '';
+      document.getElementById('list-validation').style.display = 'none';
+      editingFields = [];
+      editingContacts = [];
+      renderContactsTable();
+    }
+
+    // ========== Send Campaign ==========
+    async function previewCampaign() {
+      var templateId = document.getElementById('send-template').value;
+      if (!templateId) {
+        alert('Select a template first');
+        return;
+      }
+
+      const res = await fetch('/api/templates');
+      const templates = await res.json();
+      const t = templates.find(function(t) { return t.id === templateId; });
+
+      if (t) {
+        const previewRes = await fetch('/api/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            content: t.content,
+            contentType: t.contentType,
+            subject: t.subject,
+            optOutLang: t.optOutLang || '',
+            listId: document.getElementById('send-list').value,
+            contactEmail: document.getElementById('preview-contact').value
+          })
+        });
+        const data = await previewRes.json();
+        if (data.error) {
+          document.getElementById('campaign-preview').innerHTML =
+            '<p style="color:#991b1b;background:#fee2e2;padding:8px;border-radius:4px">Template error - ' + escapeHtml(data.error) + '</p>';
+          return;
+        }
+        var missingHtml = data.missingFields && data.missingFields.length > 0
+          ? '<p style="color:#92400e;background:#fef3c7;padding:8px;border-radius:4px;margin-bottom:10px">' +
+            'Not set for this contact (fallback used): ' + data.missingFields.map(escapeHtml).join(', ') + '</p>'
+          : '';
+        document.getElementById('campaign-preview').innerHTML = missingHtml + data.html;
+      }
+    }
+
+    async function dryRunCampaign() {
+      var templateId = document.getElementById('send-template').value;
+      var listId = document.getElementById('send-list').value;
+      var segmentId = document.getElementById('send-segment').value;
+      var testEmail = document.getElementById('test-email').value;
+      if (!templateId || (!listId && !segmentId && !testEmail)) {
+        alert('Select a template and an email list or segment (or test email)');
+        return;
+      }
+
+      const res = await fetch('/api/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          templateId: templateId,
+          listId: listId,
+          segmentId: segmentId,
+          testEmail: testEmail,
+          sendingWindow: getSendingWindowForm(),
+          deliveryMode: document.getElementById('delivery-mode').value,
+          abTest: getAbTestForm(),
+          dryRun: true
+        })
+      });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+
+      document.getElementById('campaign-preview').innerHTML =
+        '<h3>Dry run</h3>' +
+        '<p>' + escapeHtml(data.message) + '</p>' +
+        '<h4 style="margin-top:15px">Would send (' + data.wouldSendCount + ')</h4>' +
+        '<ul>' + data.wouldSend.map(function(r) {
+          return '<li>' + escapeHtml(r.email) + ' - ' + (r.variant ? '[' + r.variant + '] ' : '') + escapeHtml(r.subject) + ' <span style="color:#6b7280">(' + escapeHtml(r.file) + ')</span></li>';
+        }).join('') + '</ul>' +
+        '<h4 style="margin-top:15px">Skipped (' + data.skippedCount + ')</h4>' +
+        '<ul>' + data.skipped.map(function(r) {
+          return '<li>' + escapeHtml(r.email) + ' - ' + escapeHtml(r.reason) + '</li>';
+        }).join('') + '</ul>';
+    }
+
+    async function sendCampaign() {
+      var templateId = document.getElementById('send-template').value;
+      var listId = document.getElementById('send-list').value;
+      var segmentId = document.getElementById('send-segment').value;
+      var testEmail = document.getElementById('test-email').value;
+
+      if (!templateId) {
+        alert('Select a template');
+        return;
+      }
+
+      if (!listId && !segmentId && !testEmail) {
+        alert('Select an email list or segment, or enter a test email');
+        return;
+      }
+
+      var body = {
+        templateId: templateId,
+        listId: listId,
+        segmentId: segmentId,
+        testEmail: testEmail,
+        sendingWindow: getSendingWindowForm(),
+        deliveryMode: document.getElementById('delivery-mode').value,
+        abTest: getAbTestForm()
+      };
+      var scheduled = document.getElementById('schedule-enabled').checked;
+      if (scheduled) {
+        body.scheduleAt = document.getElementById('schedule-at').value;
+        body.timezone = document.getElementById('schedule-timezone').value;
+        if (!body.scheduleAt) {
+          alert('Pick a date and time for the schedule');
+          return;
+        }
+      }
+
+      // Editing an existing scheduled campaign
+      var editingId = document.getElementById('editing-campaign-id').value;
+      if (editingId) {
+        const editRes = await fetch('/api/campaigns/' + editingId, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const edited = await editRes.json();
+        if (edited.error) {
+          alert('Failed: ' + edited.error);
+          return;
+        }
+        resetSendForm();
+        loadCampaigns();
+        return;
+      }
+
+      var confirmMsg = testEmail ?
+        'Send test email to ' + testEmail + '?' :
+        'Send campaign to the selected ' + (segmentId ? 'segment' : 'list') + '?';
+      if (scheduled) {
+        confirmMsg = 'Schedule this campaign for ' + body.scheduleAt.replace('T', ' ') + ' (' + body.timezone + ')?';
+      }
+      if (!confirm(confirmMsg)) {
+        return;
+      }
+
+      var progressEl = document.getElementById('send-progress');
+      progressEl.style.display = 'block';
+      document.getElementById('progress-fill').style.width = '0%';
+      document.getElementById('progress-text').textContent = 'Starting...';
+
+      const res = await fetch('/api/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      const data = await res.json();
+      if (!data.success) {
+        alert('Failed: ' + data.error);
+        progressEl.style.display = 'none';
+        return;
+      }
+      document.getElementById('progress-text').textContent = data.message;
+      loadCampaigns();
+    }
+
+    // ========== A/B Tests ==========
+    var AB_METRICS = ${JSON.stringify(AB_METRICS)};
+    var AB_VARIANT_IDS = ['B', 'C', 'D', 'E']; // the selected template is variant A
+    var abVariants = []; // template IDs of variants B, C ...
+
+    function toggleAbTest() {
+      var enabled = document.getElementById('ab-enabled').checked;
+      document.getElementById('ab-fields').style.display = enabled ? 'block' : 'none';
+      if (enabled && abVariants.length === 0) abVariants.push('');
+      renderAbVariants();
+    }
+
+    function renderAbVariants() {
+      var metric = document.getElementById('ab-metric');
+      if (!metric.innerHTML) {
+        metric.innerHTML = AB_METRICS.map(function(m) { return '<option value="' + m + '">' + m + '</option>'; }).join('');
+      }
+      var options = '<option value="">-- Select a template --</option>' + templatesCache.map(function(t) {
+        return '<option value="' + t.id + '">' + escapeHtml(t.name) + '</option>';
+      }).join('');
+      document.getElementById('ab-variants').innerHTML = abVariants.map(function(templateId, i) {
+        return '<div style="display:flex;gap:8px;align-items:center;margin-bottom:8px">' +
+          '<span style="width:75px">Variant ' + AB_VARIANT_IDS[i] + '</span>' +
+          '<select id="ab-variant-' + i + '" onchange="abVariants[' + i + '] = this.value" style="flex:1">' + options + '</select>' +
+          '<button class="btn danger" style="padding:5px 10px" onclick="abVariants.splice(' + i + ', 1); renderAbVariants()">x</button>' +
+        '</div>';
+      }).join('');
+      abVariants.forEach(function(templateId, i) {
+        document.getElementById('ab-variant-' + i).value = templateId;
+      });
+    }
+
+    function addAbVariant() {
+      if (abVariants.length >= AB_VARIANT_IDS.length) return;
+      abVariants.push('');
+      renderAbVariants();
+    }
+
+    function getAbTestForm() {
+      if (!document.getElementById('ab-enabled').checked) return null;
+      return {
+        templateIds: abVariants,
+        testPercent: Number(document.getElementById('ab-test-percent').value),
+        metric: document.getElementById('ab-metric').value,
+        windowHours: Number(document.getElementById('ab-window-hours').value)
+      };
+    }
+
+    function setAbTestForm(abTest) {
+      document.getElementById('ab-enabled').checked = !!abTest;
+      abVariants = abTest ? abTest.variants.slice(1).map(function(v) { return v.templateId; }) : [];
+      if (abTest) {
+        document.getElementById('ab-test-percent').value = abTest.testPercent;
+        document.getElementById('ab-window-hours').value = abTest.windowHours;
+      }
+      toggleAbTest();
+      if (abTest) document.getElementById('ab-metric').value = abTest.metric;
+    }
+
+    // One line about where an A/B test stands, for the campaigns list
+    function describeAbTest(abTest) {
+      var names = abTest.variants.map(function(v) { return v.id + ': ' + v.templateName; }).join(', ');
+      if (abTest.phase === 'testing') return 'A/B test (' + names + ') - sending the ' + abTest.testPercent + '% test slice';
+      if (abTest.phase === 'waiting') return 'A/B test (' + names + ') - winner by ' + abTest.metric + ' chosen ' + new Date(abTest.testEndsAt).toLocaleString();
+      return 'A/B winner: variant ' + abTest.winner + ' (' + abTest.variants.map(function(v) {
+        var r = abTest.results[v.id];
+        return v.id + ' ' + Math.round(r.rate * 1000) / 10 + '% of ' + r.sent;
+      }).join(', ') + ' by ' + abTest.metric + ')';
+    }
+
+    // ========== Scheduling & Sending Window ==========
+    var DEFAULT_SENDING_WINDOW = ${JSON.stringify(DEFAULT_SENDING_WINDOW)};
+    var DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    function loadTimezones() {
+      var zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : ['Europe/Berlin', 'UTC'];
+      var options = zones.map(function(tz) {
+        return '<option value="' + tz + '">' + tz + '</option>';
+      }).join('');
+      document.getElementById('schedule-timezone').innerHTML = options;
+      document.getElementById('window-timezone').innerHTML = options;
+      document.getElementById('schedule-timezone').value = DEFAULT_SENDING_WINDOW.timezone;
+
+      // Weekday checkboxes (Monday first) and hour selects
+      document.getElementById('window-days').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(function(d) {
+        return '<label style="display:flex;align-items:center;gap:4px;font-weight:normal">' +
+          '<input type="checkbox" value="' + d + '" style="width:auto"> ' + DAY_NAMES[d] + '</label>';
+      }).join('');
+      var hours = [];
+      for (var h = 0; h <= 24; h++) hours.push(h);
+      document.getElementById('window-start').innerHTML = hours.slice(0, 24).map(function(h) {
+        return '<option value="' + h + '">' + String(h).padStart(2, '0') + ':00</option>';
+      }).join('');
+      document.getElementById('window-end').innerHTML = hours.slice(1).map(function(h) {
+        return '<option value="' + h + '">' + String(h).padStart(2, '0') + ':00</option>';
+      }).join('');
+      setSendingWindowForm(DEFAULT_SENDING_WINDOW);
+    }
+
+    function setSendingWindowForm(w) {
+      document.querySelectorAll('#window-days input').forEach(function(cb) {
+        cb.checked = w.days.indexOf(parseInt(cb.value, 10)) !== -1;
+      });
+      document.getElementById('window-start').value = w.startHour;
+      document.getElementById('window-end').value = w.endHour;
+      document.getElementById('window-timezone').value = w.timezone;
+      document.getElementById('window-excluded').value = (w.excludedDates || []).join(', ');
+    }
+
+    function getSendingWindowForm() {
+      var days = [];
+      document.querySelectorAll('#window-days input:checked').forEach(function(cb) {
+        days.push(parseInt(cb.value, 10));
+      });
+      return {
+        days: days,
+        startHour: parseInt(document.getElementById('window-start').value, 10),
+        endHour: parseInt(document.getElementById('window-end').value, 10),
+        timezone: document.getElementById('window-timezone').value,
+        excludedDates: document.getElementById('window-excluded').value
+          .split(/[\s,]+/)
+          .filter(function(d) { return d; })
+      };
+    }
+
+    function toggleSchedule() {
+      var enabled = document.getElementById('schedule-enabled').checked;
+      document.getElementById('schedule-fields').style.display = enabled ? 'flex' : 'none';
+      if (!document.getElementById('editing-campaign-id').value) {
+        document.getElementById('send-button').textContent = enabled ? 'Schedule Campaign' : 'Send Campaign';
+      }
+    }
+
+    function editScheduledCampaign(campaignId) {
+      var c = campaignsCache.find(function(c) { return c.campaignId === campaignId; });
+      if (!c || !c.scheduledFor) return;
+
+      document.getElementById('editing-campaign-id').value = c.campaignId;
+      document.getElementById('send-template').value = c.templateId;
+      document.getElementById('send-list').value = c.listId || '';
+      document.getElementById('send-segment').value = c.segmentId || '';
+      document.getElementById('test-email').value = c.testEmail || '';
+      document.getElementById('schedule-enabled').checked = true;
+      document.getElementById('schedule-at').value = c.scheduledFor.localTime;
+      document.getElementById('schedule-timezone').value = c.scheduledFor.timezone;
+      setSendingWindowForm(c.sendingWindow || DEFAULT_SENDING_WINDOW);
+      document.getElementById('delivery-mode').value = c.deliveryMode || 'campaign';
+      setAbTestForm(c.abTest);
+      toggleSchedule();
+      document.getElementById('send-button').textContent = 'Save Schedule';
+      document.getElementById('cancel-edit-button').style.display = 'block';
+    }
+
+    function resetSendForm() {
+      document.getElementById('editing-campaign-id').value = '';
+      document.getElementById('schedule-enabled').checked = false;
+      document.getElementById('schedule-at').value = '';
+      document.getElementById('cancel-edit-button').style.display = 'none';
+      setSendingWindowForm(DEFAULT_SENDING_WINDOW);
+      document.getElementById('delivery-mode').value = 'campaign';
+      setAbTestForm(null);
+      toggleSchedule();
+    }
+
+    // ========== Contacts ==========
+    var contactsCache = [];
+
+    async function loadContacts() {
+      const res = await fetch('/api/contacts');
+      contactsCache = await res.json();
+      renderContacts();
+    }
+
+    function renderContacts() {
+      var search = document.getElementById('contact-search').value.trim().toLowerCase();
+      var matches = contactsCache.filter(function(c) {
+        if (!search) return true;
+        var text = Object.keys(c).filter(function(key) { return key !== 'history'; }).map(function(key) {
+          return typeof c[key] === 'object' ? JSON.stringify(c[key]) : String(c[key]);
+        }).join(' ');
+        return text.toLowerCase().indexOf(search) !== -1;
+      });
+      document.getElementById('all-contacts-count').textContent = '(' + contactsCache.length + ')';
+
+      var el = document.getElementById('contacts-list');
+      if (matches.length === 0) {
+        el.innerHTML = '<p style="color:#6b7280">' + (search ? 'No matches' : 'No contacts yet - create a list or import one') + '</p>';
+        return;
+      }
+      el.innerHTML = matches.slice(0, 200).map(function(c) {
+        var badges = [];
+        if (c.suppression) badges.push('<span style="color:#dc2626">suppressed (' + escapeHtml(c.suppression.reason) + ')</span>');
+        else if (c.unsubscribed) badges.push('<span style="color:#dc2626">unsubscribed</span>');
+        if (c.pausedUntil && new Date(c.pausedUntil) > new Date()) {
+          badges.push('<span style="color:#d97706">paused until ' + new Date(c.pausedUntil).toLocaleDateString() + '</span>');
+        }
+        if (c.validation && c.validation.status !== 'valid') {
+          badges.push('<span style="color:' + (c.validation.status === 'invalid' ? '#dc2626' : '#d97706') + '">' +
+            c.validation.status + ': ' + escapeHtml(c.validation.reasons.join(', ')) + '</span>');
+        }
+        var fields = Object.keys(c).filter(function(key) {
+          return RESERVED_FIELDS.indexOf(key) === -1 && ['lists', 'suppression'].indexOf(key) === -1;
+        });
+        var history = (c.history || []).slice().reverse();
+        return '<div class="list-item" style="display:block">' +
+          '<strong>' + escapeHtml(c.email) + '</strong>' +
+          '<div class="meta">' + (c.lists.length ? 'Lists: ' + escapeHtml(c.lists.join(', ')) : 'On no list') +
+            (c.timezone ? ' | ' + escapeHtml(c.timezone) : '') +
+            (badges.length ? ' | ' + badges.join(' | ') : '') +
+            (fields.length ? '<br>' + fields.map(function(key) {
+              return escapeHtml(key) + ': ' + escapeHtml(Array.isArray(c[key]) ? c[key].join(', ') : String(c[key]));
+            }).join(' | ') : '') +
+          '</div>' +
+          '<div style="display:flex;gap:10px;margin-top:8px">' +
+            '<input type="text" id="contact-notes-' + c.id + '" value="' + escapeHtml(c.notes || '') + '" placeholder="Notes" style="flex:1;padding:6px;border:1px solid #d1d5db;border-radius:4px">' +
+            '<button class="btn secondary" onclick="saveContactNotes(\\''+c.id+'\\')">Save Notes</button>' +
+          '</div>' +
+          (history.length
+            ? '<details style="margin-top:5px;font-size:13px"><summary>History (' + history.length + ')</summary><ul style="margin-left:20px">' +
+                history.map(function(h) {
+                  return '<li>' + new Date(h.at).toLocaleString() + ' - ' + escapeHtml(h.type) +
+                    (h.error ? ': ' + escapeHtml(h.error) : '') + (h.note ? ': ' + escapeHtml(h.note) : '') + '</li>';
+                }).join('') + '</ul></details>'
+            : '') +
+        '</div>';
+      }).join('') + (matches.length > 200 ? '<p style="color:#6b7280">Showing 200 of ' + matches.length + ' - search to narrow down</p>' : '');
+    }
+
+    async function saveContactNotes(id) {
+      const res = await fetch('/api/contacts/' + id, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ notes: document.getElementById('contact-notes-' + id).value })
+      });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+      var cached = contactsCache.find(function(c) { return c.id === id; });
+      if (cached) cached.notes = data.notes;
+    }
+
+    // ========== Segments ==========
+    var segmentsCache = [];
+    var segmentRules = []; // rules of the segment being edited
+    var SEGMENT_RULE_TYPES = {
+      list: 'Is on list',
+      field: 'Field',
+      opened: 'Opened campaign',
+      clicked: 'Clicked in campaign',
+      emailed_within: 'Was emailed in the last'
+    };
+
+    async function loadSegments() {
+      const res = await fetch('/api/segments');
+      segmentsCache = await res.json();
+
+      var listEl = document.getElementById('segments-list');
+      listEl.innerHTML = segmentsCache.length === 0
+        ? '<p style="color:#6b7280">No segments yet. Combine lists, fields and opens/clicks into a target.</p>'
+        : segmentsCache.map(function(seg) {
+          return '<div class="list-item">' +
+            '<div class="info">' +
+              '<strong>' + escapeHtml(seg.name) + '</strong>' +
+              '<div class="meta">' + escapeHtml(describeSegment(seg)) + '</div>' +
+              '<div class="meta" id="segment-count-' + seg.id + '"></div>' +
+            '</div>' +
+            '<div class="actions">' +
+              '<button class="btn secondary" onclick="countSegment(\\''+seg.id+'\\')">Count</button>' +
+              '<button class="btn secondary" onclick="editSegment(\\''+seg.id+'\\')">Edit</button>' +
+              '<button class="btn danger" onclick="deleteSegment(\\''+seg.id+'\\')">Delete</button>' +
+            '</div>' +
+          '</div>';
+        }).join('');
+
+      var select = document.getElementById('send-segment');
+      var selected = select.value;
+      select.innerHTML = '<option value="">-- Select a segment --</option>' + segmentsCache.map(function(seg) {
+        return '<option value="' + seg.id + '">' + escapeHtml(seg.name) + '</option>';
+      }).join('');
+      select.value = selected;
+      renderSegmentRules(); // list options may have changed
+      renderSequenceForm();
+    }
+
+    function describeCampaignRef(campaignId) {
+      if (campaignId === 'last') return 'the last campaign';
+      var c = campaignsCache.find(function(c) { return c.campaignId === campaignId; });
+      return c ? '"' + c.templateName + '"' : 'an earlier campaign';
+    }
+
+    function describeSegment(seg) {
+      return seg.rules.map(function(r) {
+        var text;
+        if (r.type === 'list') {
+          var list = listsCache.find(function(l) { return l.id === r.listId; });
+          text = 'on ' + (list ? list.name : 'a deleted list');
+        } else if (r.type === 'field') {
+          text = r.field + (r.operator === 'is_set' ? ' is set' : ' ' + r.operator.replace('_', ' ') + ' "' + r.value + '"');
+        } else if (r.type === 'opened' || r.type === 'clicked') {
+          text = r.type + ' ' + describeCampaignRef(r.campaignId);
+        } else {
+          text = 'emailed in the last ' + r.days + ' day(s)';
+        }
+        return (r.negate ? 'NOT ' : '') + text;
+      }).join(seg.match === 'any' ? ' OR ' : ' AND ');
+    }
+
+    function renderSegmentRules() {
+      var campaignOptions = '<option value="last">Last campaign</option>' + campaignsCache
+        .filter(function(c) { return !c.testEmail && c.startedAt; })
+        .map(function(c) {
+          return '<option value="' + c.campaignId + '">' + escapeHtml(c.templateName + ' (' + new Date(c.startedAt).toLocaleDateString() + ')') + '</option>';
+        }).join('');
+      var listOptions = '<option value="">-- Select a list --</option>' + listsCache.map(function(l) {
+        return '<option value="' + l.id + '">' + escapeHtml(l.name) + '</option>';
+      }).join('');
+
+      var el = document.getElementById('segment-rules');
+      if (segmentRules.length === 0) {
+        el.innerHTML = '<p style="color:#6b7280;font-size:13px;margin-bottom:8px">No rules yet</p>';
+        return;
+      }
+      el.innerHTML = segmentRules.map(function(r, i) {
+        var typeSelect = '<select onchange="setSegmentRule(' + i + ', \\'type\\', this.value)" style="flex:2">' +
+          Object.keys(SEGMENT_RULE_TYPES).map(function(type) {
+            return '<option value="' + type + '"' + (r.type === type ? ' selected' : '') + '>' + SEGMENT_RULE_TYPES[type] + '</option>';
+          }).join('') + '</select>';
+        var params;
+        if (r.type === 'list') {
+          params = '<select id="segment-rule-list-' + i + '" onchange="setSegmentRule(' + i + ', \\'listId\\', this.value)" style="flex:3">' + listOptions + '</select>';
+        } else if (r.type === 'field') {
+          params = '<input type="text" value="' + escapeHtml(r.field || '') + '" placeholder="field, e.g. district" onchange="setSegmentRule(' + i + ', \\'field\\', this.value)" style="flex:2">' +
+            '<select onchange="setSegmentRule(' + i + ', \\'operator\\', this.value)" style="flex:1">' +
+              ['equals', 'contains', 'is_set'].map(function(op) {
+                return '<option value="' + op + '"' + (r.operator === op ? ' selected' : '') + '>' + op.replace('_', ' ') + '</option>';
+              }).join('') + '</select>' +
+            (r.operator === 'is_set' ? '' : '<input type="text" value="' + escapeHtml(r.value || '') + '" placeholder="value" onchange="setSegmentRule(' + i + ', \\'value\\', this.value)" style="flex:2">');
+        } else if (r.type === 'opened' || r.type === 'clicked') {
+          params = '<select id="segment-rule-campaign-' + i + '" onchange="setSegmentRule(' + i + ', \\'campaignId\\', this.value)" style="flex:3">' + campaignOptions + '</select>';
+        } else {
+          params = '<input type="number" min="1" value="' + (r.days || '') + '" onchange="setSegmentRule(' + i + ', \\'days\\', this.value)" style="flex:1"><span style="flex:2">day(s)</span>';
+        }
+        return '<div style="display:flex;gap:8px;align-items:center;margin-bottom:8px">' +
+          '<label style="display:flex;align-items:center;gap:4px;font-weight:normal;margin:0"><input type="checkbox" style="width:auto"' + (r.negate ? ' checked' : '') +
+            ' onchange="setSegmentRule(' + i + ', \\'negate\\', this.checked)"> not</label>' +
+          typeSelect + params +
+          '<button class="btn danger" style="padding:5px 10px" onclick="removeSegmentRule(' + i + ')">x</button>' +
+        '</div>';
+      }).join('');
+
+      segmentRules.forEach(function(r, i) {
+        if (r.type === 'list') document.getElementById('segment-rule-list-' + i).value = r.listId || '';
+        if (r.type === 'opened' || r.type === 'clicked') document.getElementById('segment-rule-campaign-' + i).value = r.campaignId || 'last';
+      });
+    }
+
+    function addSegmentRule() {
+      segmentRules.push({ type: 'list', negate: false });
+      renderSegmentRules();
+    }
 
-      var formData = new FormData();
-      formData.append('image', input.files[0]);
+    function removeSegmentRule(index) {
+      segmentRules.splice(index, 1);
+      renderSegmentRules();
+    }
 
-      try {
-        var res = await fetch('/api/upload', { method: 'POST', body: formData });
-        var data = await res.json();
-        if (data.success) {
-          // Show preview first
-          document.getElementById('existing-images').value = data.url;
-          document.getElementById('image-preview').src = data.url;
-          document.getElementById('image-preview-box').style.display = 'block';
-          loadExistingImages(); // Refresh the dropdown
-          insertImageTag(data.url);
-          alert('Image uploaded and inserted: ' + data.url);
-        } else {
-          alert('Upload failed: ' + (data.error || 'Unknown error'));
-        }
-      } catch (err) {
-        alert('Upload failed: ' + err.message);
+    function setSegmentRule(index, key, value) {
+      if (key === 'type') {
+        segmentRules[index] = { type: value, negate: segmentRules[index].negate, operator: 'equals', campaignId: 'last' };
+      } else {
+        segmentRules[index][key] = value;
       }
-      input.value = ''; // Reset file input
+      if (key === 'type' || key === 'operator') renderSegmentRules();
     }
 
-    function insertImageTag(url) {
-      var textarea = document.getElementById('template-content');
-      var widthSelect = document.getElementById('image-width');
-      var width = widthSelect.value;
-      var widthStyle = width === '100%' ? 'max-width:100%' : 'width:' + width + 'px;max-width:100%';
-      var imgTag = '<img src="' + url + '" alt="Email image" style="' + widthStyle + ';height:auto">';
+    function getSegmentForm() {
+      return {
+        name: document.getElementById('segment-name').value.trim(),
+        match: document.getElementById('segment-match').value,
+        rules: segmentRules
+      };
+    }
 
-      // Insert at cursor position or append
-      var start = textarea.selectionStart;
-      var end = textarea.selectionEnd;
-      var text = textarea.value;
-      textarea.value = text.substring(0, start) + imgTag + text.substring(end);
-      textarea.focus();
-      textarea.selectionStart = textarea.selectionEnd = start + imgTag.length;
+    function showSegmentCount(el, data) {
+      el.innerHTML = data.error
+        ? '<span style="color:#dc2626">' + escapeHtml(data.error) + '</span>'
+        : '<strong>' + data.count + '</strong> contact(s) right now, ' + data.sendable + ' can be emailed' +
+          (data.sample.length ? '<br><span style="color:#6b7280">' + escapeHtml(data.sample.join(', ')) + (data.count > data.sample.length ? ', ...' : '') + '</span>' : '');
     }
 
-    // ========== Email Lists ==========
-    async function loadLists() {
-      const res = await fetch('/api/lists');
-      const lists = await res.json();
+    async function previewSegment() {
+      var el = document.getElementById('segment-preview');
+      el.textContent = 'Counting...';
+      const res = await fetch('/api/segments/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getSegmentForm())
+      });
+      showSegmentCount(el, await res.json());
+    }
 
-      const listEl = document.getElementById('lists-list');
-      const select = document.getElementById('send-list');
+    async function countSegment(id) {
+      var el = document.getElementById('segment-count-' + id);
+      el.textContent = 'Counting...';
+      const res = await fetch('/api/segments/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ segmentId: id })
+      });
+      showSegmentCount(el, await res.json());
+    }
 
-      if (lists.length === 0) {
-        listEl.innerHTML = '<p style="color:#6b7280">No lists yet. Create one!</p>';
-      } else {
-        listEl.innerHTML = lists.map(function(l) {
-          var unsubCount = l.emails.filter(function(e) { return e.unsubscribed; }).length;
-          var unsubText = unsubCount > 0 ? ' | <span style="color:#dc2626">' + unsubCount + ' unsubscribed</span>' : '';
+    async function saveSegment() {
+      var id = document.getElementById('segment-id').value;
+      const res = await fetch(id ? '/api/segments/' + id : '/api/segments', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getSegmentForm())
+      });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+      clearSegmentForm();
+      loadSegments();
+    }
+
+    function editSegment(id) {
+      var seg = segmentsCache.find(function(s) { return s.id === id; });
+      if (!seg) return;
+      document.getElementById('segment-id').value = seg.id;
+      document.getElementById('segment-name').value = seg.name;
+      document.getElementById('segment-match').value = seg.match;
+      segmentRules = JSON.parse(JSON.stringify(seg.rules));
+      document.getElementById('segment-preview').innerHTML = '';
+      renderSegmentRules();
+    }
+
+    async function deleteSegment(id) {
+      if (!confirm('Delete this segment?')) return;
+      const res = await fetch('/api/segments/' + id, { method: 'DELETE' });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+      loadSegments();
+    }
+
+    function clearSegmentForm() {
+      document.getElementById('segment-id').value = '';
+      document.getElementById('segment-name').value = '';
+      document.getElementById('segment-match').value = 'all';
+      document.getElementById('segment-preview').innerHTML = '';
+      segmentRules = [];
+      renderSegmentRules();
+    }
+
+    // ========== Sequences ==========
+    var sequencesCache = [];
+    var sequenceSteps = []; // steps of the sequence being edited
+    var openSequenceId = null; // sequence whose progress is shown
+    var STOP_CONDITIONS = ${JSON.stringify(STOP_CONDITIONS)};
+
+    async function loadSequences() {
+      const res = await fetch('/api/sequences');
+      sequencesCache = await res.json();
+
+      var listEl = document.getElementById('sequences-list');
+      listEl.innerHTML = sequencesCache.length === 0
+        ? '<p style="color:#6b7280">No sequences yet. Combine a first mail and follow-ups into one.</p>'
+        : sequencesCache.map(function(seq) {
+          var statusColor = seq.status === 'active' ? '#16a34a' : (seq.status === 'paused' ? '#d97706' : '#6b7280');
+          var steps = seq.steps.map(function(step, i) {
+            var t = templatesCache.find(function(t) { return t.id === step.templateId; });
+            return (i === 0 ? '' : '+' + step.delayDays + 'd: ') + escapeHtml(t ? t.name : 'deleted template') + ' (' + seq.sentPerStep[i] + ' sent)';
+          }).join(' &rarr; ');
           return '<div class="list-item">' +
             '<div class="info">' +
-              '<strong>' + escapeHtml(l.name) + '</strong>' +
-              '<div class="meta">' + l.emails.length + ' email(s)' + unsubText + '</div>' +
+              '<strong>' + escapeHtml(seq.name) + '</strong> <span style="color:' + statusColor + ';font-size:12px">' + seq.status + '</span>' +
+              '<div class="meta">To ' + escapeHtml(seq.targetName) + ' | ' + seq.enrolledCount + ' enrolled: ' +
+                seq.counts.waiting + ' waiting, ' + seq.counts.sending + ' sending, ' + seq.counts.completed + ' completed, ' + seq.counts.stopped + ' stopped</div>' +
+              '<div class="meta">' + steps + '</div>' +
+              (seq.error ? '<div class="meta" style="color:#dc2626">' + escapeHtml(seq.error) + '</div>' : '') +
             '</div>' +
             '<div class="actions">' +
-              '<button class="btn secondary" onclick="editList(\\''+l.id+'\\')">Edit</button>' +
-              '<button class="btn danger" onclick="deleteList(\\''+l.id+'\\')">Delete</button>' +
+              (seq.status === 'active'
+                ? '<button class="btn secondary" onclick="pauseSequence(\\''+seq.id+'\\')">Pause</button>'
+                : '<button class="btn success" onclick="startSequence(\\''+seq.id+'\\')">' + (seq.startedAt ? 'Resume' : 'Start') + '</button>') +
+              (seq.status === 'active'
+                ? '<button class="btn secondary" title="Enroll contacts that joined the list or segment since" onclick="startSequence(\\''+seq.id+'\\')">Enroll New</button>'
+                : '') +
+              '<button class="btn secondary" onclick="showSequenceProgress(\\''+seq.id+'\\')">Progress</button>' +
+              '<button class="btn secondary" onclick="editSequence(\\''+seq.id+'\\')">Edit</button>' +
+              '<button class="btn danger" onclick="deleteSequence(\\''+seq.id+'\\')">Delete</button>' +
             '</div>' +
           '</div>';
         }).join('');
-      }
 
-      select.innerHTML = '<option value="">-- Select a list --</option>' +
-        lists.map(function(l) {
-          var activeCount = l.emails.filter(function(e) { return !e.unsubscribed; }).length;
-          return '<option value="' + l.id + '">' + escapeHtml(l.name) + ' (' + activeCount + ' active)</option>';
-        }).join('');
+      if (openSequenceId) showSequenceProgress(openSequenceId);
     }
 
-    async function saveList() {
-      var id = document.getElementById('list-id').value;
-      var name = document.getElementById('list-name').value;
-      var emailsRaw = document.getElementById('list-emails').value;
+    // Target, step and window options come from lists, segments and templates loaded elsewhere
+    function renderSequenceForm() {
+      var target = document.getElementById('sequence-target');
+      var selected = target.value;
+      target.innerHTML = '<option value="">-- Select a list or segment --</option>' +
+        '<optgroup label="Email Lists">' + listsCache.map(function(l) {
+          return '<option value="list:' + l.id + '">' + escapeHtml(l.name) + '</option>';
+        }).join('') + '</optgroup>' +
+        '<optgroup label="Segments">' + segmentsCache.map(function(seg) {
+          return '<option value="segment:' + seg.id + '">' + escapeHtml(seg.name) + '</option>';
+        }).join('') + '</optgroup>';
+      target.value = selected;
+
+      var stopOn = document.getElementById('sequence-stop-on');
+      if (!stopOn.innerHTML) {
+        stopOn.innerHTML = STOP_CONDITIONS.map(function(c) {
+          return '<label style="display:flex;align-items:center;gap:5px;font-weight:normal"><input type="checkbox" style="width:auto" id="sequence-stop-' + c + '" checked> ' + c + '</label>';
+        }).join('');
+        var hours = [];
+        for (var h = 0; h <= 24; h++) hours.push('<option value="' + h + '">' + String(h).padStart(2, '0') + ':00</option>');
+        document.getElementById('sequence-window-start').innerHTML = hours.slice(0, 24).join('');
+        document.getElementById('sequence-window-end').innerHTML = hours.slice(1).join('');
+        setSequenceWindow(DEFAULT_SENDING_WINDOW);
+      }
+      renderSequenceSteps();
+    }
 
-      // Parse emails (supports newlines and commas)
-      var emails = emailsRaw
-        .split(/[\\n,]+/)
-        .map(function(e) { return e.trim(); })
-        .filter(function(e) { return e && e.includes('@'); })
-        .map(function(email) { return { email: email }; });
+    function setSequenceWindow(win) {
+      document.getElementById('sequence-window-start').value = win.startHour;
+      document.getElementById('sequence-window-end').value = win.endHour;
+      document.getElementById('sequence-window-note').textContent = 'On ' +
+        win.days.map(function(d) { return DAY_NAMES[d]; }).join(', ') + ' (' + win.timezone + '). Steps wait outside the window like campaigns do.';
+      document.getElementById('sequence-window-note').dataset.window = JSON.stringify(win);
+    }
 
-      if (!name) {
-        alert('Please enter a list name');
+    function renderSequenceSteps() {
+      var templateOptions = '<option value="">-- Select a template --</option>' + templatesCache.map(function(t) {
+        return '<option value="' + t.id + '">' + escapeHtml(t.name) + '</option>';
+      }).join('');
+      var el = document.getElementById('sequence-steps');
+      if (sequenceSteps.length === 0) {
+        el.innerHTML = '<p style="color:#6b7280;font-size:13px;margin-bottom:8px">No steps yet</p>';
         return;
       }
-
-      var url = id ? '/api/lists/' + id : '/api/lists';
-      var method = id ? 'PUT' : 'POST';
-
-      await fetch(url, {
-        method: method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: name, emails: emails })
+      el.innerHTML = sequenceSteps.map(function(step, i) {
+        return '<div style="display:flex;gap:8px;align-items:center;margin-bottom:8px">' +
+          '<span style="width:55px">Step ' + (i + 1) + '</span>' +
+          (i === 0
+            ? '<span style="flex:1;font-size:13px;color:#6b7280">at start</span>'
+            : '<input type="number" min="1" value="' + (step.delayDays || '') + '" onchange="sequenceSteps[' + i + '].delayDays = this.value" style="flex:1" aria-label="Days after previous step"><span style="font-size:13px">days later</span>') +
+          '<select id="sequence-step-template-' + i + '" onchange="sequenceSteps[' + i + '].templateId = this.value" style="flex:3">' + templateOptions + '</select>' +
+          '<button class="btn danger" style="padding:5px 10px" onclick="removeSequenceStep(' + i + ')">x</button>' +
+        '</div>';
+      }).join('');
+      sequenceSteps.forEach(function(step, i) {
+        document.getElementById('sequence-step-template-' + i).value = step.templateId || '';
       });
+    }
 
-      clearListForm();
-      loadLists();
+    function addSequenceStep() {
+      sequenceSteps.push({ templateId: '', delayDays: sequenceSteps.length === 0 ? 0 : 3 });
+      renderSequenceSteps();
     }
 
-    async function editList(id) {
-      const res = await fetch('/api/lists');
-      const lists = await res.json();
-      const l = lists.find(function(l) { return l.id === id; });
-      if (!l) return;
+    function removeSequenceStep(index) {
+      sequenceSteps.splice(index, 1);
+      renderSequenceSteps();
+    }
 
-      document.getElementById('list-id').value = l.id;
-      document.getElementById('list-name').value = l.name;
-      document.getElementById('list-emails').value = l.emails.map(function(e) { return e.email; }).join('\\n');
+    async function saveSequence() {
+      var id = document.getElementById('sequence-id').value;
+      var target = document.getElementById('sequence-target').value.split(':');
+      var win = JSON.parse(document.getElementById('sequence-window-note').dataset.window);
+      win.startHour = Number(document.getElementById('sequence-window-start').value);
+      win.endHour = Number(document.getElementById('sequence-window-end').value);
 
-      document.querySelector('[data-tab="lists"]').click();
+      const res = await fetch(id ? '/api/sequences/' + id : '/api/sequences', {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: document.getElementById('sequence-name').value.trim(),
+          listId: target[0] === 'list' ? target[1] : null,
+          segmentId: target[0] === 'segment' ? target[1] : null,
+          steps: sequenceSteps,
+          stopOn: STOP_CONDITIONS.filter(function(c) { return document.getElementById('sequence-stop-' + c).checked; }),
+          sendingWindow: win
+        })
+      });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+      clearSequenceForm();
+      loadSequences();
     }
 
-    async function deleteList(id) {
-      if (!confirm('Delete this list?')) return;
-      await fetch('/api/lists/' + id, { method: 'DELETE' });
-      loadLists();
+    function editSequence(id) {
+      var seq = sequencesCache.find(function(s) { return s.id === id; });
+      if (!seq) return;
+      document.getElementById('sequence-id').value = seq.id;
+      document.getElementById('sequence-name').value = seq.name;
+      document.getElementById('sequence-target').value = seq.segmentId ? 'segment:' + seq.segmentId : 'list:' + seq.listId;
+      document.getElementById('sequence-target').disabled = !!seq.startedAt;
+      STOP_CONDITIONS.forEach(function(c) {
+        document.getElementById('sequence-stop-' + c).checked = seq.stopOn.indexOf(c) !== -1;
+      });
+      setSequenceWindow(seq.sendingWindow);
+      sequenceSteps = JSON.parse(JSON.stringify(seq.steps));
+      renderSequenceSteps();
     }
 
-    function clearListForm() {
-      document.getElementById('list-id').value = '';
-      document.getElementById('list-name').value = '';
-      document.getElementById('list-emails').value = '';
+    function clearSequenceForm() {
+      document.getElementById('sequence-id').value = '';
+      document.getElementById('sequence-name').value = '';
+      document.getElementById('sequence-target').value = '';
+      document.getElementById('sequence-target').disabled = false;
+      STOP_CONDITIONS.forEach(function(c) { document.getElementById('sequence-stop-' + c).checked = true; });
+      setSequenceWindow(DEFAULT_SENDING_WINDOW);
+      sequenceSteps = [];
+      renderSequenceSteps();
     }
 
-    // ========== Send Campaign ==========
-    async function previewCampaign() {
-      var templateId = document.getElementById('send-template').value;
-      if (!templateId) {
-        alert('Select a template first');
+    async function startSequence(id) {
+      var seq = sequencesCache.find(function(s) { return s.id === id; });
+      if (seq && !seq.startedAt && !confirm('Start "' + seq.name + '"? Step 1 is sent to ' + seq.targetName + ' right away (inside the sending window).')) return;
+      const res = await fetch('/api/sequences/' + id + '/start', { method: 'POST' });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
         return;
       }
+      alert(data.message);
+      loadSequences();
+    }
 
-      const res = await fetch('/api/templates');
-      const templates = await res.json();
-      const t = templates.find(function(t) { return t.id === templateId; });
+    async function pauseSequence(id) {
+      const res = await fetch('/api/sequences/' + id + '/pause', { method: 'POST' });
+      const data = await res.json();
+      if (data.error) alert('Failed: ' + data.error);
+      loadSequences();
+    }
 
-      if (t) {
-        const previewRes = await fetch('/api/preview', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ content: t.content, contentType: t.contentType, subject: t.subject, optOutLang: t.optOutLang || '' })
-        });
-        const data = await previewRes.json();
-        document.getElementById('campaign-preview').innerHTML = data.html;
+    async function deleteSequence(id) {
+      if (!confirm('Delete this sequence and its progress?')) return;
+      const res = await fetch('/api/sequences/' + id, { method: 'DELETE' });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
       }
+      if (openSequenceId === id) {
+        openSequenceId = null;
+        document.getElementById('sequence-progress').innerHTML = '';
+      }
+      loadSequences();
     }
 
-    async function sendCampaign() {
-      var templateId = document.getElementById('send-template').value;
-      var listId = document.getElementById('send-list').value;
-      var testEmail = document.getElementById('test-email').value;
-
-      if (!templateId) {
-        alert('Select a template');
+    // Where every enrolled contact is in the sequence
+    async function showSequenceProgress(id) {
+      openSequenceId = id;
+      const res = await fetch('/api/sequences/' + id);
+      const seq = await res.json();
+      var el = document.getElementById('sequence-progress');
+      if (seq.error) {
+        el.innerHTML = '';
         return;
       }
+      var rows = seq.contacts.map(function(e) {
+        var state = e.status === 'stopped' ? 'stopped: ' + e.stopReason : e.status;
+        var lastSent = e.sent.length ? new Date(e.sent[e.sent.length - 1].at).toLocaleString() : '';
+        var next = e.status === 'waiting' && e.nextAt ? new Date(e.nextAt).toLocaleString() : '';
+        return '<tr>' +
+          '<td>' + escapeHtml(e.email) + '</td>' +
+          '<td>' + e.sent.length + '/' + seq.steps.length + '</td>' +
+          '<td>' + escapeHtml(state) + '</td>' +
+          '<td>' + lastSent + '</td>' +
+          '<td>' + next + '</td>' +
+          '<td>' + (e.contactId && (e.status === 'waiting' || e.status === 'sending')
+            ? '<button class="btn secondary" onclick="markReplied(\\''+e.contactId+'\\')">Mark Replied</button>' : '') + '</td>' +
+        '</tr>';
+      }).join('');
+      el.innerHTML = '<h3 style="margin-bottom:10px">Progress: ' + escapeHtml(seq.name) + '</h3>' +
+        (seq.contacts.length === 0
+          ? '<p style="color:#6b7280">Nobody enrolled yet - start the sequence to enroll its contacts.</p>'
+          : '<div class="contacts-table-wrap"><table class="contacts-table">' +
+              '<tr><th>Email</th><th>Steps Sent</th><th>Status</th><th>Last Sent</th><th>Next Step</th><th></th></tr>' +
+              rows + '</table></div>');
+    }
 
-      if (!listId && !testEmail) {
-        alert('Select an email list or enter a test email');
+    async function markReplied(contactId) {
+      const res = await fetch('/api/contacts/' + contactId + '/replied', { method: 'POST' });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
         return;
       }
+      alert('Marked as replied - the contact leaves the sequence on the next scheduler run (within 30 seconds).');
+    }
 
-      var confirmMsg = testEmail ?
-        'Send test email to ' + testEmail + '?' :
-        'Send campaign to the selected list?';
-      if (!confirm(confirmMsg)) {
+    // ========== Suppressions ==========
+    var suppressionsCache = [];
+    var SUPPRESSION_REASON_LABELS = { manual: 'manual block', unsubscribe: 'unsubscribed', hard_bounce: 'hard bounce', complaint: 'complaint' };
+
+    async function loadSuppressions() {
+      const res = await fetch('/api/suppressions');
+      suppressionsCache = await res.json();
+      renderSuppressions();
+    }
+
+    function renderSuppressions() {
+      var search = document.getElementById('suppression-search').value.trim().toLowerCase();
+      var entries = suppressionsCache.filter(function(s) {
+        return !search || (s.value + ' ' + (s.note || '') + ' ' + (s.source || '')).toLowerCase().indexOf(search) !== -1;
+      });
+      document.getElementById('suppressions-count').textContent = '(' + suppressionsCache.length + ')';
+
+      var el = document.getElementById('suppressions-list');
+      if (entries.length === 0) {
+        el.innerHTML = '<p style="color:#6b7280">' + (search ? 'No matches' : 'Nothing suppressed yet') + '</p>';
         return;
       }
+      el.innerHTML = entries.slice(0, 500).map(function(s) {
+        return '<div class="list-item">' +
+          '<div class="info">' +
+            '<strong>' + escapeHtml(s.type === 'domain' ? '@' + s.value : s.value) + '</strong>' +
+            '<div class="meta">' + (SUPPRESSION_REASON_LABELS[s.reason] || s.reason) +
+              (s.type === 'domain' ? ' | whole domain' : '') +
+              ' | ' + new Date(s.createdAt).toLocaleString() +
+              (s.source ? ' | ' + escapeHtml(s.source) : '') +
+              (s.note ? '<br>' + escapeHtml(s.note) : '') + '</div>' +
+          '</div>' +
+          '<div class="actions">' +
+            '<button class="btn danger" onclick="removeSuppression(\\''+s.id+'\\')">Remove</button>' +
+          '</div>' +
+        '</div>';
+      }).join('') + (entries.length > 500 ? '<p style="color:#6b7280">Showing 500 of ' + entries.length + ' - search to narrow down</p>' : '');
+    }
 
-      var progressEl = document.getElementById('send-progress');
-      progressEl.style.display = 'block';
-      document.getElementById('progress-fill').style.width = '0%';
-      document.getElementById('progress-text').textContent = 'Starting...';
+    async function addSuppressions() {
+      var values = document.getElementById('suppression-values').value
+        .split(/[\\n,;]/).map(function(v) { return v.trim(); }).filter(Boolean);
+      if (values.length === 0) {
+        alert('Enter at least one address or domain');
+        return;
+      }
 
-      const res = await fetch('/api/send', {
+      const res = await fetch('/api/suppressions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ templateId: templateId, listId: listId, testEmail: testEmail })
+        body: JSON.stringify({
+          values: values,
+          reason: document.getElementById('suppression-reason').value,
+          note: document.getElementById('suppression-note').value.trim()
+        })
       });
+      const data = await res.json();
+      if (data.error) {
+        alert('Failed: ' + data.error);
+        return;
+      }
+      if (data.errors.length > 0) alert('Some entries were skipped:\\n' + data.errors.join('\\n'));
 
+      document.getElementById('suppression-values').value = '';
+      document.getElementById('suppression-note').value = '';
+      loadSuppressions();
+    }
+
+    async function importSuppressions() {
+      var file = document.getElementById('suppression-file').files[0];
+      if (!file) {
+        alert('Choose a CSV or XLSX file');
+        return;
+      }
+      var form = new FormData();
+      form.append('file', file);
+      form.append('reason', document.getElementById('suppression-reason').value);
+
+      const res = await fetch('/api/suppressions/import', { method: 'POST', body: form });
       const data = await res.json();
-      if (!data.success) {
+      if (data.error) {
         alert('Failed: ' + data.error);
-        progressEl.style.display = 'none';
+        return;
       }
+      alert('Added ' + data.added + ', already suppressed ' + data.existing +
+        (data.errors.length ? '\\n\\nSkipped:\\n' + data.errors.slice(0, 20).join('\\n') : ''));
+      document.getElementById('suppression-file').value = '';
+      loadSuppressions();
+    }
+
+    async function removeSuppression(id) {
+      if (!confirm('Remove this suppression? The address or domain can be emailed again.')) return;
+      await fetch('/api/suppressions/' + id, { method: 'DELETE' });
+      loadSuppressions();
+      loadLists();
     }
 
     // ========== Logs ==========
@@ -1804,6 +3878,11 @@ function getHTML() {
         container.innerHTML = logs.map(function(l) {
           var time = new Date(l.timestamp).toLocaleString();
           var errorHtml = l.error ? '<br><span style="color:#f87171">Error: ' + escapeHtml(l.error) + '</span>' : '';
+          var attemptsHtml = l.attempts && l.attempts.length > 1
+            ? '<br><span class="time">' + l.attempts.length + ' attempts: ' + l.attempts.map(function(a) {
+                return new Date(a.at).toLocaleTimeString() + ' ' + (a.status === 'sent' ? 'sent' : escapeHtml((a.responseCode || '') + ' ' + a.error));
+              }).join('; ') + '</span>'
+            : '';
           // Handle unsubscribe entries differently
           if (l.type === 'unsubscribe') {
             return '<div class="log-entry" style="color:#f59e0b;">' +
@@ -1814,12 +3893,30 @@ function getHTML() {
           return '<div class="log-entry ' + l.status + '">' +
             '<span class="time">' + time + '</span>' +
             '<strong>[' + l.status.toUpperCase() + ']</strong> ' + escapeHtml(l.email) + ' - ' + escapeHtml(l.subject || '') +
-            errorHtml +
+            errorHtml + attemptsHtml +
           '</div>';
         }).join('');
       }
     }
 
+    function exportLogs() {
+      var params = new URLSearchParams();
+      ['campaign', 'status', 'from', 'to'].forEach(function(name) {
+        var value = document.getElementById('log-' + name).value;
+        if (value) params.set(name === 'campaign' ? 'campaignId' : name, value);
+      });
+      window.location = '/api/logs/export?' + params.toString();
+    }
+
+    function exportCampaignReport() {
+      var campaignId = document.getElementById('log-campaign').value;
+      if (!campaignId) {
+        alert('Select a campaign first');
+        return;
+      }
+      window.location = '/api/campaigns/' + campaignId + '/report';
+    }
+
     async function clearLogs() {
       if (!confirm('Clear all logs?')) return;
       await fetch('/api/logs', { method: 'DELETE' });
@@ -1851,10 +3948,27 @@ function getHTML() {
       addLogEntry(data, 'failed');
     });
 
+    eventSource.addEventListener('skipped', function(e) {
+      var data = JSON.parse(e.data);
+      addLogEntry({ timestamp: new Date().toISOString(), email: data.email, subject: data.reason }, 'skipped');
+    });
+
+    eventSource.addEventListener('retrying', function(e) {
+      var data = JSON.parse(e.data);
+      data.error = data.error + ' (attempt ' + data.attempt + '/' + data.maxAttempts +
+        ', retrying at ' + new Date(data.retryAt).toLocaleTimeString() + ')';
+      addLogEntry(data, 'retrying');
+    });
+
     eventSource.addEventListener('waiting', function(e) {
       var data = JSON.parse(e.data);
-      document.getElementById('progress-text').textContent =
-        'Waiting ' + data.seconds + 's before next email (' + data.nextEmail + ')...';
+      var text = 'Waiting ' + data.seconds + 's before next email (' + data.nextEmail + ')...';
+      if (data.reason === 'retry') {
+        text = 'Waiting ' + data.seconds + 's to retry ' + data.nextEmail + '...';
+      } else if (data.reason === 'domain_limit') {
+        text = 'Domain limit reached - waiting ' + data.seconds + 's for ' + data.nextEmail + '...';
+      }
+      document.getElementById('progress-text').textContent = text;
     });
 
     eventSource.addEventListener('complete', function(e) {
@@ -1867,9 +3981,14 @@ function getHTML() {
 
     eventSource.addEventListener('paused', function(e) {
       var data = JSON.parse(e.data);
-      var text = 'PAUSED - Quiet hours (21:00-08:00). ';
+      var text = 'PAUSED - outside sending window. ';
+      if (data.reason === 'manual') {
+        text = 'PAUSED by user. ';
+      } else if (data.reason === 'warm_up') {
+        text = 'PAUSED - warm-up cap reached for today. ';
+      }
       if (data.timeRemaining) {
-        text += 'Resuming at ' + data.resumeAt + ' (in ' + data.timeRemaining + '). ';
+        text += 'Resuming ' + data.resumeAt + ' (in ' + data.timeRemaining + '). ';
       }
       if (data.sentSoFar !== undefined) {
         text += 'Progress: ' + data.sentSoFar + '/' + data.total + ' sent.';
@@ -1885,6 +4004,13 @@ function getHTML() {
       document.getElementById('progress-fill').style.background = '#22c55e';
     });
 
+    eventSource.addEventListener('cancelled', function(e) {
+      var data = JSON.parse(e.data);
+      document.getElementById('progress-text').textContent =
+        'CANCELLED after ' + data.sentSoFar + '/' + data.total + ' emails.';
+      document.getElementById('progress-fill').style.background = '#dc2626';
+    });
+
     function addLogEntry(data, status) {
       var container = document.getElementById('log-container');
       var time = new Date(data.timestamp).toLocaleString();
@@ -1900,75 +4026,196 @@ function getHTML() {
       container.insertBefore(entry, container.firstChild);
     }
 
-    // ========== Resume Campaign ==========
-    async function checkCampaignState() {
+    // ========== Campaigns ==========
+    var campaignsCache = [];
+
+    async function loadCampaigns() {
       try {
         var res = await fetch('/api/campaign-state');
-        var state = await res.json();
-        if (state && state.status && state.status !== 'complete') {
-          var info = 'Campaign started: ' + new Date(state.startedAt).toLocaleString();
-          if (state.sentEmails) {
-            info += '<br>Progress: ' + state.sentEmails.length + '/' + state.totalRecipients + ' emails sent';
-          }
-          info += '<br>Status: ' + state.status.replace(/_/g, ' ');
-          document.getElementById('resume-info').innerHTML = info;
-          document.getElementById('resume-section').style.display = 'block';
-        } else {
-          document.getElementById('resume-section').style.display = 'none';
-        }
+        campaignsCache = await res.json();
+        renderCampaigns();
+        loadWarmUp();
       } catch (e) {
-        console.error('Failed to check campaign state:', e);
+        console.error('Failed to load campaigns:', e);
+      }
+    }
+
+    async function loadWarmUp() {
+      var res = await fetch('/api/warm-up');
+      var warmUp = await res.json();
+      var el = document.getElementById('warm-up-status');
+      el.style.display = warmUp.enabled ? 'block' : 'none';
+      el.textContent = 'Warm-up: ' + warmUp.description;
+    }
+
+    function renderCampaigns() {
+      var logCampaign = document.getElementById('log-campaign');
+      var logSelected = logCampaign.value;
+      logCampaign.innerHTML = '<option value="">All campaigns</option>' + campaignsCache.map(function(c) {
+        var started = c.startedAt || c.createdAt;
+        return '<option value="' + c.campaignId + '">' + escapeHtml(c.templateName || 'Campaign') +
+          (started ? ' - ' + new Date(started).toLocaleString() : '') + '</option>';
+      }).join('');
+      logCampaign.value = logSelected;
+
+      var el = document.getElementById('campaigns-list');
+      if (campaignsCache.length === 0) {
+        el.innerHTML = '<p style="color:#6b7280">No campaigns yet</p>';
+        return;
       }
+      el.innerHTML = campaignsCache.map(function(c) {
+        var target = c.testEmail ? 'Test: ' + c.testEmail
+          : c.sequenceId ? 'Sequence: ' + c.sequenceName + ' (step ' + c.sequenceStep + ')'
+          : c.segmentId ? 'Segment: ' + c.segmentName
+          : (c.listName || c.sheetName || '');
+        var total = c.totalRecipients || 0;
+        var done = (c.sentCount || 0) + (c.failedCount || 0);
+        var pct = total > 0 ? Math.round(done / total * 100) : 0;
+        var started = c.startedAt || c.createdAt;
+        var actions = '';
+        if (c.status === 'scheduled') {
+          actions += '<button class="btn secondary" onclick="editScheduledCampaign(\\''+c.campaignId+'\\')">Edit</button>';
+        }
+        if (['queued', 'running', 'paused_quiet_hours', 'paused_warm_up'].indexOf(c.status) !== -1) {
+          actions += '<button class="btn secondary" onclick="controlCampaign(\\''+c.campaignId+'\\', \\'pause\\')">Pause</button>';
+        }
+        if (c.status === 'paused' || c.status === 'interrupted') {
+          actions += '<button class="btn" onclick="resumeCampaign(\\''+c.campaignId+'\\')">Resume</button>';
+        }
+        if (['scheduled', 'queued', 'running', 'paused_quiet_hours', 'paused_warm_up', 'paused', 'interrupted', 'ab_waiting'].indexOf(c.status) !== -1) {
+          actions += '<button class="btn danger" onclick="controlCampaign(\\''+c.campaignId+'\\', \\'cancel\\')">Cancel</button>';
+        }
+        return '<div class="list-item">' +
+          '<div class="info">' +
+            '<strong>' + escapeHtml(c.templateName || 'Campaign') + '</strong> ' +
+            '<span class="status-badge ' + c.status + '">' + (c.status || '').replace(/_/g, ' ') + '</span>' +
+            '<div class="meta">' + escapeHtml(target) +
+              ' | ' + (c.sentCount || 0) + ' sent, ' + (c.failedCount || 0) + ' failed of ' + total +
+              (c.retryingCount ? ' (' + c.retryingCount + ' retrying)' : '') +
+              (c.status === 'scheduled' && c.scheduledFor
+                ? ' | Starts ' + c.scheduledFor.localTime.replace('T', ' ') + ' (' + escapeHtml(c.scheduledFor.timezone) + ')'
+                : (started ? ' | ' + new Date(started).toLocaleString() : '')) +
+              ((c.status === 'paused_quiet_hours' || c.status === 'paused_warm_up') && c.resumeAt ? ' | Resumes ' + new Date(c.resumeAt).toLocaleString() : '') +
+            '</div>' +
+            (c.abTest ? '<div class="meta">' + escapeHtml(describeAbTest(c.abTest)) + '</div>' : '') +
+            '<div class="progress-bar"><div class="fill" style="width:' + pct + '%"></div></div>' +
+          '</div>' +
+          '<div class="actions">' + actions + '</div>' +
+        '</div>';
+      }).join('');
     }
 
-    async function resumeCampaign() {
-      if (!confirm('Resume the incomplete campaign?')) return;
+    eventSource.addEventListener('campaign', function(e) {
+      var data = JSON.parse(e.data);
+      var index = campaignsCache.findIndex(function(c) { return c.campaignId === data.campaignId; });
+      if (index === -1) {
+        campaignsCache.unshift(data);
+      } else {
+        campaignsCache[index] = data;
+      }
+      renderCampaigns();
+    });
+
+    async function resumeCampaign(campaignId) {
+      if (!confirm('Resume this campaign?')) return;
       document.getElementById('send-progress').style.display = 'block';
       document.getElementById('progress-text').textContent = 'Resuming campaign...';
       document.getElementById('progress-fill').style.width = '0%';
       document.getElementById('progress-fill').style.background = '#22c55e';
 
       try {
-        var res = await fetch('/api/campaign-resume', { method: 'POST' });
+        var res = await fetch('/api/campaigns/' + campaignId + '/resume', { method: 'POST' });
         var data = await res.json();
         if (data.success) {
           document.getElementById('progress-text').textContent = data.message;
-          document.getElementById('resume-section').style.display = 'none';
         } else {
-          document.getElementById('progress-text').textContent = 'Cannot resume: ' + data.message;
+          document.getElementById('progress-text').textContent = 'Cannot resume: ' + (data.message || data.error);
         }
       } catch (e) {
         document.getElementById('progress-text').textContent = 'Error: ' + e.message;
       }
+      loadCampaigns();
     }
 
-    function dismissResume() {
-      document.getElementById('resume-section').style.display = 'none';
+    // Pause or cancel a campaign (takes effect before the next email)
+    async function controlCampaign(campaignId, action) {
+      if (action === 'cancel' && !confirm('Cancel this campaign? Remaining emails will not be sent.')) return;
+      var res = await fetch('/api/campaigns/' + campaignId + '/' + action, { method: 'POST' });
+      var data = await res.json();
+      if (!data.success) alert(data.message || data.error);
+      loadCampaigns();
     }
 
     // Initial load
     checkSMTP();
     loadTemplates();
     loadLists();
+    renderContactsTable();
     loadExistingImages();
     loadLogs();
-    checkCampaignState();
+    loadCampaigns();
+    loadTimezones();
+    loadSuppressions();
+
+    document.querySelector('[data-tab="suppressions"]').addEventListener('click', loadSuppressions);
+    document.querySelector('[data-tab="contacts"]').addEventListener('click', loadContacts);
+    document.querySelector('[data-tab="segments"]').addEventListener('click', loadLists);
+    document.querySelector('[data-tab="sequences"]').addEventListener('click', async function() {
+      await loadTemplates();
+      loadLists();
+      loadSequences();
+    });
 
     // Update template selector when switching to send tab
     document.querySelector('[data-tab="send"]').addEventListener('click', function() {
       loadTemplates();
       loadLists();
-      checkCampaignState();
+      loadCampaigns();
     });
   </script>
 </body>
 </html>`;
 }
 
-// Check for incomplete campaign on startup
-function checkIncompleteCampaign() {
-  const state = loadData(CAMPAIGN_STATE_FILE);
-  if (state && state.status && state.status !== 'complete') {
+// ============== SCHEDULER ==============
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Queue scheduled campaigns whose start time has come, and due steps of running sequences
+ * (campaigns that became due while the server was down start on the first run)
+ */
+function runScheduler() {
+  const now = Date.now();
+  campaigns.listCampaigns()
+    .filter(c => c.status === 'scheduled' && new Date(c.scheduledAt).getTime() <= now)
+    .forEach(c => {
+      console.log(`Starting scheduled campaign ${c.campaignId} (${c.templateName})`);
+      enqueueCampaign(c.campaignId);
+    });
+
+  processSequences().catch(err => console.error('Sequence run failed:', err));
+
+  chooseWinners()
+    .then(ready => ready.forEach(campaignId => enqueueCampaign(campaignId)))
+    .catch(err => console.error('Choosing A/B test winners failed:', err));
+}
+
+// Check for incomplete campaigns on startup
+// Queued campaigns are picked up again; interrupted ones wait for a manual resume
+function checkIncompleteCampaigns() {
+  const incomplete = campaigns.listCampaigns().filter(campaigns.isIncomplete);
+
+  incomplete.forEach(state => {
+    if (state.status === 'queued') {
+      enqueueCampaign(state.campaignId);
+      return;
+    }
+
+    if (['running', 'paused_quiet_hours', 'paused_warm_up'].includes(state.status)) {
+      state.status = 'interrupted';
+      campaigns.saveCampaign(state);
+    }
+
     console.log('');
     console.log('  ⚠️  INCOMPLETE CAMPAIGN DETECTED');
     console.log('  Campaign ID: ' + state.campaignId);
@@ -1978,10 +4225,10 @@ function checkIncompleteCampaign() {
       console.log('  Emails sent: ' + state.sentEmails.length + '/' + state.totalRecipients);
     }
     console.log('');
-    console.log('  To resume: POST /api/campaign-resume');
-    console.log('  Or click "Resume Campaign" in the UI');
+    console.log('  To resume: POST /api/campaign-resume { campaignId }');
+    console.log('  Or click "Resume" in the Send Campaign tab');
     console.log('');
-  }
+  });
 }
 
 // Start server
@@ -1999,7 +4246,17 @@ app.listen(PORT, '127.0.0.1', function() {
   console.log('  - Upload images for emails');
   console.log('  - Preview emails before sending');
   console.log('  - Send campaigns with real-time progress');
-  console.log('  - Quiet hours: 21:00-08:00 (auto-pause/resume)');
+  console.log('  - Open/click tracking via ' + config.publicBaseUrl + '/api/track and /api/click');
+  console.log('  - One-click unsubscribe (List-Unsubscribe headers on every campaign email)');
+  console.log('  - Preference page for recipients: topics, pause, language, unsubscribe');
+  console.log('  - Queue several campaigns (concurrency: ' + config.campaignConcurrency + ')');
+  console.log('  - Per-domain throttling: ' + describeDomainLimits());
+  console.log('  - Warm-up: ' + describeWarmUp());
+  console.log('  - Address checks: syntax, role accounts, disposable domains' + (config.emailValidation.mxLookup ? ', MX lookups' : ' (MX lookups off)'));
+  console.log('  - Schedule campaigns for a date/time in any timezone');
+  console.log('  - Sending windows per campaign (default: ' + describeSendingWindow(DEFAULT_SENDING_WINDOW) + ')');
+  console.log('  - Follow-up sequences with stop on open, click or reply');
+  console.log('  - A/B tests of templates with automatic winner selection');
   console.log('  - Auto-resume incomplete campaigns');
   console.log('  - View send logs');
   console.log('');
@@ -2007,5 +4264,17 @@ app.listen(PORT, '127.0.0.1', function() {
   console.log('==================================================');
 
   // Check for incomplete campaigns
-  checkIncompleteCampaign();
+  checkIncompleteCampaigns();
+
+  // Start the scheduler loop
+  const scheduled = campaigns.listCampaigns().filter(c => c.status === 'scheduled');
+  if (scheduled.length > 0) {
+    console.log('  ' + scheduled.length + ' scheduled campaign(s) waiting');
+  }
+  const running = listSequences().filter(s => s.status === 'active');
+  if (running.length > 0) {
+    console.log('  ' + running.length + ' sequence(s) running');
+  }
+  runScheduler();
+  setInterval(runScheduler, SCHEDULER_INTERVAL_MS);
 });
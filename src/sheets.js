@@ -1,8 +1,15 @@
 const { google } = require('googleapis');
 const config = require('./config');
+const { formatFieldValue } = require('./field-values');
 
 let sheetsClient = null;
 
+// Columns every list tab starts with; custom contact fields follow from column G
+const STATUS_COLUMNS = ['email', 'status', 'sent_at', 'unsubscribed', 'opened_at', 'clicked_links'];
+
+// Column D holds the unsubscribe time, or this prefix and a date while a contact paused emails
+const PAUSED_PREFIX = 'paused until ';
+
 /**
  * Initialize Google Sheets client
  */
@@ -24,10 +31,11 @@ async function initSheets() {
 /**
  * Create a new sheet tab with email list
  * @param {string} sheetName - Name for the new tab
- * @param {Array} emails - Array of email objects {email: string}
+ * @param {Array} emails - Array of contacts {email: string, ...custom fields}
+ * @param {Array<string>} [fields] - Custom contact fields, added as columns after the status columns
  * @returns {Promise<string>} - The created sheet name
  */
-async function createSheetTab(sheetName, emails) {
+async function createSheetTab(sheetName, emails, fields = []) {
   const sheets = await initSheets();
 
   // First, create the new sheet tab
@@ -67,8 +75,8 @@ async function createSheetTab(sheetName, emails) {
   }
 
   // Add headers and email data
-  const headerRow = ['email', 'status', 'sent_at', 'unsubscribed', 'opened_at', 'clicked_links'];
-  const dataRows = emails.map(e => [e.email || e, '', '', '', '', '']);
+  const headerRow = [...STATUS_COLUMNS, ...fields];
+  const dataRows = emails.map(e => [e.email || e, '', '', '', '', '', ...fields.map(f => formatFieldValue(e[f]))]);
   const allRows = [headerRow, ...dataRows];
 
   await sheets.spreadsheets.values.update({
@@ -110,6 +118,62 @@ async function getRowsFromSheet(sheetName) {
   }));
 }
 
+/**
+ * Mirror custom contact fields into a list's sheet tab
+ * Rewrites the columns after the status columns (clearing removed fields)
+ * and appends contacts that are not in the tab yet.
+ * @param {string} sheetName - Name of the sheet tab
+ * @param {Array<string>} fields - Custom contact fields in column order
+ * @param {Array} contacts - Contacts of the list
+ */
+async function updateContactFieldsInSheet(sheetName, fields, contacts) {
+  const sheets = await initSheets();
+  const firstFieldColumn = String.fromCharCode(65 + STATUS_COLUMNS.length); // G
+
+  const header = await sheets.spreadsheets.values.get({
+    spreadsheetId: config.googleSheets.sheetId,
+    range: `${sheetName}!1:1`,
+  });
+  const previousWidth = Math.max(0, ((header.data.values || [])[0] || []).length - STATUS_COLUMNS.length);
+  const width = Math.max(fields.length, previousWidth);
+  const pad = values => [...values, ...Array(width - values.length).fill('')];
+
+  const byEmail = new Map(contacts.map(c => [c.email.toLowerCase(), c]));
+  const rows = await getRowsFromSheet(sheetName);
+  const lastRow = rows.length ? rows[rows.length - 1].rowIndex : 1;
+
+  if (width > 0) {
+    const values = [pad(fields)];
+    for (let rowIndex = 2; rowIndex <= lastRow; rowIndex++) {
+      const row = rows.find(r => r.rowIndex === rowIndex);
+      const contact = row && row.email ? byEmail.get(row.email.toLowerCase()) : null;
+      values.push(pad(contact ? fields.map(f => formatFieldValue(contact[f])) : []));
+    }
+
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: config.googleSheets.sheetId,
+      range: `${sheetName}!${firstFieldColumn}1`,
+      valueInputOption: 'RAW',
+      requestBody: { values },
+    });
+  }
+
+  const inSheet = new Set(rows.map(r => r.email.toLowerCase()));
+  const missing = contacts.filter(c => !inSheet.has(c.email.toLowerCase()));
+  if (missing.length > 0) {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: config.googleSheets.sheetId,
+      range: `${sheetName}!A1`,
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: missing.map(c => [c.email, '', '', '', '', '', ...fields.map(f => formatFieldValue(c[f]))]),
+      },
+    });
+  }
+
+  console.log(`[${sheetName}] Synced ${fields.length} contact field(s), added ${missing.length} contact(s)`);
+}
+
 /**
  * Update a row in a specific sheet
  */
@@ -148,6 +212,84 @@ async function markUnsubscribedInSheet(sheetName, rowIndex) {
   console.log(`[${sheetName}] Row ${rowIndex} marked as unsubscribed`);
 }
 
+/**
+ * Write the opt-out column D of a specific sheet
+ * @param {string} value - Unsubscribe time, `paused until <date>` or '' to clear it
+ */
+async function setOptOutInSheet(sheetName, rowIndex, value) {
+  const sheets = await initSheets();
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: config.googleSheets.sheetId,
+    range: `${sheetName}!D${rowIndex}`,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [[value]],
+    },
+  });
+
+  console.log(`[${sheetName}] Row ${rowIndex} opt-out set to "${value}"`);
+}
+
+/**
+ * Why a row's column D keeps it from being sent to: 'unsubscribed', 'paused' or null
+ * (a pause that is over no longer counts)
+ */
+function getOptOutReason(row) {
+  const value = row.unsubscribed;
+  if (!value) return null;
+  if (value.startsWith(PAUSED_PREFIX)) {
+    return new Date(value.slice(PAUSED_PREFIX.length)) > new Date() ? 'paused' : null;
+  }
+  return 'unsubscribed';
+}
+
+/**
+ * Record an open in a specific sheet (column E keeps the latest open)
+ */
+async function markOpenedInSheet(sheetName, rowIndex, openedAt) {
+  const sheets = await initSheets();
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: config.googleSheets.sheetId,
+    range: `${sheetName}!E${rowIndex}`,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [[openedAt]],
+    },
+  });
+
+  console.log(`[${sheetName}] Row ${rowIndex} opened`);
+}
+
+/**
+ * Record a click in a specific sheet
+ * Adds the link name to column F (comma-separated, each link once) and sets
+ * column E, since a click means the email was opened even when images were blocked.
+ */
+async function markClickedInSheet(sheetName, rowIndex, linkName, clickedAt) {
+  const sheets = await initSheets();
+
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId: config.googleSheets.sheetId,
+    range: `${sheetName}!E${rowIndex}:F${rowIndex}`,
+  });
+  const [openedAt = '', clickedLinks = ''] = (response.data.values || [])[0] || [];
+  const links = clickedLinks.split(',').map(l => l.trim()).filter(Boolean);
+  if (!links.includes(linkName)) links.push(linkName);
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: config.googleSheets.sheetId,
+    range: `${sheetName}!E${rowIndex}:F${rowIndex}`,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [[openedAt || clickedAt, links.join(', ')]],
+    },
+  });
+
+  console.log(`[${sheetName}] Row ${rowIndex} clicked: ${linkName}`);
+}
+
 /**
  * Find row by email in a specific sheet
  */
@@ -159,11 +301,11 @@ async function findRowByEmailInSheet(sheetName, email) {
 
 /**
  * Get unsent/unprocessed emails from a sheet (for resume)
- * Skips emails that have status, sent_at, or unsubscribed set
+ * Skips emails that have status, sent_at, or are unsubscribed or paused
  */
 async function getUnsentFromSheet(sheetName) {
   const rows = await getRowsFromSheet(sheetName);
-  return rows.filter(r => r.email && !r.sendStatus && !r.sentAt && !r.unsubscribed);
+  return rows.filter(r => r.email && !r.sendStatus && !r.sentAt && !getOptOutReason(r));
 }
 
 /**
@@ -278,6 +420,8 @@ async function findRowByEmail(email) {
 }
 
 module.exports = {
+  PAUSED_PREFIX,
+  getOptOutReason,
   initSheets,
   getRows,
   getNextUnsent,
@@ -288,9 +432,13 @@ module.exports = {
   findRowByEmail,
   // New sheet-specific functions
   createSheetTab,
+  updateContactFieldsInSheet,
   getRowsFromSheet,
   updateRowInSheet,
   markUnsubscribedInSheet,
+  setOptOutInSheet,
+  markOpenedInSheet,
+  markClickedInSheet,
   findRowByEmailInSheet,
   getUnsentFromSheet,
 };
@@ -0,0 +1,65 @@
+/**
+ * JSON file storage for the data directory
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Paths
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data'); // tests use a temporary directory
+const TEMPLATES_FILE = path.join(DATA_DIR, 'templates.json');
+const LISTS_FILE = path.join(DATA_DIR, 'email-lists.json'); // Lists as memberships (contactIds)
+const CONTACTS_FILE = path.join(DATA_DIR, 'contacts.json');
+const LOGS_FILE = path.join(DATA_DIR, 'send-logs.json');
+const CAMPAIGN_STATE_FILE = path.join(DATA_DIR, 'campaign-state.json'); // Legacy single-campaign state
+const CAMPAIGNS_FILE = path.join(DATA_DIR, 'campaigns.json');
+const DRY_RUN_DIR = path.join(DATA_DIR, 'dry-runs'); // Rendered .eml files of dry runs
+const SUPPRESSIONS_FILE = path.join(DATA_DIR, 'suppressions.json'); // Addresses and domains never to email
+const SEGMENTS_FILE = path.join(DATA_DIR, 'segments.json'); // Saved rule-based segments
+const SEQUENCES_FILE = path.join(DATA_DIR, 'sequences.json'); // Follow-up sequences and their enrollments
+const TRACKING_FILE = path.join(DATA_DIR, 'tracking-events.json'); // Opens and clicks from the tracking endpoints
+const RECIPIENTS_FILE = path.join(DATA_DIR, 'recipients.json'); // Addresses outside the contacts database that link tokens refer to
+const TOKEN_SECRET_FILE = path.join(DATA_DIR, 'token-secret.json'); // Generated key for signed link tokens
+const WARM_UP_FILE = path.join(DATA_DIR, 'warm-up.json'); // Recorded start day of the warm-up
+
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// Initialize data files if they don't exist
+function initDataFile(filePath, defaultData = []) {
+  if (!fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2));
+  }
+}
+
+function loadData(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+function saveData(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+  DATA_DIR,
+  TEMPLATES_FILE,
+  LISTS_FILE,
+  CONTACTS_FILE,
+  LOGS_FILE,
+  CAMPAIGN_STATE_FILE,
+  CAMPAIGNS_FILE,
+  DRY_RUN_DIR,
+  SUPPRESSIONS_FILE,
+  SEGMENTS_FILE,
+  SEQUENCES_FILE,
+  TRACKING_FILE,
+  RECIPIENTS_FILE,
+  TOKEN_SECRET_FILE,
+  WARM_UP_FILE,
+  initDataFile,
+  loadData,
+  saveData,
+};
@@ -0,0 +1,150 @@
+/**
+ * Global suppression list - addresses and domains that must never be emailed,
+ * whichever list they are on or are added to later
+ *
+ * Entries are { id, type: 'email'|'domain', value, reason, note?, source?, createdAt }
+ * with reason one of SUPPRESSION_REASONS. Every send path checks findSuppression().
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { SUPPRESSIONS_FILE, initDataFile, loadData, saveData } = require('./storage');
+const { normalizeEmail, checkSyntax } = require('./email-validation');
+const { initContacts, loadContacts, findContactByEmail, updateContact } = require('./contacts');
+
+const SUPPRESSION_REASONS = ['unsubscribe', 'hard_bounce', 'complaint', 'manual'];
+
+// Enhanced status codes (RFC 3463) 5.1.x: the address or mailbox does not exist.
+// A bare 550 is also used for spam blocks and policy rejections, so it alone is not enough.
+const HARD_BOUNCE_STATUS = /\b5\.1\.\d{1,3}\b/;
+
+/**
+ * Create the store, seeded with contacts already marked unsubscribed
+ */
+function initSuppressions() {
+  initContacts();
+  const seed = loadContacts()
+    .filter(contact => contact.unsubscribed)
+    .map(contact => ({
+      id: uuidv4(),
+      type: 'email',
+      value: contact.email.toLowerCase(),
+      reason: 'unsubscribe',
+      source: 'contacts',
+      createdAt: contact.unsubscribedAt || new Date().toISOString(),
+    }));
+  initDataFile(SUPPRESSIONS_FILE, seed);
+}
+
+function listSuppressions() {
+  return loadData(SUPPRESSIONS_FILE);
+}
+
+/**
+ * Turn user input into an entry key: "Anna@Shop.de" -> email "anna@shop.de",
+ * "@spam.example" or "spam.example" -> domain "spam.example"
+ * @returns {{type: string, value: string}|{error: string}}
+ */
+function parseSuppressionValue(input) {
+  const text = normalizeEmail(input).toLowerCase();
+  if (text.includes('@') && !text.startsWith('@')) {
+    const syntaxError = checkSyntax(text);
+    return syntaxError ? { error: `Invalid address "${input}": ${syntaxError}` } : { type: 'email', value: text };
+  }
+
+  const domain = text.replace(/^@/, '');
+  if (checkSyntax('x@' + domain)) return { error: `Invalid address or domain "${input}"` };
+  return { type: 'domain', value: domain };
+}
+
+/**
+ * Find the entry that blocks an address (its own, or one for its domain)
+ * @returns {Object|null}
+ */
+function findSuppression(email, suppressions = listSuppressions()) {
+  const value = String(email || '').trim().toLowerCase();
+  const domain = value.slice(value.lastIndexOf('@') + 1);
+  return suppressions.find(s => s.type === 'email' ? s.value === value : s.value === domain) || null;
+}
+
+/**
+ * Add addresses or domains; values that are already suppressed are left as they are
+ * @param {Array<{value: string, reason?: string, note?: string, source?: string}>} entries
+ * @returns {{added: Array, existing: Array, errors: Array<string>}}
+ */
+function addSuppressions(entries) {
+  const suppressions = listSuppressions();
+  const added = [];
+  const existing = [];
+  const errors = [];
+
+  entries.forEach(({ value, reason = 'manual', note, source }) => {
+    const parsed = parseSuppressionValue(value);
+    if (parsed.error) return errors.push(parsed.error);
+    if (!SUPPRESSION_REASONS.includes(reason)) return errors.push(`Invalid reason "${reason}" for ${value}`);
+
+    const match = suppressions.find(s => s.type === parsed.type && s.value === parsed.value);
+    if (match) return existing.push(match);
+
+    const entry = {
+      id: uuidv4(),
+      ...parsed,
+      reason,
+      ...(note ? { note: String(note) } : {}),
+      ...(source ? { source } : {}),
+      createdAt: new Date().toISOString(),
+    };
+    suppressions.push(entry);
+    added.push(entry);
+  });
+
+  if (added.length > 0) saveData(SUPPRESSIONS_FILE, suppressions);
+  return { added, existing, errors };
+}
+
+/**
+ * Suppress a single address or domain
+ * @returns {{entry: Object}|{error: string}}
+ */
+function addSuppression(value, reason, { note, source } = {}) {
+  const { added, existing, errors } = addSuppressions([{ value, reason, note, source }]);
+  return errors.length ? { error: errors[0] } : { entry: added[0] || existing[0] };
+}
+
+/**
+ * Remove an entry; lifting an address also clears the contact's unsubscribed flag
+ * @returns {Object|null} - The removed entry
+ */
+function removeSuppression(id) {
+  const suppressions = listSuppressions();
+  const index = suppressions.findIndex(s => s.id === id);
+  if (index === -1) return null;
+
+  const [entry] = suppressions.splice(index, 1);
+  saveData(SUPPRESSIONS_FILE, suppressions);
+
+  const contact = entry.type === 'email' ? findContactByEmail(entry.value) : null;
+  if (contact && contact.unsubscribed) {
+    updateContact(contact.id, { unsubscribed: undefined, unsubscribedAt: undefined });
+  }
+  return entry;
+}
+
+/**
+ * Whether a failed send means the address will never accept mail
+ * @param {Object} result - sendEmail() result ({ responseCode, response, error })
+ */
+function isHardBounce({ responseCode, response, error }) {
+  if (!responseCode || responseCode < 500) return false;
+  return HARD_BOUNCE_STATUS.test(response || error || '');
+}
+
+module.exports = {
+  SUPPRESSION_REASONS,
+  initSuppressions,
+  listSuppressions,
+  findSuppression,
+  addSuppressions,
+  addSuppression,
+  removeSuppression,
+  isHardBounce,
+};
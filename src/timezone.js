@@ -0,0 +1,106 @@
+/**
+ * Timezone helpers based on Intl (no external dependencies)
+ */
+
+const DEFAULT_TIMEZONE = 'Europe/Berlin';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a string is a valid IANA timezone (e.g. "Europe/Berlin")
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number, date: string}}
+ *   weekday is 0 (Sunday) - 6 (Saturday), date is "YYYY-MM-DD"
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * @param {string} localDateTime - "YYYY-MM-DDTHH:mm" (seconds optional)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} - null if the input can't be parsed
+ */
+function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(localDateTime || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(v => parseInt(v || '0', 10));
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Apply the offset, then re-check it at the result in case a DST switch lies in between
+  let result = asUtc - getTimezoneOffset(new Date(asUtc), timeZone);
+  result = asUtc - getTimezoneOffset(new Date(result), timeZone);
+  return new Date(result);
+}
+
+/**
+ * Format a date as "YYYY-MM-DD HH:mm" in a timezone
+ */
+function formatInTimezone(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.date} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  formatInTimezone,
+};
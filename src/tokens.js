@@ -0,0 +1,96 @@
+/**
+ * Signed link tokens - identify recipient, campaign and list in tracking and unsubscribe URLs
+ *
+ * A token is base64url(JSON payload) + '.' + base64url(HMAC-SHA256), with a payload of
+ * { p: purpose ('open'|'click'|'unsubscribe'), r: contactId, c: campaignId, l: listId, x?: recipient reference, k?: link number, u?: url, n?: link name }.
+ * Handlers look the recipient up by contact ID; recipients outside the contacts database
+ * (sheet-only rows, test sends) carry a reference from recipients.js in `x` - never their address.
+ * Any change to a token breaks its signature, so forged or altered links are rejected.
+ *
+ * The key is TOKEN_SECRET, or a random one generated once into data/token-secret.json.
+ * Changing it invalidates every link in emails already sent.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('./config');
+const { TOKEN_SECRET_FILE } = require('./storage');
+
+const TOKEN_PURPOSES = ['open', 'click', 'unsubscribe'];
+const SIGNATURE_BYTES = 16;
+
+let secret = null;
+
+function getSecret() {
+  if (secret) return secret;
+  if (config.tokenSecret) {
+    secret = config.tokenSecret;
+    return secret;
+  }
+
+  try {
+    secret = JSON.parse(fs.readFileSync(TOKEN_SECRET_FILE, 'utf-8')).secret;
+  } catch {
+    secret = null;
+  }
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(TOKEN_SECRET_FILE, JSON.stringify({ secret }, null, 2), { mode: 0o600 });
+    console.log('Generated a link signing key in data/token-secret.json (set TOKEN_SECRET to manage it yourself)');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest().subarray(0, SIGNATURE_BYTES).toString('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @param {Object} fields - { contactId, campaignId, listId, recipientRef?, linkId?, url?, linkName? } - recipientRef is only kept without a contactId
+ * @returns {string}
+ */
+function createToken(purpose, { contactId, campaignId, listId, recipientRef, linkId, url, linkName }) {
+  const payload = { p: purpose, r: contactId || null, c: campaignId || null, l: listId || null };
+  if (!contactId && recipientRef) payload.x = recipientRef;
+  if (linkId !== undefined) Object.assign(payload, { k: linkId, u: url, n: linkName });
+
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Check a token's signature and purpose
+ * @returns {Object|null} - { contactId, campaignId, listId, recipientRef?, linkId?, url?, linkName? }, null if forged, altered or for another purpose
+ */
+function verifyToken(token, purpose) {
+  const [data, signature, extra] = String(token || '').split('.');
+  if (!data || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf-8'));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.p !== purpose) return null;
+
+  return {
+    contactId: payload.r,
+    campaignId: payload.c,
+    listId: payload.l,
+    ...(payload.x ? { recipientRef: payload.x } : {}),
+    ...(payload.k !== undefined ? { linkId: payload.k, url: payload.u, linkName: payload.n } : {}),
+  };
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createToken,
+  verifyToken,
+};
@@ -0,0 +1,123 @@
+/**
+ * Open and click tracking - backs the pixel and the wrapped links in sent emails
+ *
+ * Links carry signed tokens (see tokens.js); resolveToken() turns one back into the recipient.
+ * Every open/click is stored in data/tracking-events.json as
+ * { id, type: 'open'|'click', email, sheetName, campaignId, url?, link?, at },
+ * added to the contact history (opened once per campaign, every click) and written
+ * to the recipient's row in the sheet tab (E = opened_at, F = clicked_links).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { TRACKING_FILE, initDataFile, loadData, saveData } = require('./storage');
+const { getCampaign } = require('./campaigns');
+const { loadContacts, findContactByEmail, recordContactEvent, getList } = require('./contacts');
+const { verifyToken } = require('./tokens');
+const { findRecipientEmail } = require('./recipients');
+const sheets = require('./sheets');
+
+const MAX_EVENTS = 50000; // oldest events are dropped beyond this
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Sheet writes run one after another, so two clicks on one row don't overwrite each other's links
+let sheetQueue = Promise.resolve();
+
+function initTracking() {
+  initDataFile(TRACKING_FILE, []);
+}
+
+function listTrackingEvents() {
+  return loadData(TRACKING_FILE);
+}
+
+/**
+ * Verify a signed link token and look up who and what it refers to
+ * The recipient is the contact in the token, else the address its recipient reference stands
+ * for (recipients outside the contacts database), else the campaign's address for test sends.
+ * @param {string} token - Token from the URL
+ * @param {string} purpose - 'open', 'click' or 'unsubscribe'
+ * @returns {Object|null} - { email, contact, campaignId, listId, sheetName, url?, linkName? };
+ *   email is null when the recipient no longer exists. null for forged or altered tokens.
+ */
+function resolveToken(token, purpose) {
+  const fields = verifyToken(token, purpose);
+  if (!fields) return null;
+
+  const campaign = fields.campaignId ? getCampaign(fields.campaignId) : null;
+  const contacts = loadContacts();
+  const refEmail = fields.recipientRef ? findRecipientEmail(fields.recipientRef) : null;
+  const contact = fields.contactId
+    ? contacts.find(c => c.id === fields.contactId) || null
+    : (refEmail && findContactByEmail(refEmail, contacts)) || null;
+  const email = contact ? contact.email : (refEmail || campaign?.testEmail || null);
+  const sheetName = (fields.listId && getList(fields.listId)?.sheetName) || campaign?.sheetName || null;
+
+  return { ...fields, email: email && email.toLowerCase(), contact, sheetName };
+}
+
+function queueSheetUpdate(sheetName, email, update) {
+  if (!sheetName) return;
+  sheetQueue = sheetQueue
+    .then(async () => {
+      const rowIndex = await sheets.findRowByEmailInSheet(sheetName, email);
+      if (rowIndex) await update(rowIndex);
+    })
+    .catch(err => console.error(`Failed to write tracking to sheet "${sheetName}":`, err.message));
+}
+
+function storeEvent(event) {
+  const events = listTrackingEvents();
+  events.push(event);
+  saveData(TRACKING_FILE, events.slice(-MAX_EVENTS));
+}
+
+/**
+ * Record that a recipient opened an email (tracking pixel loaded)
+ * @param {Object} params - { email, sheetName, campaignId }
+ * @returns {Object} - The stored event
+ */
+function recordOpen({ email, sheetName, campaignId }) {
+  const at = new Date().toISOString();
+  const event = { id: uuidv4(), type: 'open', email, sheetName, campaignId: campaignId || null, at };
+  storeEvent(event);
+
+  // Mail clients load the pixel on every view - the history keeps the first open per campaign
+  const contact = findContactByEmail(email, loadContacts());
+  const seen = contact && (contact.history || []).some(h => h.type === 'opened' && (h.campaignId || null) === event.campaignId);
+  if (contact && !seen) {
+    recordContactEvent(email, { type: 'opened', ...(event.campaignId ? { campaignId: event.campaignId } : {}) });
+  }
+
+  queueSheetUpdate(sheetName, email, rowIndex => sheets.markOpenedInSheet(sheetName, rowIndex, at));
+  return event;
+}
+
+/**
+ * Record that a recipient clicked a tracked link
+ * @param {Object} params - { email, sheetName, campaignId, url, link }
+ * @returns {Object} - The stored event
+ */
+function recordClick({ email, sheetName, campaignId, url, link }) {
+  const at = new Date().toISOString();
+  const linkName = link || 'link';
+  const event = {
+    id: uuidv4(), type: 'click', email, sheetName, campaignId: campaignId || null, url, link: linkName, at,
+  };
+  storeEvent(event);
+
+  recordContactEvent(email, { type: 'clicked', ...(event.campaignId ? { campaignId: event.campaignId } : {}), url, link: linkName });
+
+  queueSheetUpdate(sheetName, email, rowIndex => sheets.markClickedInSheet(sheetName, rowIndex, linkName, at));
+  return event;
+}
+
+module.exports = {
+  TRACKING_PIXEL,
+  initTracking,
+  listTrackingEvents,
+  resolveToken,
+  recordOpen,
+  recordClick,
+};
@@ -0,0 +1,102 @@
+/**
+ * Sender warm-up - daily send caps that grow along a curve (e.g. 20, 40, 80...)
+ * so a fresh mailbox ramps up its volume gradually.
+ *
+ * Tracked across all campaigns from the send logs: day N of the warm-up is the
+ * Nth day since the warm-up started on which anything was sent. The start is
+ * WARMUP_START_DATE, or the day warm-up was first switched on (kept in data/warm-up.json),
+ * so earlier sends from before the warm-up don't skip the first steps.
+ * Once the curve is used up, no cap applies.
+ * Only delivered emails count - failed attempts, retries and test sends don't use up the cap.
+ * The logs are re-read on every check, so the web UI and the CLI share one count.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const { LOGS_FILE, WARM_UP_FILE, loadData, saveData } = require('./storage');
+const { listCampaigns } = require('./campaigns');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+function getDay(date) {
+  return getZonedParts(date, config.warmUp.timezone).date;
+}
+
+/**
+ * First day of the warm-up ("YYYY-MM-DD" in the warm-up timezone), recorded on first use
+ */
+function getStartDay(now) {
+  if (config.warmUp.startDate) return config.warmUp.startDate;
+
+  const recorded = fs.existsSync(WARM_UP_FILE) ? loadData(WARM_UP_FILE).startDate : null;
+  if (recorded) return recorded;
+
+  const startDate = getDay(now);
+  saveData(WARM_UP_FILE, { startDate });
+  return startDate;
+}
+
+/**
+ * Sent emails per day ("YYYY-MM-DD" in the warm-up timezone) from the send logs, without test sends
+ */
+function getSendsByDay() {
+  const testCampaigns = new Set(listCampaigns().filter(c => c.testEmail).map(c => c.campaignId));
+  const sendsByDay = new Map();
+  loadData(LOGS_FILE)
+    .filter(l => l.campaignId && l.status === 'sent' && !l.test && !testCampaigns.has(l.campaignId))
+    .forEach(l => {
+      const day = getDay(new Date(l.timestamp));
+      sendsByDay.set(day, (sendsByDay.get(day) || 0) + 1);
+    });
+  return sendsByDay;
+}
+
+/**
+ * Today's warm-up cap and how much of it is used
+ * @returns {{enabled: boolean, startDate?: string, day?: number, cap?: number|null, sentToday?: number, remaining?: number|null}}
+ *   cap is null once the curve is complete
+ */
+function getWarmUpStatus(now = new Date()) {
+  if (!config.warmUp.enabled) return { enabled: false };
+
+  const today = getDay(now);
+  const startDate = getStartDay(now);
+  const days = getSendsByDay();
+  const day = [...days.keys()].filter(d => d >= startDate && d < today).length + 1;
+  const { curve } = config.warmUp;
+  const cap = day <= curve.length ? curve[day - 1] : null;
+  const sentToday = days.get(today) || 0;
+
+  return {
+    enabled: true,
+    startDate,
+    day,
+    cap,
+    sentToday,
+    remaining: cap === null ? null : Math.max(0, cap - sentToday),
+  };
+}
+
+/**
+ * Start of the next day in the warm-up timezone (when a new cap applies)
+ */
+function getNextWarmUpDay(now = new Date()) {
+  const { year, month, day } = getZonedParts(now, config.warmUp.timezone);
+  const tomorrow = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  return zonedTimeToUtc(`${tomorrow}T00:00`, config.warmUp.timezone);
+}
+
+/**
+ * Human-readable status, e.g. "day 3, 35/80 sent today"
+ */
+function describeWarmUp(now = new Date()) {
+  const status = getWarmUpStatus(now);
+  if (!status.enabled) return 'off';
+  if (status.cap === null) return `complete (day ${status.day}, no cap)`;
+  return `day ${status.day}, ${status.sentToday}/${status.cap} sent today`;
+}
+
+module.exports = {
+  getWarmUpStatus,
+  getNextWarmUpDay,
+  describeWarmUp,
+};
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ab-test-'));
+const { CONTACTS_FILE, TEMPLATES_FILE, TRACKING_FILE, saveData } = require('../src/storage');
+const { saveCampaign, getCampaign } = require('../src/campaigns');
+const { normalizeAbTest, selectPhaseRecipients, finishTestPhase, measureVariants, chooseWinners } = require('../src/ab-test');
+
+saveData(TEMPLATES_FILE, [{ id: 't1', name: 'Short' }, { id: 't2', name: 'Long' }, { id: 't3', name: 'Emoji' }]);
+saveData(CONTACTS_FILE, []);
+saveData(TRACKING_FILE, []);
+
+const recipients = Array.from({ length: 20 }, (_, i) => ({ email: `r${i}@example.com` }));
+const abState = (abTest = {}) => ({ abTest: { ...normalizeAbTest({ templateIds: ['t1', 't2'], testPercent: 20 }).abTest, ...abTest } });
+
+test('normalizeAbTest builds variants and checks the settings', () => {
+  const { abTest } = normalizeAbTest({ templateIds: ['t1', 't2', 't3'], testPercent: '30', metric: 'clicks', windowHours: 2 });
+  assert.deepEqual(abTest, {
+    variants: [{ id: 'A', templateId: 't1', templateName: 'Short' }, { id: 'B', templateId: 't2', templateName: 'Long' }, { id: 'C', templateId: 't3', templateName: 'Emoji' }],
+    testPercent: 30,
+    metric: 'clicks',
+    windowHours: 2,
+    phase: 'testing',
+  });
+  assert.deepEqual([normalizeAbTest({ templateIds: ['t1', 't2'] }).abTest.testPercent, normalizeAbTest({ templateIds: ['t1', 't2'] }).abTest.metric], [20, 'opens']);
+
+  assert.match(normalizeAbTest({ templateIds: ['t1'] }).error, /at least two templates/);
+  assert.match(normalizeAbTest({ templateIds: ['t1', 't1'] }).error, /different template/);
+  assert.match(normalizeAbTest({ templateIds: ['t1', 'gone'] }).error, /variant B not found/);
+  assert.match(normalizeAbTest({ templateIds: ['t1', 't2'], testPercent: 0 }).error, /1-100 percent/);
+  assert.match(normalizeAbTest({ templateIds: ['t1', 't2'], metric: 'sales' }).error, /Unknown A\/B metric/);
+  assert.match(normalizeAbTest({ templateIds: ['t1', 't2'], windowHours: 0.5 }).error, /at least one hour/);
+});
+
+test('the test phase sends a slice split evenly between the variants', () => {
+  const state = abState();
+  const slice = selectPhaseRecipients(state, recipients);
+
+  assert.equal(slice.length, 4);
+  assert.deepEqual(slice.map(r => r.variant).sort(), ['A', 'A', 'B', 'B']);
+  assert.equal(Object.keys(state.abTest.assignments).length, 4);
+  assert.deepEqual(selectPhaseRecipients(state, recipients), slice);
+});
+
+test('the slice has at least one recipient per variant', () => {
+  assert.equal(selectPhaseRecipients(abState({ testPercent: 1 }), recipients).length, 2);
+});
+
+test('after the test everyone else gets the winner', () => {
+  const state = abState();
+  const slice = selectPhaseRecipients(state, recipients);
+  Object.assign(state.abTest, { phase: 'winner', winner: 'B' });
+
+  const rest = recipients.filter(r => !state.abTest.assignments[r.email]);
+  assert.ok(selectPhaseRecipients(state, rest).every(r => r.variant === 'B'));
+  assert.equal(selectPhaseRecipients(state, [slice[0]])[0].variant, slice[0].variant);
+});
+
+test('finishTestPhase starts the measuring window', () => {
+  const state = abState({ windowHours: 3 });
+  finishTestPhase(state);
+  assert.equal(state.status, 'ab_waiting');
+  assert.equal(state.abTest.phase, 'waiting');
+  assert.ok(Math.abs(new Date(state.abTest.testEndsAt) - Date.now() - 3 * 60 * 60 * 1000) < 1000);
+});
+
+test('the variant with the best rate wins; only this campaign\'s opens count', async () => {
+  const startedAt = new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString();
+  const state = {
+    campaignId: 'k1',
+    status: 'ab_waiting',
+    startedAt,
+    sentEmails: ['a1@example.com', 'a2@example.com', 'b1@example.com', 'b2@example.com'],
+    abTest: {
+      ...abState().abTest,
+      phase: 'waiting',
+      testEndsAt: new Date(Date.now() - 1000).toISOString(),
+      assignments: { 'a1@example.com': 'A', 'a2@example.com': 'A', 'b1@example.com': 'B', 'b2@example.com': 'B', 'b3@example.com': 'B' },
+    },
+  };
+  saveCampaign(state);
+  saveData(TRACKING_FILE, [
+    { type: 'open', email: 'a1@example.com', campaignId: 'k1', at: startedAt },
+    { type: 'open', email: 'B1@example.com', campaignId: 'k1', at: startedAt },
+    { type: 'click', email: 'b2@example.com', campaignId: 'k1', link: 'Shop', at: startedAt },
+    { type: 'open', email: 'a2@example.com', campaignId: 'k0', at: startedAt },
+  ]);
+
+  const results = await measureVariants(state);
+  assert.deepEqual(results.A, { sent: 2, opens: 1, clicks: 0, replies: 0, rate: 0.5 });
+  assert.deepEqual(results.B, { sent: 2, opens: 2, clicks: 1, replies: 0, rate: 1 });
+
+  assert.deepEqual(await chooseWinners(), ['k1']);
+  const { abTest } = getCampaign('k1');
+  assert.equal(abTest.phase, 'winner');
+  assert.equal(abTest.winner, 'B');
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
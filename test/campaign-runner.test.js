@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'runner-test-'));
+process.env.TOKEN_SECRET = 'test-secret';
+const config = require('../src/config');
+const mailer = require('../src/mailer');
+const sheets = require('../src/sheets');
+const { LOGS_FILE, saveData, loadData } = require('../src/storage');
+const { addSuppression, findSuppression } = require('../src/suppressions');
+
+// Replies of the fake SMTP server per address, one per attempt
+const replies = new Map();
+const sent = [];
+mailer.sendEmail = async ({ to }) => {
+  sent.push(to);
+  return (replies.get(to) || []).shift() || { success: true, messageId: `<${sent.length}@test>` };
+};
+sheets.findRowByEmailInSheet = async () => null;
+
+const { runCampaign } = require('../src/campaign-runner');
+
+const ALWAYS_OPEN = { days: [0, 1, 2, 3, 4, 5, 6], startHour: 0, endHour: 24, timezone: 'UTC', excludedDates: [] };
+const TEMPLATE = { name: 'Test', subject: 'Hallo {{name}}', contentType: 'html', content: '<p>Hi</p>' };
+
+config.rateLimitSeconds = 0;
+config.retry.maxAttempts = 3;
+config.retry.baseDelaySeconds = 0.01;
+
+function run(recipients) {
+  saveData(LOGS_FILE, []);
+  sent.length = 0;
+  const events = [];
+  const state = { campaignId: `k-${Date.now()}`, sendingWindow: ALWAYS_OPEN };
+  return runCampaign({
+    state,
+    template: TEMPLATE,
+    recipients,
+    emit: (event, data) => events.push({ event, ...data }),
+    saveState: () => {},
+  }).then(result => ({ result, state, events, logs: loadData(LOGS_FILE) }));
+}
+
+test('a transient failure is retried until it is sent', async () => {
+  replies.set('anna@example.com', [{ success: false, transient: true, responseCode: 451, error: '451 4.7.1 Greylisted' }]);
+  const { result, state, events, logs } = await run([{ email: 'anna@example.com' }]);
+
+  assert.deepEqual(result, { sent: 1, failed: 0 });
+  assert.deepEqual(sent, ['anna@example.com', 'anna@example.com']);
+  assert.equal(events.filter(e => e.event === 'retrying').length, 1);
+  assert.deepEqual(state.retries, {});
+  assert.equal(logs.length, 1);
+  assert.deepEqual(logs[0].attempts.map(a => a.status), ['failed', 'sent']);
+});
+
+test('retries stop after maxAttempts', async () => {
+  const greylisted = { success: false, transient: true, responseCode: 451, error: '451 try later' };
+  replies.set('ben@example.com', [greylisted, greylisted, greylisted, greylisted]);
+  const { result, logs } = await run([{ email: 'ben@example.com' }]);
+
+  assert.deepEqual(result, { sent: 0, failed: 1 });
+  assert.equal(sent.length, 3);
+  assert.equal(logs[0].status, 'failed');
+  assert.equal(logs[0].attempts.length, 3);
+});
+
+test('permanent failures are not retried', async () => {
+  replies.set('cem@example.com', [{ success: false, transient: false, responseCode: 554, error: '554 5.7.1 Rejected' }]);
+  const { result } = await run([{ email: 'cem@example.com' }, { email: 'dana@example.com' }]);
+
+  assert.deepEqual(result, { sent: 1, failed: 1 });
+  assert.deepEqual(sent, ['cem@example.com', 'dana@example.com']);
+});
+
+test('a hard bounce suppresses the address', async () => {
+  replies.set('eva@example.com', [{ success: false, transient: false, responseCode: 550, error: '550 5.1.1 User unknown' }]);
+  replies.set('finn@example.com', [{ success: false, transient: false, responseCode: 550, error: '550 5.7.1 Spam' }]);
+  await run([{ email: 'eva@example.com' }, { email: 'finn@example.com' }]);
+
+  assert.equal(findSuppression('eva@example.com').reason, 'hard_bounce');
+  assert.equal(findSuppression('finn@example.com'), null);
+});
+
+test('suppressed recipients are skipped', async () => {
+  addSuppression('@blocked.example', 'manual');
+  const { result, events } = await run([{ email: 'gus@blocked.example' }, { email: 'hanna@example.com' }]);
+
+  assert.deepEqual(result, { sent: 1, failed: 0 });
+  assert.deepEqual(sent, ['hanna@example.com']);
+  assert.deepEqual(events.filter(e => e.event === 'skipped').map(e => e.email), ['gus@blocked.example']);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'contacts-test-'));
+const { LISTS_FILE, saveData, loadData } = require('../src/storage');
+const contacts = require('../src/contacts');
+
+// email-lists.json as it looked before the contacts database
+saveData(LISTS_FILE, [
+  {
+    id: 'l1', name: 'Kunden', sheetName: 'Kunden', createdAt: '2025-01-01T00:00:00.000Z',
+    emails: [{ email: 'anna@example.de', firma: 'ACME', notes: '' }, { email: 'ben@example.de' }],
+  },
+  {
+    id: 'l2', name: 'Newsletter',
+    emails: [{ email: ' Anna@Example.de ', firma: 'Other', city: 'Köln', unsubscribed: true, unsubscribedAt: '2025-06-01T00:00:00.000Z' }, null],
+  },
+]);
+contacts.initContacts();
+
+test('old-style lists become one contact per address plus memberships', () => {
+  const all = contacts.loadContacts();
+  assert.deepEqual(all.map(c => c.email), ['anna@example.de', 'ben@example.de']);
+
+  const anna = all[0];
+  assert.equal(anna.firma, 'ACME');
+  assert.equal(anna.city, 'Köln');
+  assert.equal(anna.notes, undefined);
+  assert.equal(anna.unsubscribed, true);
+  assert.equal(anna.unsubscribedAt, '2025-06-01T00:00:00.000Z');
+  assert.equal(anna.createdAt, '2025-01-01T00:00:00.000Z');
+
+  const lists = loadData(LISTS_FILE);
+  assert.ok(lists.every(list => !('emails' in list)));
+  assert.deepEqual(lists[0].contactIds, all.map(c => c.id));
+  assert.deepEqual(lists[1].contactIds, [anna.id]);
+});
+
+test('migration runs only once', () => {
+  contacts.initContacts();
+  assert.equal(contacts.loadContacts().length, 2);
+});
+
+test('loadLists resolves memberships into emails', () => {
+  const list = contacts.getList('l2');
+  assert.deepEqual(list.emails.map(c => c.email), ['anna@example.de']);
+  assert.deepEqual([...contacts.getMemberships().values()], [['Kunden', 'Newsletter'], ['Kunden']]);
+});
+
+test('upsertContacts matches addresses ignoring case and keeps protected fields', () => {
+  const [anna, carl] = contacts.upsertContacts([
+    { email: 'ANNA@example.de', city: 'Bonn', unsubscribed: false, history: [] },
+    { email: 'carl@example.de', firma: 'Carl GmbH' },
+  ], { clearFields: ['firma'] });
+
+  assert.equal(anna.email, 'anna@example.de');
+  assert.equal(anna.city, 'Bonn');
+  assert.equal(anna.firma, undefined);
+  assert.equal(anna.unsubscribed, true);
+  assert.ok(carl.id);
+  assert.deepEqual(carl.history, []);
+  assert.equal(contacts.loadContacts().length, 3);
+});
+
+test('updateContact changes one contact by ID', () => {
+  const ben = contacts.findContactByEmail(' Ben@example.de');
+  assert.equal(contacts.updateContact(ben.id, { notes: 'called' }).notes, 'called');
+  assert.equal(contacts.findContactByEmail('ben@example.de').notes, 'called');
+  assert.equal(contacts.updateContact('missing', { notes: 'x' }), null);
+});
+
+test('recordContactEvent appends to the history of known addresses only', () => {
+  contacts.recordContactEvent('Ben@example.de', { type: 'sent', campaignId: 'k1' });
+  contacts.recordContactEvent('nobody@example.de', { type: 'sent', campaignId: 'k1' });
+
+  const history = contacts.findContactByEmail('ben@example.de').history;
+  assert.equal(history.length, 1);
+  assert.equal(history[0].type, 'sent');
+  assert.ok(history[0].at);
+});
+
+test('saveList stores resolved emails as contactIds', () => {
+  const carl = contacts.findContactByEmail('carl@example.de');
+  const list = contacts.getList('l2');
+  contacts.saveList({ ...list, emails: [...list.emails, carl, carl] });
+
+  assert.deepEqual(contacts.getList('l2').emails.map(c => c.email), ['anna@example.de', 'carl@example.de']);
+  assert.ok(!('emails' in loadData(LISTS_FILE)[1]));
+});
+
+test('withListSheetNames adds the first list with a sheet tab', () => {
+  const [anna, carl] = contacts.withListSheetNames([
+    contacts.findContactByEmail('anna@example.de'),
+    contacts.findContactByEmail('carl@example.de'),
+  ]);
+  assert.equal(anna.sheetName, 'Kunden');
+  assert.equal(anna.listId, 'l1');
+  assert.equal(carl.sheetName, undefined);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCsv, exportListCsv, filterLogs, exportLogsCsv, exportCampaignReportCsv } = require('../src/csv-export');
+
+const lines = csv => csv.replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+
+test('toCsv starts with a byte order mark and ends rows with CRLF', () => {
+  const csv = toCsv(['a', 'b'], [[1, 'Müller']]);
+  assert.ok(csv.startsWith('\uFEFF'));
+  assert.equal(csv, '\uFEFFa,b\r\n1,Müller\r\n');
+});
+
+test('toCsv quotes separators and escapes formulas', () => {
+  assert.deepEqual(lines(toCsv(['x'], [['a,b'], ['say "hi"'], ['=SUM(A1)'], ['-5'], [null], [['vip', 'b2b']]])).slice(1), [
+    '"a,b"',
+    '"say ""hi"""',
+    "'=SUM(A1)",
+    "'-5",
+    '',
+    '"vip, b2b"',
+  ]);
+});
+
+test('exportListCsv writes custom fields and unsubscribe state', () => {
+  const list = {
+    fields: ['company'],
+    emails: [
+      { email: 'anna@example.com', timezone: 'Europe/Berlin', company: 'ACME', notes: 'VIP' },
+      { email: 'ben@example.com', unsubscribed: true, unsubscribedAt: '2026-01-02T00:00:00.000Z' },
+    ],
+  };
+  assert.deepEqual(lines(exportListCsv(list)), [
+    'email,timezone,unsubscribed,unsubscribed_at,company,notes',
+    'anna@example.com,Europe/Berlin,no,,ACME,VIP',
+    'ben@example.com,,yes,2026-01-02T00:00:00.000Z,,',
+  ]);
+});
+
+test('filterLogs filters by campaign, status and inclusive date range', () => {
+  const logs = [
+    { campaignId: 'k1', status: 'sent', timestamp: '2026-03-01T10:00:00.000Z' },
+    { campaignId: 'k1', status: 'failed', timestamp: '2026-03-02T10:00:00.000Z' },
+    { campaignId: 'k2', status: 'sent', timestamp: '2026-03-03T10:00:00.000Z' },
+  ];
+  assert.equal(filterLogs(logs, { campaignId: 'k1' }).length, 2);
+  assert.equal(filterLogs(logs, { status: 'sent' }).length, 2);
+  assert.deepEqual(filterLogs(logs, { from: '2026-03-02', to: '2026-03-03' }), logs.slice(1));
+  assert.equal(filterLogs(logs).length, 3);
+});
+
+test('exportLogsCsv counts attempts and defaults the type to send', () => {
+  const [, row] = lines(exportLogsCsv([{ timestamp: 't', campaignId: 'k1', email: 'a@example.com', status: 'sent', attempts: [{}, {}] }]));
+  assert.equal(row, 't,send,k1,,,a@example.com,,sent,2,,');
+});
+
+test('the campaign report takes opens and clicks from the tracking store', () => {
+  const state = { startedAt: '2026-03-01T00:00:00.000Z' };
+  const logs = [
+    { email: 'anna@example.com', status: 'failed', timestamp: '2026-03-01T08:00:00.000Z', error: 'timeout' },
+    { email: 'anna@example.com', status: 'sent', timestamp: '2026-03-01T09:00:00.000Z' },
+    { email: 'ben@example.com', status: 'sent', timestamp: '2026-03-01T09:01:00.000Z' },
+    { email: 'ben@example.com', type: 'unsubscribe', status: 'unsubscribed', timestamp: '2026-03-02T00:00:00.000Z' },
+  ];
+  const events = [
+    { type: 'click', email: 'anna@example.com', link: 'Shop', at: '2026-03-01T11:00:00.000Z' },
+    { type: 'open', email: 'Anna@example.com', at: '2026-03-01T10:00:00.000Z' },
+    { type: 'click', email: 'anna@example.com', link: 'Shop', at: '2026-03-01T12:00:00.000Z' },
+  ];
+  // A sheet value is ignored once the campaign has tracking events
+  const sheetRows = [{ email: 'ben@example.com', openedAt: '2026-03-01T10:00:00.000Z', clickedLinks: 'Blog' }];
+
+  assert.deepEqual(lines(exportCampaignReportCsv(state, logs, { events, sheetRows })), [
+    'email,variant,status,sent_at,opened_at,clicked_links,error',
+    'anna@example.com,,sent,2026-03-01T09:00:00.000Z,2026-03-01T10:00:00.000Z,Shop,',
+    'ben@example.com,,sent,2026-03-01T09:01:00.000Z,,,',
+  ]);
+});
+
+test('the campaign report falls back to sheet values opened since the campaign started', () => {
+  const state = { startedAt: '2026-03-01T00:00:00.000Z' };
+  const logs = [
+    { email: 'anna@example.com', status: 'sent', timestamp: '2026-03-01T09:00:00.000Z' },
+    { email: 'ben@example.com', status: 'sent', timestamp: '2026-03-01T09:01:00.000Z' },
+  ];
+  const sheetRows = [
+    { email: 'anna@example.com', openedAt: '2026-03-01T10:00:00.000Z', clickedLinks: 'Shop, Blog' },
+    { email: 'ben@example.com', openedAt: '2026-02-01T10:00:00.000Z', clickedLinks: 'Old offer' },
+  ];
+
+  assert.deepEqual(lines(exportCampaignReportCsv(state, logs, { sheetRows })).slice(1), [
+    'anna@example.com,,sent,2026-03-01T09:00:00.000Z,2026-03-01T10:00:00.000Z,"Shop, Blog",',
+    'ben@example.com,,sent,2026-03-01T09:01:00.000Z,,,',
+  ]);
+});
+
+test('the campaign report lists recipients still waiting for a retry', () => {
+  const state = {
+    abTest: { assignments: { 'cem@example.com': 'B' } },
+    retries: { 'cem@example.com': { attempts: [{ error: '451 Greylisted' }] } },
+  };
+  assert.deepEqual(lines(exportCampaignReportCsv(state, [])).slice(1), ['cem@example.com,B,retrying,,,,451 Greylisted']);
+});
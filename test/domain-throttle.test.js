@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-throttle-test-'));
+const config = require('../src/config');
+const { LOGS_FILE, saveData } = require('../src/storage');
+const {
+  getRecipientDomain,
+  getDomainLimit,
+  answeredByServer,
+  getDomainReadyAt,
+  recordDomainSend,
+  describeDomainLimits,
+} = require('../src/domain-throttle');
+
+const NOW = new Date();
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000).toISOString();
+
+config.domainLimits = { perHour: 2, overrides: { 'gmail.com': 1, 'example.org': 0 } };
+
+// Seeded once, on first use: two answered attempts to web.de, a connection error and an older send
+saveData(LOGS_FILE, [
+  { campaignId: 'k1', email: 'a@web.de', status: 'sent', timestamp: minutesAgo(30), attempts: [{ at: minutesAgo(40), status: 'failed', responseCode: 451 }, { at: minutesAgo(30), status: 'sent' }] },
+  { campaignId: 'k1', email: 'b@web.de', status: 'failed', timestamp: minutesAgo(20), attempts: [{ at: minutesAgo(20), status: 'failed', error: 'ECONNECTION' }] },
+  { campaignId: 'k1', email: 'c@t-online.de', status: 'sent', timestamp: minutesAgo(90) },
+  { type: 'unsubscribe', email: 'd@t-online.de', status: 'unsubscribed', timestamp: minutesAgo(5) },
+]);
+
+test('limits come from the overrides, then the default', () => {
+  assert.equal(getRecipientDomain('Anna@GMAIL.com '), 'gmail.com');
+  assert.equal(getDomainLimit('gmail.com'), 1);
+  assert.equal(getDomainLimit('example.org'), 0);
+  assert.equal(getDomainLimit('web.de'), 2);
+  assert.equal(describeDomainLimits(), '2/h per domain (gmail.com: 1/h, example.org: unlimited/h)');
+});
+
+test('only attempts the mail server answered count', () => {
+  assert.equal(answeredByServer({ success: true }), true);
+  assert.equal(answeredByServer({ success: false, responseCode: 451 }), true);
+  assert.equal(answeredByServer({ success: false, error: 'connect ECONNREFUSED' }), false);
+  assert.equal(answeredByServer({ status: 'sent' }), true);
+});
+
+test('the send logs of the last hour are counted after a restart', () => {
+  // Both web.de attempts were answered; the oldest drops out of the window 20 minutes from now
+  assert.equal(getDomainReadyAt('web.de', NOW).toISOString(), new Date(NOW.getTime() + 20 * 60 * 1000).toISOString());
+  // Older sends and unsubscribes don't count
+  assert.equal(getDomainReadyAt('t-online.de', NOW), NOW);
+});
+
+test('a domain waits once its hourly limit is reached', () => {
+  assert.equal(getDomainReadyAt('gmail.com', NOW), NOW);
+  recordDomainSend('gmail.com', NOW);
+  assert.equal(getDomainReadyAt('gmail.com', NOW).getTime(), NOW.getTime() + 60 * 60 * 1000);
+
+  recordDomainSend('example.org', NOW);
+  recordDomainSend('example.org', NOW);
+  assert.equal(getDomainReadyAt('example.org', NOW), NOW);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
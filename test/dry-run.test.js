@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-test-'));
+process.env.TOKEN_SECRET = 'test-secret';
+const { runDryRun } = require('../src/dry-run');
+
+const TEMPLATE = { name: 'Spring', subject: 'Hallo {{name|Team}}', contentType: 'html', content: '<p>Hi {{name}}, <a href="https://example.com">mehr</a></p>' };
+
+test('writes one .eml per recipient and a summary', async () => {
+  const outputDir = path.join(process.env.DATA_DIR, 'out');
+  const summary = await runDryRun({
+    state: { campaignId: 'k1-dry-run', optOutLang: 'de' },
+    template: TEMPLATE,
+    recipients: [{ email: 'anna@example.com', name: 'Anna' }, { email: 'ben+shop@example.com' }],
+    skipped: [{ email: 'cem@example.com', reason: 'unsubscribed' }],
+    outputDir,
+  });
+
+  assert.equal(summary.dryRun, true);
+  assert.equal(summary.wouldSendCount, 2);
+  assert.deepEqual(summary.wouldSend.map(r => [r.email, r.subject, r.file]), [
+    ['anna@example.com', 'Hallo Anna', '0001-anna@example.com.eml'],
+    ['ben+shop@example.com', 'Hallo Team', '0002-ben_shop@example.com.eml'],
+  ]);
+  assert.deepEqual(summary.skipped, [{ email: 'cem@example.com', reason: 'unsubscribed' }]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outputDir, 'summary.json'), 'utf-8')), summary);
+
+  const message = fs.readFileSync(path.join(outputDir, '0001-anna@example.com.eml'), 'utf-8');
+  assert.match(message, /^To: anna@example\.com/m);
+  assert.match(message, /^Subject: Hallo Anna/m);
+  assert.match(message, /^List-Unsubscribe:\s+<https:\/\/[^>]*\/api\/unsubscribe\/[\w-]+\.[\w-]+>/m);
+  assert.match(message, /^List-Unsubscribe-Post: List-Unsubscribe=One-Click/m);
+});
+
+test('a template error skips recipients instead of failing the run', async () => {
+  const summary = await runDryRun({
+    state: { campaignId: 'k2-dry-run' },
+    template: { ...TEMPLATE, content: '{{#if name}}never closed' },
+    recipients: [{ email: 'anna@example.com' }],
+    outputDir: path.join(process.env.DATA_DIR, 'broken'),
+  });
+
+  assert.equal(summary.wouldSendCount, 0);
+  assert.match(summary.skipped[0].reason, /^render error: Line 1: /);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const { normalizeEmail, checkSyntax, isRoleAccount, isDisposableDomain, validateEmail, checkEmailList } = require('../src/email-validation');
+
+config.emailValidation.mxLookup = false; // no DNS in tests
+
+test('normalizeEmail trims and lowercases only the domain', () => {
+  assert.equal(normalizeEmail('  Anna.Schmidt@Example.DE '), 'Anna.Schmidt@example.de');
+  assert.equal(normalizeEmail('no-at-sign '), 'no-at-sign');
+  assert.equal(normalizeEmail(undefined), '');
+});
+
+test('checkSyntax accepts ordinary addresses', () => {
+  ['anna@example.de', 'a.b+news@mail.example.com', "o'brien@example.ie", 'x@xn--mller-kva.de'].forEach(email => {
+    assert.equal(checkSyntax(email), null, email);
+  });
+});
+
+test('checkSyntax says why an address is invalid', () => {
+  assert.equal(checkSyntax(''), 'no email address');
+  assert.equal(checkSyntax('anna.example.de'), 'missing @');
+  assert.equal(checkSyntax('@example.de'), 'invalid name before the @');
+  assert.equal(checkSyntax('anna..b@example.de'), 'invalid name before the @');
+  assert.equal(checkSyntax('anna@localhost'), 'invalid domain');
+  assert.equal(checkSyntax('anna@-example.de'), 'invalid domain');
+  assert.equal(checkSyntax('anna@example.d3'), 'invalid top-level domain');
+  assert.equal(checkSyntax(`${'a'.repeat(250)}@example.de`), 'address is too long');
+});
+
+test('role accounts and disposable domains are recognised', () => {
+  assert.equal(isRoleAccount('Info@example.de'), true);
+  assert.equal(isRoleAccount('anna@example.de'), false);
+  const disposable = require('../src/disposable-domains.json')[0];
+  assert.equal(isDisposableDomain(disposable), true);
+  assert.equal(isDisposableDomain('example.de'), false);
+});
+
+test('validateEmail grades addresses as valid, risky or invalid', async () => {
+  assert.equal((await validateEmail('anna@example.de')).status, 'valid');
+  assert.deepEqual((await validateEmail('noreply@example.de')).reasons, ['role account']);
+  assert.equal((await validateEmail('noreply@example.de')).status, 'risky');
+  assert.deepEqual((await validateEmail('anna@example')).reasons, ['invalid domain']);
+  assert.equal((await validateEmail('anna@example')).status, 'invalid');
+});
+
+test('checkEmailList normalises, deduplicates and reports', async () => {
+  const { contacts, report } = await checkEmailList([
+    { email: 'Anna@Example.de', name: 'Anna' },
+    { email: 'anna@example.de', name: 'Duplicate' },
+    { email: 'info@example.de' },
+    { email: 'broken@' },
+    { email: '   ' },
+  ]);
+
+  assert.deepEqual(contacts.map(c => c.email), ['Anna@example.de', 'info@example.de', 'broken@']);
+  assert.equal(contacts[0].name, 'Anna');
+  assert.equal(report.total, 3);
+  assert.equal(report.valid, 1);
+  assert.deepEqual(report.risky, [{ email: 'info@example.de', reasons: ['role account'] }]);
+  assert.deepEqual(report.invalid.map(i => i.email), ['broken@']);
+  assert.deepEqual(report.duplicates, ['anna@example.de']);
+  assert.deepEqual(report.normalized, [{ from: 'Anna@Example.de', to: 'Anna@example.de' }]);
+});
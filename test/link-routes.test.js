@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'link-routes-test-'));
+process.env.TOKEN_SECRET = 'test-secret';
+const { CONTACTS_FILE, CAMPAIGNS_FILE, LOGS_FILE, saveData, loadData } = require('../src/storage');
+const { createToken } = require('../src/tokens');
+const { getRecipientRef } = require('../src/recipients');
+const { listTrackingEvents } = require('../src/tracking');
+const { findSuppression } = require('../src/suppressions');
+const { findContactByEmail } = require('../src/contacts');
+
+saveData(CONTACTS_FILE, [{ id: 'c1', email: 'anna@example.com', history: [] }]);
+saveData(CAMPAIGNS_FILE, [{ campaignId: 'k1', status: 'complete', sentEmails: ['anna@example.com', 'sheet-only@example.com'] }]);
+saveData(LOGS_FILE, [{ email: 'anna@example.com', campaignId: 'k1', status: 'sent', timestamp: new Date().toISOString() }]);
+
+const PORT = 40000 + Math.floor(Math.random() * 10000);
+const BASE = `http://127.0.0.1:${PORT}`;
+let server;
+
+test.before(() => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+    env: { ...process.env, PORT: String(PORT), EMAIL_MX_LOOKUP: 'false' },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  server.stdout.on('data', chunk => {
+    if (String(chunk).includes('Local URL')) resolve();
+  });
+  server.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+}));
+
+test.after(() => {
+  server.kill();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const get = (url, options = {}) => fetch(BASE + url, { redirect: 'manual', ...options });
+
+test('the tracking pixel records opens of valid tokens and always answers with the image', async () => {
+  const valid = await get(`/api/track?t=${createToken('open', { contactId: 'c1', campaignId: 'k1' })}`);
+  assert.equal(valid.headers.get('content-type'), 'image/gif');
+  assert.ok((await valid.arrayBuffer()).byteLength > 0);
+
+  const forged = await get('/api/track?t=abc.def');
+  assert.equal(forged.status, 200);
+  assert.equal(forged.headers.get('content-type'), 'image/gif');
+
+  assert.deepEqual(listTrackingEvents().map(e => [e.type, e.email, e.campaignId]), [['open', 'anna@example.com', 'k1']]);
+});
+
+test('click links redirect to the signed target only', async () => {
+  const token = createToken('click', { recipientRef: getRecipientRef('Sheet-Only@example.com'), campaignId: 'k1', linkId: 0, url: 'https://shop.example/?a=1&b=2', linkName: 'Shop' });
+  const click = await get(`/api/click?t=${token}`);
+  assert.equal(click.status, 302);
+  assert.equal(click.headers.get('location'), 'https://shop.example/?a=1&b=2');
+  assert.equal(listTrackingEvents().at(-1).email, 'sheet-only@example.com');
+
+  const [data, signature] = token.split('.');
+  const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+  const altered = Buffer.from(JSON.stringify({ ...payload, u: 'https://evil.example/' })).toString('base64url');
+  assert.equal((await get(`/api/click?t=${altered}.${signature}`)).status, 400);
+});
+
+test('unsubscribe links in a browser go to the preference page', async () => {
+  const token = createToken('unsubscribe', { contactId: 'c1', campaignId: 'k1' });
+  const res = await get(`/api/unsubscribe/${token}?lang=en`);
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), `../preferences/${token}?lang=en`);
+});
+
+test('forged unsubscribe tokens get the invalid link page', async () => {
+  const token = createToken('unsubscribe', { contactId: 'c1', campaignId: 'k1' });
+  const forged = `${Buffer.from(JSON.stringify({ p: 'unsubscribe', r: 'c2', c: 'k1', l: null })).toString('base64url')}.${token.split('.')[1]}`;
+
+  const page = await get(`/api/preferences/${forged}`);
+  assert.equal(page.status, 400);
+  assert.match(await page.text(), /Invalid link/);
+  assert.equal((await get(`/api/preferences/${createToken('open', { contactId: 'c1' })}`)).status, 400);
+});
+
+test('old address links get the invalid link page and no token', async () => {
+  const res = await get('/api/unsubscribe/anna%40example.com');
+  assert.equal(res.status, 400);
+  assert.equal(res.headers.get('location'), null);
+  const body = await res.text();
+  assert.match(body, /Invalid link/);
+  assert.doesNotMatch(body, /preferences\//);
+  assert.equal(loadData(LOGS_FILE).filter(l => l.type === 'unsubscribe').length, 0);
+});
+
+const oneClick = token => get(`/api/unsubscribe/${token}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: 'List-Unsubscribe=One-Click',
+});
+
+test('a one-click POST unsubscribes the contact and suppresses the address', async () => {
+  const res = await oneClick(createToken('unsubscribe', { contactId: 'c1', campaignId: 'k1' }));
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'Unsubscribed');
+
+  const contact = findContactByEmail('anna@example.com');
+  assert.equal(contact.unsubscribed, true);
+  assert.deepEqual(contact.history.map(h => [h.type, h.campaignId]).at(-1), ['unsubscribed', 'k1']);
+  assert.equal(findSuppression('anna@example.com').reason, 'unsubscribe');
+  assert.equal(loadData(LOGS_FILE).at(-1).type, 'unsubscribe');
+});
+
+test('a one-click POST works for recipients outside the contacts database', async () => {
+  const res = await oneClick(createToken('unsubscribe', { recipientRef: getRecipientRef('sheet-only@example.com'), campaignId: 'k1' }));
+  assert.equal(res.status, 200);
+  assert.equal(findSuppression('sheet-only@example.com').source, 'one-click unsubscribe');
+});
+
+test('a one-click POST with a forged token changes nothing', async () => {
+  const res = await oneClick(createToken('open', { recipientRef: getRecipientRef('cem@example.com'), campaignId: 'k1' }));
+  assert.equal(res.status, 400);
+  assert.equal(findSuppression('cem@example.com'), null);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { parseCsv, readImportFile, suggestMapping, validateMapping, buildImport } = require('../src/list-import');
+
+test('parseCsv detects the delimiter and handles quotes', () => {
+  assert.deepEqual(parseCsv('\uFEFFE-Mail;Shop\r\na@example.com;"Kaffee; Kuchen"\r\n\r\nb@example.com;"Sag ""Hallo""\nzweite Zeile"'), [
+    ['E-Mail', 'Shop'],
+    ['a@example.com', 'Kaffee; Kuchen'],
+    ['b@example.com', 'Sag "Hallo"\nzweite Zeile'],
+  ]);
+  assert.deepEqual(parseCsv('email\tcity\na@example.com\tBerlin'), [['email', 'city'], ['a@example.com', 'Berlin']]);
+});
+
+test('readImportFile reads CSV and XLSX and rejects other files', async () => {
+  assert.deepEqual(await readImportFile(Buffer.from('email,\na@example.com,x'), 'list.csv'), {
+    headers: ['email', 'column_2'],
+    rows: [['a@example.com', 'x']],
+  });
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Kontakte').addRows([['E-Mail', 'Zeitzone'], ['a@example.com', 'Europe/Berlin']]);
+  const xlsx = Buffer.from(await workbook.xlsx.writeBuffer());
+  assert.deepEqual(await readImportFile(xlsx, 'Kontakte.XLSX'), {
+    headers: ['E-Mail', 'Zeitzone'],
+    rows: [['a@example.com', 'Europe/Berlin']],
+  });
+
+  await assert.rejects(readImportFile(Buffer.from('x'), 'list.pdf'), /Unsupported file type/);
+  await assert.rejects(readImportFile(Buffer.from('\n\n'), 'list.csv'), /empty/);
+});
+
+test('suggestMapping guesses email, timezone and field names', () => {
+  assert.deepEqual(
+    suggestMapping(['E-Mail', 'Zeitzone', 'Shop Name', 'Straße', 'Email', '123', 'Unsubscribed']),
+    ['email', 'timezone', 'shop_name', 'strasse', 'email', '', '']
+  );
+});
+
+test('validateMapping needs one email column and valid, unique fields', () => {
+  assert.equal(validateMapping(['email', 'shop', '']), null);
+  assert.equal(validateMapping(['shop']), 'Map one column to "email"');
+  assert.equal(validateMapping(['email', 'shop', 'shop']), 'Column "shop" is mapped twice');
+  assert.match(validateMapping(['email', 'unsubscribed']), /^Invalid field name "unsubscribed"/);
+});
+
+test('buildImport reports invalid rows, duplicates and other lists', () => {
+  const lists = [
+    { id: 'l1', name: 'Shops', emails: [{ email: 'anna@example.com' }] },
+    { id: 'l2', name: 'Cafés', emails: [{ email: 'ANNA@example.com' }, { email: 'ben@example.com' }] },
+  ];
+  const { contacts, fields, report } = buildImport({
+    rows: [
+      ['anna@EXAMPLE.com', 'Europe/Berlin', 'Bioladen'],
+      ['', '', 'no address'],
+      ['not-an-address', '', ''],
+      ['ben@example.com', 'Mars/Olympus', ''],
+      ['Anna@example.com', '', 'again'],
+      ['cem@example.com', '', ''],
+    ],
+    mapping: ['email', 'timezone', 'shop'],
+    lists,
+    listId: 'l1',
+  });
+
+  assert.deepEqual(fields, ['shop']);
+  assert.deepEqual(contacts, [
+    { email: 'anna@example.com', timezone: 'Europe/Berlin', shop: 'Bioladen' },
+    { email: 'cem@example.com' },
+  ]);
+  assert.deepEqual(report.invalid.map(r => [r.row, r.reason]), [
+    [3, 'no email address'],
+    [4, 'invalid email address (missing @)'],
+    [5, 'invalid timezone "Mars/Olympus"'],
+  ]);
+  assert.deepEqual(report.duplicates, [{ row: 6, email: 'Anna@example.com', firstRow: 2 }]);
+  assert.deepEqual(report.onOtherLists, [{ email: 'anna@example.com', lists: ['Cafés'] }]);
+  assert.deepEqual(report.alreadyOnList, ['anna@example.com']);
+  assert.equal(report.newContacts, 1);
+});
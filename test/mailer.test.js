@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const { buildRawMessage, isTransientError } = require('../src/mailer');
+
+test('4xx replies and network errors are transient, 5xx replies are not', () => {
+  assert.equal(isTransientError({ responseCode: 421 }), true);
+  assert.equal(isTransientError({ responseCode: 451 }), true);
+  assert.equal(isTransientError({ responseCode: 550 }), false);
+  assert.equal(isTransientError({ code: 'ETIMEDOUT' }), true);
+  assert.equal(isTransientError({ code: 'ECONNECTION' }), true);
+  assert.equal(isTransientError({ code: 'EAUTH' }), false);
+});
+
+test('campaign messages carry one-click List-Unsubscribe headers', async () => {
+  const headersOf = message => String(message).split('\r\n\r\n')[0].replace(/\r\n[ \t]+/g, ' ');
+  const url = 'https://mail.example/api/unsubscribe/abc.def';
+
+  config.email.unsubscribeEmail = 'unsubscribe@example.com';
+  const headers = headersOf(await buildRawMessage({ to: 'anna@example.com', subject: 'Hi', html: '<p>Hi</p>', unsubscribeUrl: url }));
+  assert.match(headers, /^List-Unsubscribe: <mailto:unsubscribe@example\.com\?subject=unsubscribe>, <https:\/\/mail\.example\/api\/unsubscribe\/abc\.def>$/m);
+  assert.match(headers, /^List-Unsubscribe-Post: List-Unsubscribe=One-Click$/m);
+
+  config.email.unsubscribeEmail = '';
+  const httpsOnly = headersOf(await buildRawMessage({ to: 'anna@example.com', subject: 'Hi', html: '<p>Hi</p>', unsubscribeUrl: url }));
+  assert.match(httpsOnly, /^List-Unsubscribe: <https:\/\/mail\.example\/api\/unsubscribe\/abc\.def>$/m);
+
+  const withoutUrl = headersOf(await buildRawMessage({ to: 'anna@example.com', subject: 'Hi', html: '<p>Hi</p>' }));
+  assert.doesNotMatch(withoutUrl, /List-Unsubscribe/);
+});
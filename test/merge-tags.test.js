@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderMergeTags, validateTemplateText, getMergeTags } = require('../src/merge-tags');
+
+test('fills fields and falls back when a field is empty', () => {
+  assert.equal(renderMergeTags('Hallo {{name|liebes Team}}, {{shop}}', { name: 'Anna', shop: 'Bioladen' }), 'Hallo Anna, Bioladen');
+  assert.equal(renderMergeTags('Hallo {{name|liebes Team}}', { name: '  ' }), 'Hallo liebes Team');
+  assert.equal(renderMergeTags('Hallo {{name}}!', {}), 'Hallo !');
+});
+
+test('escapes values for HTML bodies only', () => {
+  const contact = { shop: 'Kaffee & <Kuchen>' };
+  assert.equal(renderMergeTags('{{shop}}', contact, { escape: true }), 'Kaffee &amp; &lt;Kuchen&gt;');
+  assert.equal(renderMergeTags('{{shop}}', contact), 'Kaffee & <Kuchen>');
+});
+
+test('leaves internal placeholders alone', () => {
+  assert.equal(renderMergeTags('{{EMAIL}} {{TAG_1}}', { email: 'a@example.com' }), '{{EMAIL}} {{TAG_1}}');
+});
+
+test('if blocks compare without case and surrounding spaces', () => {
+  const text = '{{#if segment == "sustainable"}}grün{{else}}normal{{/if}}';
+  assert.equal(renderMergeTags(text, { segment: ' Sustainable ' }), 'grün');
+  assert.equal(renderMergeTags(text, { segment: 'other' }), 'normal');
+  assert.equal(renderMergeTags(text, {}), 'normal');
+
+  assert.equal(renderMergeTags('{{#if !shop}}no shop{{/if}}', {}), 'no shop');
+  assert.equal(renderMergeTags('{{#if language != "de"}}en{{/if}}', {}), 'en');
+});
+
+test('contains and each work on lists and comma-separated values', () => {
+  assert.equal(renderMergeTags('{{#if tags contains "bio"}}yes{{/if}}', { tags: 'vegan, Bio' }), 'yes');
+  assert.equal(renderMergeTags('{{#if tags contains "bio"}}yes{{/if}}', { tags: ['vegan'] }), '');
+  assert.equal(renderMergeTags('{{#each tags}}{{@index}}. {{this}} {{/each}}', { tags: 'a, b' }), '1. a 2. b ');
+});
+
+test('reports syntax errors with their line', () => {
+  assert.equal(validateTemplateText('Hallo {{name}}'), null);
+  assert.match(validateTemplateText('Hallo\n{{#if shop}}\nText'), /^Line 2: /);
+  assert.match(validateTemplateText('{{#if shop ==}}x{{/if}}'), /^Line 1: Invalid condition/);
+  assert.throws(() => renderMergeTags('{{/if}}', {}), /^Error: Line 1: /);
+});
+
+test('lists the fields a text uses', () => {
+  assert.deepEqual(getMergeTags('Hallo {{name}} aus {{city|Berlin}}, {{name}}').sort(), ['city', 'name']);
+  assert.deepEqual(getMergeTags('No tags, {{EMAIL}}'), []);
+});
+
+test('lists the fields used in blocks', () => {
+  const fields = getMergeTags('{{name}} {{#if segment == "x"}}{{#each tags}}{{this}}{{/each}}{{else}}{{city}}{{/if}}');
+  assert.deepEqual(fields.sort(), ['city', 'name', 'segment', 'tags']);
+  assert.deepEqual(getMergeTags('{{#if x}}'), []);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'preferences-test-'));
+const { CONTACTS_FILE, LISTS_FILE, saveData, loadData } = require('../src/storage');
+const sheets = require('../src/sheets');
+const { findContactByEmail } = require('../src/contacts');
+const { isPaused, getPreferences, savePreferences } = require('../src/preferences');
+
+// The list tabs are written in the background after the page has answered
+const sheetWrites = [];
+sheets.findRowByEmailInSheet = async () => 3;
+sheets.setOptOutInSheet = async (sheetName, rowIndex, value) => sheetWrites.push([sheetName, value]);
+sheets.updateContactFieldsInSheet = async (sheetName, fields) => sheetWrites.push([sheetName, fields]);
+const sheetSyncDone = () => new Promise(resolve => setTimeout(resolve, 10));
+
+saveData(CONTACTS_FILE, [
+  { id: 'c1', email: 'anna@example.com', history: [] },
+  { id: 'c2', email: 'ben@example.com', unsubscribed: true, history: [] },
+]);
+saveData(LISTS_FILE, [
+  { id: 'l1', name: 'Kunden', topic: 'News', sheetName: 'Kunden', fields: [], contactIds: ['c1', 'c2'] },
+  { id: 'l2', name: 'Events', contactIds: ['c1'] },
+  { id: 'l3', name: 'Other', contactIds: ['c2'] },
+]);
+
+const contact = () => findContactByEmail('anna@example.com');
+
+test('getPreferences lists the contact\'s lists by topic', () => {
+  assert.deepEqual(getPreferences(contact()), {
+    lists: [{ id: 'l1', topic: 'News', subscribed: true }, { id: 'l2', topic: 'Events', subscribed: true }],
+    pausedUntil: null,
+    language: '',
+    unsubscribed: false,
+  });
+});
+
+test('invalid input and unsubscribed contacts are rejected', () => {
+  assert.deepEqual(savePreferences('c1', { listIds: ['l1', 'l2'], pause: '7' }), { error: 'Invalid pause' });
+  assert.deepEqual(savePreferences('c1', { listIds: ['l1', 'l2'], language: 'fr' }), { error: 'Invalid language' });
+  assert.deepEqual(savePreferences('c2', { listIds: ['l1'] }), { error: 'Unsubscribed' });
+  assert.deepEqual(savePreferences('missing', {}), { error: 'Contact not found' });
+});
+
+test('unticked lists are left and can be rejoined', async () => {
+  const { changes } = savePreferences('c1', { listIds: 'l2' });
+  assert.deepEqual(changes, ['left "News"']);
+  assert.deepEqual(loadData(LISTS_FILE)[0].contactIds, ['c2']);
+  assert.deepEqual(contact().leftLists, ['l1']);
+  assert.deepEqual(getPreferences(contact()).lists.map(l => l.subscribed), [false, true]);
+  await sheetSyncDone();
+  assert.equal(sheetWrites.shift()[0], 'Kunden');
+
+  assert.deepEqual(savePreferences('c1', { listIds: ['l1', 'l2'] }).changes, ['rejoined "News"']);
+  assert.deepEqual(loadData(LISTS_FILE)[0].contactIds, ['c2', 'c1']);
+  assert.equal(contact().leftLists, undefined);
+  await sheetSyncDone();
+  assert.deepEqual(sheetWrites.splice(0), [['Kunden', '']]);
+});
+
+test('a pause is kept, replaced or ended', async () => {
+  const { changes } = savePreferences('c1', { listIds: ['l1', 'l2'], pause: '30' });
+  assert.match(changes[0], /^paused until \d{4}-\d{2}-\d{2}$/);
+  const { pausedUntil } = contact();
+  assert.ok(isPaused(contact()));
+  assert.ok(Math.abs(new Date(pausedUntil) - Date.now() - 30 * 24 * 60 * 60 * 1000) < 1000);
+  await sheetSyncDone();
+  assert.deepEqual(sheetWrites.splice(0), [['Kunden', sheets.PAUSED_PREFIX + pausedUntil.slice(0, 10)]]);
+
+  assert.deepEqual(savePreferences('c1', { listIds: ['l1', 'l2'], pause: 'keep' }).changes, []);
+  assert.equal(contact().pausedUntil, pausedUntil);
+
+  assert.deepEqual(savePreferences('c1', { listIds: ['l1', 'l2'], pause: '' }).changes, ['resumed emails']);
+  assert.equal(isPaused(contact()), false);
+  await sheetSyncDone();
+  assert.deepEqual(sheetWrites.splice(0), [['Kunden', '']]);
+});
+
+test('a language becomes a field of the contact\'s lists', async () => {
+  assert.deepEqual(savePreferences('c1', { listIds: ['l1', 'l2'], language: 'en' }).changes, ['language en']);
+  assert.equal(contact().language, 'en');
+  assert.deepEqual(loadData(LISTS_FILE).map(l => l.fields), [['language'], ['language'], undefined]);
+  assert.equal(contact().history.filter(h => h.type === 'preferences').length, 5);
+  await sheetSyncDone();
+  assert.deepEqual(sheetWrites.splice(0), [['Kunden', ['language']]]);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-test-'));
+const { CONTACTS_FILE, LISTS_FILE, LOGS_FILE, CAMPAIGNS_FILE, TRACKING_FILE, saveData } = require('../src/storage');
+const sheets = require('../src/sheets');
+const { normalizeSegment, evaluateSegment, getEngagement } = require('../src/segments');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+saveData(CONTACTS_FILE, [
+  { id: 'c1', email: 'anna@example.com', district: 'Mitte', tags: ['bio', 'vegan'], history: [{ type: 'opened', campaignId: 'k1', at: daysAgo(1) }] },
+  { id: 'c2', email: 'ben@example.com', district: 'mitte ', tags: 'vegan', history: [{ type: 'clicked', campaignId: 'k1', at: daysAgo(1) }] },
+  { id: 'c3', email: 'cem@example.com', history: [] },
+]);
+saveData(LISTS_FILE, [{ id: 'l1', name: 'Shops', contactIds: ['c1', 'c3'] }]);
+saveData(LOGS_FILE, [{ email: 'cem@example.com', campaignId: 'k0', status: 'sent', timestamp: daysAgo(3) }]);
+saveData(CAMPAIGNS_FILE, [{ campaignId: 'k1', startedAt: daysAgo(2), sentEmails: ['anna@example.com', 'ben@example.com'] }]);
+
+const emailsOf = contacts => contacts.map(c => c.email).sort();
+const segmentOf = (rules, match = 'all') => normalizeSegment({ name: 'Test', match, rules }).segment;
+
+test('normalizeSegment validates and fills in rules', () => {
+  const { segment } = normalizeSegment({
+    name: ' Mitte ',
+    rules: [{ type: 'list', listId: 'l1', negate: 1 }, { type: 'opened' }, { type: 'emailed_within', days: '7' }],
+  });
+  assert.deepEqual(segment, {
+    name: 'Mitte',
+    match: 'all',
+    rules: [
+      { type: 'list', negate: true, listId: 'l1' },
+      { type: 'opened', negate: false, campaignId: 'last' },
+      { type: 'emailed_within', negate: false, days: 7 },
+    ],
+  });
+});
+
+test('normalizeSegment rejects incomplete input', () => {
+  assert.match(normalizeSegment({ rules: [{ type: 'opened' }] }).error, /name/);
+  assert.match(normalizeSegment({ name: 'x', rules: [] }).error, /at least one rule/);
+  assert.match(normalizeSegment({ name: 'x', rules: [{ type: 'list', listId: 'missing' }] }).error, /^Rule 1: choose a list/);
+  assert.match(normalizeSegment({ name: 'x', rules: [{ type: 'field', field: 'District', operator: 'equals' }] }).error, /^Rule 1: enter a field name/);
+  assert.match(normalizeSegment({ name: 'x', rules: [{ type: 'opened' }, { type: 'bounced' }] }).error, /^Rule 2: unknown rule type/);
+});
+
+test('field rules ignore case and spaces; contains matches list entries', async () => {
+  const equals = segmentOf([{ type: 'field', field: 'district', operator: 'equals', value: 'mitte' }]);
+  assert.deepEqual(emailsOf(await evaluateSegment(equals)), ['anna@example.com', 'ben@example.com']);
+
+  const contains = segmentOf([{ type: 'field', field: 'tags', operator: 'contains', value: 'bio' }]);
+  assert.deepEqual(emailsOf(await evaluateSegment(contains)), ['anna@example.com']);
+});
+
+test('list rules can be negated and combined with any', async () => {
+  const notOnList = segmentOf([{ type: 'list', listId: 'l1', negate: true }]);
+  assert.deepEqual(emailsOf(await evaluateSegment(notOnList)), ['ben@example.com']);
+
+  const either = segmentOf([
+    { type: 'list', listId: 'l1', negate: true },
+    { type: 'field', field: 'tags', operator: 'contains', value: 'bio' },
+  ], 'any');
+  assert.deepEqual(emailsOf(await evaluateSegment(either)), ['anna@example.com', 'ben@example.com']);
+});
+
+test('engagement rules use the contact history of the last campaign', async () => {
+  const opened = segmentOf([{ type: 'opened', campaignId: 'last' }]);
+  assert.deepEqual(emailsOf(await evaluateSegment(opened)), ['anna@example.com', 'ben@example.com']);
+
+  const clicked = segmentOf([{ type: 'clicked', campaignId: 'k1' }]);
+  assert.deepEqual(emailsOf(await evaluateSegment(clicked)), ['ben@example.com']);
+
+  const runningCampaign = segmentOf([{ type: 'opened', campaignId: 'last' }]);
+  assert.deepEqual(await evaluateSegment(runningCampaign, { excludeCampaignId: 'k1' }), []);
+});
+
+test('emailed_within uses the send logs', async () => {
+  assert.deepEqual(emailsOf(await evaluateSegment(segmentOf([{ type: 'emailed_within', days: 7 }]))), ['cem@example.com']);
+  assert.deepEqual(await evaluateSegment(segmentOf([{ type: 'emailed_within', days: 2 }])), []);
+});
+
+test('a campaign without tracking events only counts sheet rows opened since it started', async () => {
+  // The tab is shared with earlier campaigns to the list
+  sheets.getRowsFromSheet = async () => [
+    { email: 'anna@example.com', openedAt: daysAgo(1), clickedLinks: '' },
+    { email: 'ben@example.com', openedAt: daysAgo(10), clickedLinks: 'Old offer' },
+    { email: 'cem@example.com', openedAt: daysAgo(1), clickedLinks: 'Shop' },
+  ];
+  const campaign = { campaignId: 'k-old', sheetName: 'Shops', startedAt: daysAgo(2), sentEmails: ['anna@example.com', 'ben@example.com'] };
+  const { opened, clicked } = await getEngagement(campaign, []);
+
+  assert.deepEqual([...opened], ['anna@example.com']);
+  assert.deepEqual([...clicked], []);
+});
+
+test('a campaign with tracking events ignores the sheet tab', async () => {
+  saveData(TRACKING_FILE, [
+    { type: 'click', email: 'Cem@example.com', campaignId: 'k-new', link: 'Shop', at: daysAgo(1) },
+    { type: 'click', email: 'anna@example.com', campaignId: 'k-other', link: 'Shop', at: daysAgo(1) },
+  ]);
+  sheets.getRowsFromSheet = async () => [{ email: 'anna@example.com', openedAt: daysAgo(1), clickedLinks: 'Shop' }];
+  const campaign = { campaignId: 'k-new', sheetName: 'Shops', startedAt: daysAgo(2), sentEmails: ['anna@example.com', 'cem@example.com'] };
+  const { opened, clicked } = await getEngagement(campaign, []);
+
+  assert.deepEqual([...opened], ['cem@example.com']);
+  assert.deepEqual([...clicked], ['cem@example.com']);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_SENDING_WINDOW,
+  normalizeSendingWindow,
+  getNextWindowStart,
+  getRecipientWindow,
+  isWithinSendingWindow,
+  formatTimeRemaining,
+  describeSendingWindow,
+} = require('../src/sending-window');
+
+// Mon-Fri 09:00-17:00 Berlin time; 2026-01-05 is a Monday (CET = UTC+1)
+const WINDOW = { days: [1, 2, 3, 4, 5], startHour: 9, endHour: 17, timezone: 'Europe/Berlin', excludedDates: [] };
+
+test('normalizeSendingWindow fills in defaults and sorts days', () => {
+  assert.deepEqual(normalizeSendingWindow(null).window, DEFAULT_SENDING_WINDOW);
+  assert.deepEqual(normalizeSendingWindow({ days: ['5', 1, 1], startHour: '9', endHour: 17 }).window, {
+    ...DEFAULT_SENDING_WINDOW, days: [1, 5], startHour: 9, endHour: 17,
+  });
+});
+
+test('normalizeSendingWindow rejects invalid windows', () => {
+  assert.match(normalizeSendingWindow({ days: [] }).error, /at least one weekday/);
+  assert.match(normalizeSendingWindow({ days: [7] }).error, /at least one weekday/);
+  assert.match(normalizeSendingWindow({ startHour: 18, endHour: 9 }).error, /start < end/);
+  assert.match(normalizeSendingWindow({ timezone: 'Mars/Olympus' }).error, /Invalid timezone/);
+  assert.match(normalizeSendingWindow({ excludedDates: ['24.12.2026'] }).error, /YYYY-MM-DD/);
+});
+
+test('the window is open between its hours on its days', () => {
+  assert.equal(isWithinSendingWindow(WINDOW, new Date('2026-01-05T08:00:00Z')), true); // Mon 09:00 Berlin
+  assert.equal(isWithinSendingWindow(WINDOW, new Date('2026-01-05T16:00:00Z')), false); // Mon 17:00 Berlin
+  assert.equal(isWithinSendingWindow(WINDOW, new Date('2026-01-10T10:00:00Z')), false); // Saturday
+});
+
+test('getNextWindowStart skips closed days and excluded dates', () => {
+  const from = new Date('2026-01-09T17:00:00Z'); // Fri 18:00 Berlin
+  assert.equal(getNextWindowStart(WINDOW, from).toISOString(), '2026-01-12T08:00:00.000Z');
+  assert.equal(
+    getNextWindowStart({ ...WINDOW, excludedDates: ['2026-01-12'] }, from).toISOString(),
+    '2026-01-13T08:00:00.000Z'
+  );
+  assert.equal(getNextWindowStart(WINDOW, new Date('2026-01-05T10:00:00Z')).toISOString(), '2026-01-05T10:00:00.000Z');
+});
+
+test('getNextWindowStart follows daylight saving time', () => {
+  // 2026-03-30 is the Monday after the switch to CEST (UTC+2)
+  assert.equal(getNextWindowStart(WINDOW, new Date('2026-03-28T12:00:00Z')).toISOString(), '2026-03-30T07:00:00.000Z');
+});
+
+test('a window that never opens is rejected', () => {
+  const excludedDates = [];
+  for (let i = 0; i < 400; i++) excludedDates.push(new Date(Date.now() + i * 86400000).toISOString().slice(0, 10));
+  assert.throws(() => getNextWindowStart({ ...WINDOW, days: [0, 1, 2, 3, 4, 5, 6], timezone: 'UTC', excludedDates }), /never opens/);
+});
+
+test('recipient delivery mode uses the contact timezone when valid', () => {
+  assert.equal(getRecipientWindow(WINDOW, { timezone: 'America/New_York' }, 'recipient').timezone, 'America/New_York');
+  assert.equal(getRecipientWindow(WINDOW, { timezone: 'nowhere' }, 'recipient'), WINDOW);
+  assert.equal(getRecipientWindow(WINDOW, { timezone: 'America/New_York' }, 'campaign'), WINDOW);
+});
+
+test('describes windows and waiting times', () => {
+  assert.equal(describeSendingWindow(WINDOW), 'Mon-Fri 09:00-17:00 (Europe/Berlin)');
+  assert.equal(describeSendingWindow({ ...WINDOW, days: [1, 3] }), 'Mon,Wed 09:00-17:00 (Europe/Berlin)');
+  assert.equal(formatTimeRemaining(2 * 3600000 + 5 * 60000), '2h 5m');
+});
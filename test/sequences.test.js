@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sequences-test-'));
+const { CONTACTS_FILE, LISTS_FILE, TEMPLATES_FILE, TRACKING_FILE, saveData } = require('../src/storage');
+const campaignQueue = require('../src/campaign-queue');
+const { getCampaign, saveCampaign } = require('../src/campaigns');
+const { updateContact } = require('../src/contacts');
+
+const queued = [];
+campaignQueue.enqueueCampaign = campaignId => queued.push(campaignId);
+
+const { normalizeSequence, saveSequence, getSequence, startSequence, processSequences } = require('../src/sequences');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+saveData(CONTACTS_FILE, ['anna', 'ben', 'cem'].map(name => ({ id: name, email: `${name}@example.com`, history: [] })));
+saveData(LISTS_FILE, [{ id: 'l1', name: 'Kunden', contactIds: ['anna', 'ben', 'cem'] }]);
+saveData(TEMPLATES_FILE, [{ id: 't1', name: 'Welcome' }, { id: 't2', name: 'Reminder' }]);
+saveData(TRACKING_FILE, []);
+
+test('normalizeSequence checks the target, steps and stop conditions', () => {
+  const input = { name: ' Onboarding ', listId: 'l1', steps: [{ templateId: 't1', delayDays: 5 }, { templateId: 't2', delayDays: '2' }] };
+
+  const { sequence } = normalizeSequence(input);
+  assert.equal(sequence.name, 'Onboarding');
+  assert.equal(sequence.targetName, 'Kunden');
+  assert.deepEqual(sequence.steps, [{ templateId: 't1', delayDays: 0 }, { templateId: 't2', delayDays: 2 }]);
+  assert.deepEqual(sequence.stopOn, ['opened', 'clicked', 'replied']);
+
+  assert.match(normalizeSequence({ ...input, name: '' }).error, /name/);
+  assert.match(normalizeSequence({ ...input, listId: 'missing' }).error, /list or segment/);
+  assert.match(normalizeSequence({ ...input, steps: [] }).error, /at least one step/);
+  assert.match(normalizeSequence({ ...input, steps: [{ templateId: 't1' }, { templateId: 't2', delayDays: 0.5 }] }).error, /^Step 2: wait/);
+  assert.match(normalizeSequence({ ...input, steps: [{ templateId: 'gone' }] }).error, /^Step 1: choose a template/);
+  assert.match(normalizeSequence({ ...input, stopOn: ['bounced'] }).error, /Unknown stop condition/);
+});
+
+test('contacts move through the steps, stop on a click and wait out a pause', async () => {
+  const { sequence } = normalizeSequence({
+    name: 'Onboarding', listId: 'l1', stopOn: ['clicked'],
+    steps: [{ templateId: 't1' }, { templateId: 't2', delayDays: 2 }],
+  });
+  saveSequence({ id: 's1', ...sequence, status: 'draft', contacts: [] });
+  assert.equal((await startSequence('s1')).enrolled, 3);
+
+  // Step 1 goes out to everyone at once
+  const [step1] = await processSequences();
+  assert.deepEqual(queued, [step1.campaignId]);
+  assert.equal(step1.sequenceStep, 1);
+  assert.deepEqual(step1.recipientEmails, ['anna@example.com', 'ben@example.com', 'cem@example.com']);
+  assert.ok(getSequence('s1').contacts.every(e => e.status === 'sending'));
+
+  // Anna and Ben got it, Cem paused their emails before it was sent; Ben clicked a link
+  const sentAt = new Date(Date.now() - HOUR_MS).toISOString();
+  ['anna', 'ben'].forEach(id => updateContact(id, { history: [{ at: sentAt, type: 'sent', campaignId: step1.campaignId }] }));
+  const pausedUntil = new Date(Date.now() + 7 * 24 * HOUR_MS).toISOString();
+  updateContact('cem', { pausedUntil });
+  saveCampaign({ ...getCampaign(step1.campaignId), status: 'complete', sentEmails: ['anna@example.com', 'ben@example.com'] });
+  saveData(TRACKING_FILE, [{ type: 'click', email: 'ben@example.com', campaignId: step1.campaignId, link: 'Shop', at: sentAt }]);
+
+  assert.deepEqual(await processSequences(), []);
+  const settled = getSequence('s1').contacts;
+  assert.deepEqual(settled.map(e => [e.status, e.step]), [['waiting', 1], ['waiting', 1], ['waiting', 0]]);
+  assert.equal(settled[0].nextAt, new Date(new Date(sentAt).getTime() + 48 * HOUR_MS).toISOString());
+  assert.equal(settled[2].nextAt, pausedUntil);
+
+  // Two days later step 2 is due: Ben clicked and leaves, Cem is still paused
+  const later = getSequence('s1');
+  later.contacts.slice(0, 2).forEach(e => { e.nextAt = new Date(Date.now() - 1000).toISOString(); });
+  saveSequence(later);
+
+  const [step2] = await processSequences();
+  assert.equal(step2.sequenceStep, 2);
+  assert.deepEqual(step2.recipientEmails, ['anna@example.com']);
+  const [anna, ben, cem] = getSequence('s1').contacts;
+  assert.equal(anna.status, 'sending');
+  assert.deepEqual([ben.status, ben.stopReason], ['stopped', 'clicked']);
+  assert.deepEqual([cem.status, cem.nextAt], ['waiting', pausedUntil]);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'suppressions-test-'));
+const { CONTACTS_FILE, saveData } = require('../src/storage');
+const { initSuppressions, listSuppressions, findSuppression, addSuppressions, addSuppression, removeSuppression, isHardBounce } = require('../src/suppressions');
+const { findContactByEmail } = require('../src/contacts');
+
+saveData(CONTACTS_FILE, [
+  { id: 'c1', email: 'Anna@example.de', unsubscribed: true, unsubscribedAt: '2026-01-01T00:00:00.000Z' },
+  { id: 'c2', email: 'ben@example.de' },
+]);
+initSuppressions();
+
+test('a 5.1.x status with a 5xx reply is a hard bounce', () => {
+  assert.equal(isHardBounce({ responseCode: 550, response: '550 5.1.1 <anna@example.de>: Recipient address rejected: User unknown' }), true);
+  assert.equal(isHardBounce({ responseCode: 553, error: '553 5.1.3 Bad recipient address syntax' }), true);
+  assert.equal(isHardBounce({ responseCode: 550, response: '550-5.1.1 The email account does not exist' }), true);
+});
+
+test('policy rejections, bare 550s and temporary failures are not hard bounces', () => {
+  assert.equal(isHardBounce({ responseCode: 550, response: '550 5.7.1 Message rejected as spam' }), false);
+  assert.equal(isHardBounce({ responseCode: 550, response: '550 Mailbox unavailable' }), false);
+  assert.equal(isHardBounce({ responseCode: 451, response: '451 4.1.1 Try again later' }), false);
+  assert.equal(isHardBounce({ response: '5.1.1 without a reply code' }), false);
+  assert.equal(isHardBounce({ responseCode: 554, response: 'version 15.1.2 of our filter rejected this' }), false);
+});
+
+test('the store is seeded with contacts already unsubscribed', () => {
+  assert.deepEqual(listSuppressions().map(s => [s.type, s.value, s.reason]), [['email', 'anna@example.de', 'unsubscribe']]);
+});
+
+test('addSuppressions parses addresses and domains and skips existing entries', () => {
+  const { added, existing, errors } = addSuppressions([
+    { value: ' Carl@Example.DE ', note: 'asked by phone' },
+    { value: '@spam.example', reason: 'complaint' },
+    { value: 'anna@example.de', reason: 'manual' },
+    { value: 'not an address' },
+    { value: 'dora@example.de', reason: 'bored' },
+  ]);
+
+  assert.deepEqual(added.map(s => [s.type, s.value, s.reason]), [['email', 'carl@example.de', 'manual'], ['domain', 'spam.example', 'complaint']]);
+  assert.equal(added[0].note, 'asked by phone');
+  assert.deepEqual(existing.map(s => s.reason), ['unsubscribe']);
+  assert.equal(errors.length, 2);
+  assert.match(errors[1], /Invalid reason "bored"/);
+});
+
+test('findSuppression matches the address or its domain', () => {
+  assert.equal(findSuppression('CARL@example.de').value, 'carl@example.de');
+  assert.equal(findSuppression('anyone@spam.example').type, 'domain');
+  assert.equal(findSuppression('anyone@not-spam.example'), null);
+  assert.equal(findSuppression('ben@example.de'), null);
+});
+
+test('addSuppression returns the entry or an error', () => {
+  assert.equal(addSuppression('ben@example.de', 'hard_bounce').entry.reason, 'hard_bounce');
+  assert.equal(addSuppression('BEN@example.de', 'manual').entry.reason, 'hard_bounce');
+  assert.match(addSuppression('ben@', 'manual').error, /Invalid address/);
+});
+
+test('removing an address entry clears the contact\'s unsubscribed flag', () => {
+  const entry = findSuppression('anna@example.de');
+  assert.equal(removeSuppression(entry.id).id, entry.id);
+  assert.equal(findSuppression('anna@example.de'), null);
+  assert.equal(findContactByEmail('anna@example.de').unsubscribed, undefined);
+  assert.equal(removeSuppression(entry.id), null);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
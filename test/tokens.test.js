@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOKEN_SECRET = 'test-secret';
+const { createToken, verifyToken } = require('../src/tokens');
+
+test('a token round-trips its recipient, campaign and list', () => {
+  const token = createToken('open', { contactId: 'c1', campaignId: 'k1', listId: 'l1' });
+  assert.deepEqual(verifyToken(token, 'open'), { contactId: 'c1', campaignId: 'k1', listId: 'l1' });
+});
+
+test('click tokens carry the link', () => {
+  const token = createToken('click', { contactId: 'c1', campaignId: 'k1', linkId: 2, url: 'https://example.com/?a=1&b=2', linkName: 'cta' });
+  assert.deepEqual(verifyToken(token, 'click'), {
+    contactId: 'c1', campaignId: 'k1', listId: null, linkId: 2, url: 'https://example.com/?a=1&b=2', linkName: 'cta',
+  });
+});
+
+test('the recipient reference is only kept for recipients without a contact', () => {
+  const withContact = createToken('unsubscribe', { contactId: 'c1', recipientRef: 'x1', campaignId: 'k1' });
+  assert.equal(verifyToken(withContact, 'unsubscribe').recipientRef, undefined);
+
+  const sheetOnly = createToken('unsubscribe', { recipientRef: 'x1', campaignId: 'k1' });
+  assert.equal(verifyToken(sheetOnly, 'unsubscribe').recipientRef, 'x1');
+});
+
+test('tokens never contain an address', () => {
+  const token = createToken('unsubscribe', { recipientRef: 'x1', email: 'a@example.com', campaignId: 'k1' });
+  assert.doesNotMatch(Buffer.from(token.split('.')[0], 'base64url').toString(), /@/);
+});
+
+test('a token is only valid for its purpose', () => {
+  const token = createToken('open', { contactId: 'c1' });
+  assert.equal(verifyToken(token, 'unsubscribe'), null);
+});
+
+test('altered and malformed tokens are rejected', () => {
+  const token = createToken('unsubscribe', { contactId: 'c1', campaignId: 'k1' });
+  const [data, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ p: 'unsubscribe', r: 'c2', c: 'k1', l: null })).toString('base64url');
+
+  assert.equal(verifyToken(`${forged}.${signature}`, 'unsubscribe'), null);
+  assert.equal(verifyToken(`${data}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`, 'unsubscribe'), null);
+  assert.equal(verifyToken(data, 'unsubscribe'), null);
+  assert.equal(verifyToken(`${token}.x`, 'unsubscribe'), null);
+  assert.equal(verifyToken('', 'unsubscribe'), null);
+  assert.equal(verifyToken(undefined, 'unsubscribe'), null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tracking-test-'));
+process.env.TOKEN_SECRET = 'test-secret';
+const { CONTACTS_FILE, CAMPAIGNS_FILE, LISTS_FILE, saveData } = require('../src/storage');
+const sheets = require('../src/sheets');
+const { findContactByEmail } = require('../src/contacts');
+const { createToken } = require('../src/tokens');
+const { getRecipientRef } = require('../src/recipients');
+const { initTracking, listTrackingEvents, resolveToken, recordOpen, recordClick } = require('../src/tracking');
+
+// Sheet tab stand-in: every address is on row 7
+const sheetWrites = [];
+sheets.findRowByEmailInSheet = async () => 7;
+sheets.markOpenedInSheet = async (...args) => sheetWrites.push(['opened', ...args]);
+sheets.markClickedInSheet = async (...args) => sheetWrites.push(['clicked', ...args]);
+const sheetQueueDone = () => new Promise(resolve => setTimeout(resolve, 10));
+
+saveData(CONTACTS_FILE, [{ id: 'c1', email: 'anna@example.com', history: [] }]);
+saveData(LISTS_FILE, [{ id: 'l1', name: 'Kunden', sheetName: 'Kunden', contactIds: ['c1'] }]);
+saveData(CAMPAIGNS_FILE, [{ campaignId: 'k1', sheetName: 'Alt' }, { campaignId: 'test', testEmail: 'Me@example.com' }]);
+initTracking();
+
+const historyOf = email => findContactByEmail(email).history.map(h => [h.type, h.campaignId]);
+
+test('every open is stored, the history keeps the first per campaign', async () => {
+  const first = recordOpen({ email: 'anna@example.com', sheetName: 'Kunden', campaignId: 'k1' });
+  recordOpen({ email: 'anna@example.com', sheetName: 'Kunden', campaignId: 'k1' });
+  recordOpen({ email: 'anna@example.com', sheetName: 'Kunden', campaignId: 'k2' });
+  await sheetQueueDone();
+
+  assert.equal(first.type, 'open');
+  assert.equal(listTrackingEvents().length, 3);
+  assert.deepEqual(historyOf('anna@example.com'), [['opened', 'k1'], ['opened', 'k2']]);
+  assert.deepEqual(sheetWrites.shift(), ['opened', 'Kunden', 7, first.at]);
+});
+
+test('every click is stored and added to the history and sheet tab', async () => {
+  sheetWrites.length = 0;
+  const event = recordClick({ email: 'anna@example.com', sheetName: 'Kunden', campaignId: 'k1', url: 'https://shop.example/', link: 'Shop' });
+  const unnamed = recordClick({ email: 'anna@example.com', sheetName: 'Kunden', campaignId: 'k1', url: 'https://shop.example/faq' });
+  await sheetQueueDone();
+
+  assert.deepEqual(listTrackingEvents().slice(-2).map(e => [e.type, e.link, e.url]), [
+    ['click', 'Shop', 'https://shop.example/'],
+    ['click', 'link', 'https://shop.example/faq'],
+  ]);
+  assert.deepEqual(historyOf('anna@example.com').slice(-2), [['clicked', 'k1'], ['clicked', 'k1']]);
+  assert.deepEqual(sheetWrites, [['clicked', 'Kunden', 7, 'Shop', event.at], ['clicked', 'Kunden', 7, 'link', unnamed.at]]);
+});
+
+test('events of addresses outside the contacts database are stored without a history', async () => {
+  sheetWrites.length = 0;
+  recordOpen({ email: 'sheet-only@example.com', sheetName: null, campaignId: null });
+  await sheetQueueDone();
+
+  assert.equal(listTrackingEvents().at(-1).campaignId, null);
+  assert.equal(findContactByEmail('sheet-only@example.com'), null);
+  assert.deepEqual(sheetWrites, []);
+});
+
+test('resolveToken finds the contact, the referenced address or the test address', () => {
+  const contact = resolveToken(createToken('open', { contactId: 'c1', campaignId: 'k1', listId: 'l1' }), 'open');
+  assert.equal(contact.email, 'anna@example.com');
+  assert.equal(contact.contact.id, 'c1');
+  assert.equal(contact.sheetName, 'Kunden');
+
+  const sheetOnly = resolveToken(createToken('open', { recipientRef: getRecipientRef('Ben@example.com'), campaignId: 'k1' }), 'open');
+  assert.deepEqual([sheetOnly.email, sheetOnly.contact, sheetOnly.sheetName], ['ben@example.com', null, 'Alt']);
+
+  assert.equal(resolveToken(createToken('open', { campaignId: 'test' }), 'open').email, 'me@example.com');
+  assert.equal(resolveToken(createToken('open', { contactId: 'deleted', campaignId: 'k1' }), 'open').email, null);
+  assert.equal(resolveToken(createToken('click', { contactId: 'c1' }), 'open'), null);
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'warm-up-test-'));
+const config = require('../src/config');
+const { LOGS_FILE, CAMPAIGNS_FILE, WARM_UP_FILE, saveData, loadData } = require('../src/storage');
+const { getWarmUpStatus, getNextWarmUpDay, describeWarmUp } = require('../src/warm-up');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const sentOn = (date, count, fields = {}) => Array.from({ length: count }, () => ({
+  campaignId: 'k1', email: 'a@example.com', status: 'sent', timestamp: `${date}T10:00:00Z`, ...fields,
+}));
+
+config.warmUp = { enabled: true, startDate: '', curve: [20, 40, 80], timezone: 'Europe/Berlin' };
+
+test.beforeEach(() => {
+  config.warmUp.startDate = '';
+  fs.rmSync(WARM_UP_FILE, { force: true });
+  saveData(CAMPAIGNS_FILE, []);
+});
+
+test('switched off, no cap applies', () => {
+  config.warmUp.enabled = false;
+  assert.deepEqual(getWarmUpStatus(NOW), { enabled: false });
+  assert.equal(describeWarmUp(NOW), 'off');
+  config.warmUp.enabled = true;
+});
+
+test('sends from before the warm-up started do not skip its first days', () => {
+  saveData(LOGS_FILE, [...sentOn('2026-01-05', 500), ...sentOn('2026-01-06', 500), ...sentOn('2026-03-10', 5)]);
+
+  const status = getWarmUpStatus(NOW);
+  assert.deepEqual(status, { enabled: true, startDate: '2026-03-10', day: 1, cap: 20, sentToday: 5, remaining: 15 });
+  assert.deepEqual(loadData(WARM_UP_FILE), { startDate: '2026-03-10' });
+  assert.equal(describeWarmUp(NOW), 'day 1, 5/20 sent today');
+});
+
+test('days count sending days since the start date', () => {
+  config.warmUp.startDate = '2026-03-01';
+  saveData(LOGS_FILE, [...sentOn('2026-02-27', 10), ...sentOn('2026-03-02', 20), ...sentOn('2026-03-05', 40), ...sentOn('2026-03-10', 80)]);
+
+  assert.deepEqual(getWarmUpStatus(NOW), { enabled: true, startDate: '2026-03-01', day: 3, cap: 80, sentToday: 80, remaining: 0 });
+});
+
+test('failed sends and test sends do not count', () => {
+  config.warmUp.startDate = '2026-03-01';
+  saveData(CAMPAIGNS_FILE, [{ campaignId: 'test-campaign', testEmail: 'me@example.com' }]);
+  saveData(LOGS_FILE, [
+    ...sentOn('2026-03-09', 3, { campaignId: 'test-campaign' }),
+    ...sentOn('2026-03-10', 2, { test: true }),
+    ...sentOn('2026-03-10', 4, { status: 'failed' }),
+    ...sentOn('2026-03-10', 1),
+  ]);
+
+  const status = getWarmUpStatus(NOW);
+  assert.equal(status.day, 1);
+  assert.equal(status.sentToday, 1);
+});
+
+test('no cap once the curve is used up', () => {
+  config.warmUp.startDate = '2026-03-01';
+  saveData(LOGS_FILE, [...sentOn('2026-03-02', 1), ...sentOn('2026-03-03', 1), ...sentOn('2026-03-04', 1)]);
+
+  assert.deepEqual(getWarmUpStatus(NOW), { enabled: true, startDate: '2026-03-01', day: 4, cap: null, sentToday: 0, remaining: null });
+  assert.equal(describeWarmUp(NOW), 'complete (day 4, no cap)');
+});
+
+test('the next warm-up day starts at midnight in the warm-up timezone', () => {
+  assert.equal(getNextWarmUpDay(NOW).toISOString(), '2026-03-10T23:00:00.000Z');
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));